@@ -0,0 +1,50 @@
+// Subscription plans as shown to customers (GET /api/subscription/plans).
+// Limits enforced elsewhere, such as contentVariants, are read from here.
+export const PLANS = {
+  free: {
+    name: "Free",
+    price: 0,
+    currency: "USD",
+    interval: "month",
+    features: {
+      contentGenerations: 2,
+      audioGenerations: 2,
+      contentVariants: 2,
+      languages: ["en", "ne"],
+      support: "email",
+    },
+    description: "Perfect for trying out our service",
+  },
+  pro: {
+    name: "Pro",
+    price: 5,
+    currency: "USD",
+    interval: "month",
+    features: {
+      contentGenerations: 50,
+      audioGenerations: 50,
+      contentVariants: 3,
+      languages: ["en", "ne"],
+      support: "priority email",
+      downloadFormats: ["mp3", "txt", "pdf"],
+    },
+    description: "Great for small businesses",
+  },
+  pro_plus: {
+    name: "Pro Plus",
+    price: 15,
+    currency: "USD",
+    interval: "month",
+    features: {
+      contentGenerations: "unlimited",
+      audioGenerations: "unlimited",
+      contentVariants: 5,
+      languages: ["en", "ne"],
+      support: "priority email & phone",
+      downloadFormats: ["mp3", "txt", "pdf"],
+      customVoices: true,
+      apiAccess: true,
+    },
+    description: "For growing businesses with high volume needs",
+  },
+};
@@ -0,0 +1,118 @@
+// Built-in prompt templates, used when no version has been published in the
+// PromptTemplate collection. Variables use {{name}} placeholders.
+
+const englishIntro = `You are an expert storytelling content creator. Create engaging, natural-sounding content for: {{businessName}}, a {{businessType}} located in {{location}}, Nepal. Products/Services: {{productsServices}}. Target customers: {{targetCustomers}}.`;
+
+const englishOutro = `Write everything as flowing narrative without bullet points, technical specs, or formatting symbols. Make it perfect for audio narration.`;
+
+const nepaliIntro = `You are an expert content creator for Nepali businesses. Create engaging content in Nepali language for: {{businessName}}, a {{businessType}} in {{location}}. Products/Services: {{productsServices}}. Target: {{targetCustomers}}.`;
+
+const nepaliOutro = `Avoid technical formatting so everything sounds great when read aloud.`;
+
+const content = (en, ne) => ({
+  en: `${englishIntro}\n\n${en}\n\n${englishOutro}`,
+  ne: `${nepaliIntro} ${ne} ${nepaliOutro}`,
+});
+
+export const DEFAULT_PROMPT_TEMPLATES = {
+  "content.business_description": content(
+    `Write a compelling business story that flows naturally when read aloud. Create content that tells the story of what makes this business special. Use conversational language that sounds smooth when spoken. Include local context for Nepal. Avoid technical jargon, word counts, or formatting instructions. Focus on benefits and emotional connection. Use smooth transitions and natural voice search phrases. Make it sound like a professional storyteller describing the business.
+
+Then add 5 customer questions with storytelling answers that sound natural when spoken. Each answer should be 2-3 flowing sentences.
+
+Finally, include 5 natural phrases locals might use when searching, using conversational language.`,
+    "Write a natural business story, 5 customer questions with short spoken-style answers, and 5 phrases locals might use when searching."
+  ),
+
+  "content.service_description": content(
+    `Write a clear service description of about 150 to 250 words. Explain what each service includes, who it is for, how a customer books or uses it, and why this business does it well. Keep the tone warm and trustworthy, and mention the location naturally.
+
+Then add 3 customer questions about booking, pricing or the process, each with a 1-2 sentence answer.
+
+Finally, include 5 natural phrases locals might use when searching for these services.`,
+    "Write a clear service description of about 150 to 250 words explaining what the services include and how to book them, 3 customer questions about booking, pricing or the process with short answers, and 5 phrases locals might use when searching for these services."
+  ),
+
+  "content.product_description": content(
+    `Write a persuasive product description of about 80 to 150 words. Lead with the main benefit, then cover key features, materials or ingredients, and what makes it good value. Use short, vivid sentences that read well aloud.
+
+Then add 3 short customer questions about the product (size, availability, delivery or care) with 1 sentence answers.
+
+Finally, include 5 natural phrases shoppers might use when searching for this product.`,
+    "Write a persuasive product description of about 80 to 150 words covering the main benefit, key features and value, 3 short customer questions about the product with 1 sentence answers, and 5 phrases shoppers might use when searching for it."
+  ),
+
+  "content.faq": content(
+    `Write a short, friendly 1-2 sentence introduction to the business.
+
+Then write 10 frequently asked questions real customers would ask, covering location and opening hours, products or services, pricing, booking or ordering, and what makes the business different. Each answer should be 2-3 natural sentences that sound good when spoken.
+
+Finally, include 5 natural phrases locals might use when searching, phrased as spoken questions.`,
+    "Write a short 1-2 sentence introduction, then 10 frequently asked customer questions with 2-3 sentence answers covering location, hours, offerings, pricing and ordering, and 5 phrases locals might use when searching, phrased as spoken questions."
+  ),
+
+  modify: {
+    en: `You are an expert content writer specializing in business content for Nepali SMEs.
+Your task is to modify the existing content based on the user's request.
+
+Original Content:
+"""
+{{originalContent}}
+"""
+
+Business Name: {{businessName}}
+
+User Request: {{userRequest}}
+
+Previous Conversation Context:
+{{conversationHistory}}
+
+Instructions:
+1. Carefully analyze the user's request and modify the content accordingly
+2. Maintain the professional tone suitable for Nepali businesses
+3. Keep the essential business information intact
+4. Ensure the modified content is SEO-friendly and voice search optimized
+5. If adding keywords, make them natural and contextual
+6. Return only the modified content, no explanations
+
+Modified Content:`,
+  },
+
+  translate: {
+    en: `You are a professional translator for Nepali small businesses. Translate the content below from {{sourceLanguage}} to {{targetLanguage}}.
+
+Rules:
+1. Keep the business name "{{businessName}}", place names and brand names exactly as written; do not translate them
+2. Keep the meaning, tone and level of detail; do not add or leave out information
+3. Use natural, conversational {{targetLanguage}} that sounds good when read aloud
+4. Translate every part: the main text, every question and answer, and every search phrase
+5. Return only the translation, no explanations
+
+Content:
+"""
+{{content}}
+"""`,
+  },
+};
+
+// Variables each template key can reference
+export const PROMPT_TEMPLATE_VARIABLES = {
+  content: [
+    "businessName",
+    "location",
+    "businessType",
+    "productsServices",
+    "targetCustomers",
+    "preferredLanguage",
+    "contentType",
+    "tone",
+    "brandTone",
+  ],
+  modify: [
+    "originalContent",
+    "businessName",
+    "userRequest",
+    "conversationHistory",
+  ],
+  translate: ["content", "businessName", "sourceLanguage", "targetLanguage"],
+};
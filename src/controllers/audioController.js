@@ -1,7 +1,12 @@
 import AudioGeneration from "../models/AudioGeneration.js";
+import BusinessProfile from "../models/BusinessProfile.js";
 import audioService from "../services/cloudinaryAudioService.js";
+import jobQueue from "../services/jobQueue.js";
+import ttsEngines from "../services/ttsEngines.js";
+import audioStorage from "../services/audioStorage.js";
+import lexiconService from "../services/lexiconService.js";
+import audioConverter from "../services/audioConverter.js";
 import { validationResult } from "express-validator";
-import path from "path";
 
 export const generateAudio = async (req, res) => {
   try {
@@ -20,15 +25,38 @@ export const generateAudio = async (req, res) => {
       });
     }
 
-    const {
-      content,
-      language = "en",
-      voice = "default",
-      businessName,
-      contentType,
-    } = req.body;
+    const { content, contentType, profileId, engine, ssml, format, bitrate } =
+      req.body;
     const userId = req.user?.id;
 
+    // A saved Business Profile supplies defaults for voice, language and name
+    let profile = null;
+    if (profileId) {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: "Authentication required",
+          message: "Sign in to use a saved business profile",
+        });
+      }
+
+      profile = await BusinessProfile.findOne({
+        _id: profileId,
+        user: req.user._id,
+      });
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: "Business profile not found",
+        });
+      }
+    }
+
+    const language = req.body.language || profile?.preferredLanguage || "en";
+    const voice = req.body.voice || profile?.preferredVoice || "default";
+    const businessName = req.body.businessName || profile?.businessName;
+
     console.log("Audio generation request:", {
       contentLength: content?.length,
       language,
@@ -73,10 +101,56 @@ export const generateAudio = async (req, res) => {
       });
     }
 
+    // async: true queues the synthesis and returns a job id to poll at
+    // GET /api/jobs/:id instead of holding the connection open
+    if (req.body.async) {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: "Authentication required",
+          message: "Sign in to generate audio in the background",
+        });
+      }
+
+      const job = await jobQueue.enqueue(
+        "audio.generate",
+        {
+          userId: req.user._id.toString(),
+          content,
+          language,
+          voice,
+          businessName,
+          profileId: profile?._id,
+          contentType,
+          engine,
+          ssml,
+          format,
+          bitrate,
+        },
+        { user: req.user._id, queue: "tts" }
+      );
+
+      return res.status(202).json({
+        success: true,
+        jobId: job._id,
+        status: job.status,
+      });
+    }
+
     // Generate audio using Cloudinary
+    const lexicon = await lexiconService.getLexicon({
+      user: req.user?._id,
+      profile: profile?._id,
+      language,
+    });
     const audioResult = await audioService.generateAudio(content, {
       language,
       voice,
+      engine,
+      ssml,
+      format,
+      bitrate,
+      lexicon,
       style: "storytelling",
     });
 
@@ -86,12 +160,14 @@ export const generateAudio = async (req, res) => {
       content,
       language,
       audioUrl: audioResult.audioUrl,
-      cloudinaryPublicId: audioResult.publicId,
+      storage: audioResult.storage,
       duration: audioResult.duration,
       voice,
+      engine: audioResult.engine,
       businessName,
+      businessProfile: profile?._id,
       contentType,
-      fileSize: audioResult.metadata?.bytes || 0,
+      fileSize: audioResult.fileSize,
       metadata: audioResult.metadata,
     });
 
@@ -110,8 +186,9 @@ export const generateAudio = async (req, res) => {
         duration: audioResult.duration,
         language,
         voice,
+        engine: audioResult.engine,
         publicId: audioResult.publicId,
-        fileSize: audioResult.metadata?.bytes || 0,
+        fileSize: audioResult.fileSize,
         metadata: audioResult.metadata,
       },
       usage: req.user
@@ -124,13 +201,27 @@ export const generateAudio = async (req, res) => {
     });
   } catch (error) {
     console.error("Audio generation error:", error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: "Audio generation failed",
       message: error.message,
     });
   }
 };
 
+export const getEngines = async (req, res) => {
+  try {
+    res.json({
+      engines: await ttsEngines.getStatus(),
+      formats: await audioConverter.getFormats(),
+    });
+  } catch (error) {
+    console.error("Failed to fetch TTS engines:", error);
+    res.status(500).json({
+      error: "Failed to fetch TTS engines",
+    });
+  }
+};
+
 export const getAudioHistory = async (req, res) => {
   try {
     if (!req.user) {
@@ -202,9 +293,9 @@ export const deleteAudio = async (req, res) => {
       });
     }
 
-    // Delete the audio file
-    const filename = audioGeneration.audioUrl.split("/").pop();
-    await audioService.deleteAudio(filename);
+    // Delete the audio file first so a storage failure leaves the record
+    // in place to retry
+    await audioService.deleteAudioFile(audioGeneration.getStorageRef());
 
     // Delete the record
     await AudioGeneration.findByIdAndDelete(id);
@@ -215,7 +306,7 @@ export const deleteAudio = async (req, res) => {
     });
   } catch (error) {
     console.error("Failed to delete audio:", error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: "Failed to delete audio",
       message: error.message,
     });
@@ -241,13 +332,15 @@ export const downloadAudio = async (req, res) => {
       });
     }
 
-    const filename = audioGeneration.audioUrl.split("/").pop();
-    const filepath = path.join(audioService.audioDir, filename);
+    const buffer = await audioStorage.read(audioGeneration.getStorageRef());
+    const format = audioGeneration.metadata?.format || "mp3";
 
-    res.download(filepath, `${audioGeneration.businessName || "audio"}.mp3`);
+    res.attachment(`${audioGeneration.businessName || "audio"}.${format}`);
+    res.type(audioStorage.getContentType(format));
+    res.send(buffer);
   } catch (error) {
     console.error("Failed to download audio:", error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: "Failed to download audio",
       message: error.message,
     });
@@ -0,0 +1,197 @@
+import BusinessProfile from "../models/BusinessProfile.js";
+import ContentGeneration from "../models/ContentGeneration.js";
+import PronunciationEntry from "../models/PronunciationEntry.js";
+import moderation, { PROMPT_FIELDS } from "../services/moderationService.js";
+import {
+  businessProfileSchema,
+  businessProfileUpdateSchema,
+} from "../utils/validation.js";
+
+// Profile fields are reused in every prompt made from the profile, so they
+// get the same input guard as a generation request. Sends a 400 and returns
+// null when a policy blocks them, otherwise the sanitized values.
+const moderateProfile = (res, value) => {
+  const result = moderation.checkInput(
+    Object.fromEntries(
+      PROMPT_FIELDS.filter((field) => value[field] !== undefined).map(
+        (field) => [field, value[field]]
+      )
+    )
+  );
+
+  if (result.blocked) {
+    res.status(400).json({
+      error:
+        "This profile was blocked by our content policy. Please revise the details and try again.",
+      moderation: moderation.buildRecord(result.findings),
+    });
+    return null;
+  }
+
+  return { ...value, ...result.fields };
+};
+
+export const listProfiles = async (req, res) => {
+  try {
+    const profiles = await BusinessProfile.find({ user: req.user._id })
+      .sort({ updatedAt: -1 })
+      .select("-__v");
+
+    res.json({ profiles });
+  } catch (error) {
+    console.error("List business profiles error:", error);
+    res.status(500).json({
+      error: "Error fetching business profiles",
+    });
+  }
+};
+
+export const getProfile = async (req, res) => {
+  try {
+    const profile = await BusinessProfile.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    }).select("-__v");
+
+    if (!profile) {
+      return res.status(404).json({
+        error: "Business profile not found",
+      });
+    }
+
+    res.json({ profile });
+  } catch (error) {
+    console.error("Get business profile error:", error);
+    res.status(500).json({
+      error: "Error fetching business profile",
+    });
+  }
+};
+
+export const createProfile = async (req, res) => {
+  try {
+    const { error, value } = businessProfileSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+      });
+    }
+
+    const fields = moderateProfile(res, value);
+    if (!fields) return;
+
+    const profile = await new BusinessProfile({
+      ...fields,
+      user: req.user._id,
+    }).save();
+
+    res.status(201).json({
+      message: "Business profile created",
+      profile,
+    });
+  } catch (error) {
+    console.error("Create business profile error:", error);
+    res.status(500).json({
+      error: "Error creating business profile",
+    });
+  }
+};
+
+// Past generations keep their own snapshot, so edits only affect new content
+export const updateProfile = async (req, res) => {
+  try {
+    const { error, value } = businessProfileUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+      });
+    }
+
+    const fields = moderateProfile(res, value);
+    if (!fields) return;
+
+    const profile = await BusinessProfile.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: fields },
+      { new: true, runValidators: true }
+    ).select("-__v");
+
+    if (!profile) {
+      return res.status(404).json({
+        error: "Business profile not found",
+      });
+    }
+
+    res.json({
+      message: "Business profile updated",
+      profile,
+    });
+  } catch (error) {
+    console.error("Update business profile error:", error);
+    res.status(500).json({
+      error: "Error updating business profile",
+    });
+  }
+};
+
+export const deleteProfile = async (req, res) => {
+  try {
+    const profile = await BusinessProfile.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!profile) {
+      return res.status(404).json({
+        error: "Business profile not found",
+      });
+    }
+
+    await PronunciationEntry.deleteMany({ businessProfile: profile._id });
+
+    res.json({
+      message: "Business profile deleted",
+    });
+  } catch (error) {
+    console.error("Delete business profile error:", error);
+    res.status(500).json({
+      error: "Error deleting business profile",
+    });
+  }
+};
+
+// Generations made from this profile, newest first
+export const getProfileHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const filter = {
+      user: req.user._id,
+      "businessDetails.profile": req.params.id,
+    };
+
+    const [history, total] = await Promise.all([
+      ContentGeneration.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("-prompt -revisions"),
+      ContentGeneration.countDocuments(filter),
+    ]);
+
+    res.json({
+      history,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: history.length,
+        totalRecords: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get business profile history error:", error);
+    res.status(500).json({
+      error: "Error fetching business profile history",
+    });
+  }
+};
@@ -1,7 +1,326 @@
+import mongoose from "mongoose";
 import ContentGeneration from "../models/ContentGeneration.js";
 import User from "../models/User.js";
-import { AIService } from "../services/aiService.js";
-import { contentGenerationSchema, ratingSchema } from "../utils/validation.js";
+import AudioGeneration from "../models/AudioGeneration.js";
+import BusinessProfile from "../models/BusinessProfile.js";
+import BatchJob from "../models/BatchJob.js";
+import { AIService, TONES } from "../services/aiService.js";
+import moderation, { PROMPT_FIELDS } from "../services/moderationService.js";
+import audioService from "../services/cloudinaryAudioService.js";
+import lexiconService from "../services/lexiconService.js";
+import batchService from "../services/batchService.js";
+import jobQueue from "../services/jobQueue.js";
+import llmProviders from "../services/llmProviders.js";
+import {
+  contentGenerationSchema,
+  ratingSchema,
+  translationSchema,
+  batchSchema,
+  batchRowSchema,
+  MAX_BATCH_ROWS,
+} from "../utils/validation.js";
+import { diffWords } from "../utils/textDiff.js";
+import { buildSeoPack, renderSeoPackHtml, slugify } from "../utils/seoPack.js";
+import { parseCsv, toCsv } from "../utils/csv.js";
+import { PLANS } from "../config/plans.js";
+import { createZip } from "../utils/zip.js";
+
+// Map the snake_case request body onto the businessDetails shape stored on
+// records. With a Business Profile, fields sent in the body override it.
+const getBusinessDetails = (body, profile = null) => {
+  const {
+    business_name,
+    location,
+    business_type,
+    products_services,
+    target_customers,
+    preferredLanguage,
+    contentType = "business_description",
+  } = body;
+
+  const base = profile ? profile.toBusinessDetails() : {};
+
+  return {
+    ...base,
+    businessName: business_name || base.businessName,
+    location: location || base.location,
+    businessType: business_type || base.businessType,
+    productsServices: products_services || base.productsServices || "",
+    targetCustomers: target_customers || base.targetCustomers || "",
+    preferredLanguage: preferredLanguage || base.preferredLanguage || "en", // Default to English
+    contentType,
+  };
+};
+
+// Resolve req.body.profileId to one of the user's Business Profiles. Sends the
+// error response and returns undefined when it can't be used.
+const loadProfile = async (req, res, profileId) => {
+  if (!profileId) return null;
+
+  if (!req.user) {
+    res.status(401).json({
+      success: false,
+      error: "Sign in to use a saved business profile",
+    });
+    return undefined;
+  }
+
+  const profile = await BusinessProfile.findOne({
+    _id: profileId,
+    user: req.user._id,
+  });
+
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      error: "Business profile not found",
+    });
+    return undefined;
+  }
+
+  return profile;
+};
+
+// Input guard for prompt fields. Sends a 400 and returns null when a policy
+// blocks the request, otherwise returns { fields (sanitized), findings }.
+const moderateInput = (res, fields) => {
+  const result = moderation.checkInput(fields);
+
+  if (result.blocked) {
+    res.status(400).json({
+      success: false,
+      error:
+        "Your request was blocked by our content policy. Please revise the details and try again.",
+      moderation: moderation.buildRecord(result.findings),
+    });
+    return null;
+  }
+
+  return result;
+};
+
+const moderateBusinessDetails = (res, businessDetails) => {
+  const fields = Object.fromEntries(
+    PROMPT_FIELDS.map((field) => [field, businessDetails[field]])
+  );
+  const result = moderateInput(res, fields);
+  if (result) Object.assign(businessDetails, result.fields);
+  return result;
+};
+
+const BLOCKED_OUTPUT_ERROR =
+  "The generated content was blocked by our content policy. Please adjust your details and try again.";
+
+// How many variants a plan may request at once (its contentVariants), and how
+// many of them use a content credit (the rest are free until the user picks one)
+const getVariantPolicy = (plan) => ({
+  maxVariants: (PLANS[plan] || PLANS.free).features.contentVariants,
+  billedVariants: 1,
+});
+
+// Picking the LLM provider per request is limited to plans that allow it
+// (see LLM_PROVIDER_CHOICE_PLANS). Sends a 403 and returns false otherwise.
+const checkProviderChoice = (req, res, provider) => {
+  if (
+    !provider ||
+    req.user?.isDeveloper() ||
+    llmProviders.allowsProviderChoice(req.user?.subscription.plan)
+  ) {
+    return true;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: "Your plan doesn't allow choosing the AI provider.",
+  });
+  return false;
+};
+
+// Explicit tones win; a bare variant count takes the first N default tones
+const getRequestedTones = ({ tones, variants }) => {
+  if (tones?.length) return tones;
+  if (variants > 1) return Object.keys(TONES).slice(0, variants);
+  return [];
+};
+
+const generateVariants = async (
+  req,
+  res,
+  businessDetails,
+  tones,
+  inputFindings
+) => {
+  const plan = req.user?.subscription.plan || "free";
+  const policy = getVariantPolicy(plan);
+
+  if (tones.length > policy.maxVariants) {
+    return res.status(403).json({
+      success: false,
+      error: `Your plan allows up to ${policy.maxVariants} variants per request.`,
+    });
+  }
+
+  const credits = Math.min(tones.length, policy.billedVariants);
+  if (
+    req.user &&
+    !req.user.isDeveloper() &&
+    plan !== "pro_plus" &&
+    req.user.subscription.usageCount.content + credits >
+      req.user.subscription.monthlyLimits.content
+  ) {
+    return res.status(429).json({
+      success: false,
+      error: "Not enough content credits left for this many variants.",
+    });
+  }
+
+  const generationGroup = new mongoose.Types.ObjectId();
+  const results = await Promise.allSettled(
+    tones.map((tone) =>
+      AIService.generateContent(
+        { ...businessDetails, tone },
+        {
+          provider: req.body.provider,
+          plan: req.user?.subscription.plan,
+          cache: req.body.cache,
+          force: req.body.force,
+        }
+      )
+    )
+  );
+
+  const succeeded = results
+    .map((result, index) => ({ ...result, tone: tones[index] }))
+    .filter((result) => result.status === "fulfilled");
+
+  if (succeeded.length === 0) {
+    throw results[0].reason;
+  }
+
+  // Blocked variants are kept as failed records for review but not returned
+  const saved = await Promise.all(
+    succeeded.map(({ value: aiResult, tone }) => {
+      const output = moderation.checkOutput(aiResult);
+
+      return new ContentGeneration({
+        user: req.user ? req.user._id : null,
+        businessDetails,
+        contentType: businessDetails.contentType,
+        language: businessDetails.preferredLanguage,
+        generatedContent: output.content,
+        structuredContent: output.structuredContent,
+        prompt: aiResult.prompt,
+        promptTemplate: aiResult.promptTemplate,
+        model: aiResult.model,
+        provider: aiResult.provider,
+        tokensUsed: aiResult.tokensUsed,
+        cacheHit: aiResult.cacheHit,
+        status: output.blocked ? "failed" : "success",
+        moderation: moderation.buildRecord(inputFindings, output.findings),
+        generationGroup,
+        tone,
+        metadata: {
+          generationTime: aiResult.generationTime,
+        },
+      }).save();
+    })
+  );
+
+  const records = saved.filter((record) => record.status === "success");
+  if (records.length === 0) {
+    return res.status(422).json({
+      success: false,
+      error: BLOCKED_OUTPUT_ERROR,
+      groupId: generationGroup,
+    });
+  }
+
+  if (req.user) {
+    await req.user.incrementContentUsage(credits);
+  }
+
+  res.json({
+    success: true,
+    groupId: generationGroup,
+    // First variant doubles as the single-result fields for older clients
+    content: records[0].generatedContent,
+    result: records[0].generatedContent,
+    id: records[0]._id,
+    creditsUsed: req.user ? credits : 0,
+    failedTones: [
+      ...results
+        .map((result, index) => result.status === "rejected" && tones[index])
+        .filter(Boolean),
+      ...saved
+        .filter((record) => record.status === "failed")
+        .map((record) => record.tone),
+    ],
+    variants: records.map((record) => ({
+      id: record._id,
+      tone: record.tone,
+      content: record.generatedContent,
+      structuredContent: record.structuredContent,
+      quality: record.quality,
+      moderation: record.moderation,
+      tokensUsed: record.tokensUsed,
+      cacheHit: record.cacheHit,
+      generationTime: record.metadata.generationTime,
+      model: record.model,
+      provider: record.provider,
+    })),
+  });
+};
+
+// async: true runs a single generation as a job; the client polls
+// GET /api/jobs/:id for the same fields the synchronous response has
+const enqueueGeneration = async (
+  req,
+  res,
+  businessDetails,
+  tones,
+  inputFindings
+) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: "Sign in to generate content in the background",
+    });
+  }
+
+  if (tones.length > 1) {
+    return res.status(400).json({
+      success: false,
+      error: "Background generation supports one tone per request",
+    });
+  }
+  businessDetails.tone = tones[0];
+
+  const { provider } = req.body;
+  const plan = req.user.subscription.plan;
+  const job = await jobQueue.enqueue(
+    "content.generate",
+    {
+      userId: req.user._id.toString(),
+      businessDetails,
+      inputFindings,
+      provider,
+      cache: req.body.cache,
+      force: req.body.force,
+    },
+    {
+      user: req.user._id,
+      // Jobs are limited per LLM provider (see JOB_CONCURRENCY)
+      queue:
+        provider || llmProviders.getPrimaryModel({ plan })?.provider || "llm",
+    }
+  );
+
+  res.status(202).json({
+    success: true,
+    jobId: job._id,
+    status: job.status,
+  });
+};
 
 export const generateContent = async (req, res) => {
   try {
@@ -13,35 +332,66 @@ export const generateContent = async (req, res) => {
       });
     }
 
-    const {
-      business_name,
-      location,
-      business_type,
-      products_services,
-      target_customers,
-      preferredLanguage = "en", // Default to English
-    } = req.body;
+    const { provider } = req.body;
+    if (!checkProviderChoice(req, res, provider)) return;
 
-    const businessDetails = {
-      businessName: business_name,
-      location,
-      businessType: business_type,
-      productsServices: products_services || "",
-      targetCustomers: target_customers || "",
-      preferredLanguage,
-    };
+    const profile = await loadProfile(req, res, req.body.profileId);
+    if (profile === undefined) return;
+
+    const businessDetails = getBusinessDetails(req.body, profile);
+    const inputCheck = moderateBusinessDetails(res, businessDetails);
+    if (!inputCheck) return;
+
+    const tones = getRequestedTones(req.body);
+
+    if (req.body.async) {
+      return await enqueueGeneration(
+        req,
+        res,
+        businessDetails,
+        tones,
+        inputCheck.findings
+      );
+    }
+
+    if (tones.length > 1) {
+      return await generateVariants(
+        req,
+        res,
+        businessDetails,
+        tones,
+        inputCheck.findings
+      );
+    }
+    businessDetails.tone = tones[0];
 
     // Generate content using AI service
-    const aiResult = await AIService.generateContent(businessDetails);
+    const aiResult = await AIService.generateContent(businessDetails, {
+      provider,
+      plan: req.user?.subscription.plan,
+      cache: req.body.cache,
+      force: req.body.force,
+    });
+
+    const output = moderation.checkOutput(aiResult);
 
-    // Create content generation record
+    // Create content generation record (blocked output is kept for review)
     const contentRecord = new ContentGeneration({
       user: req.user ? req.user._id : null,
       businessDetails,
-      generatedContent: aiResult.content,
-      prompt: AIService.buildPrompt(businessDetails),
+      contentType: businessDetails.contentType,
+      language: businessDetails.preferredLanguage,
+      generatedContent: output.content,
+      structuredContent: output.structuredContent,
+      prompt: aiResult.prompt,
+      promptTemplate: aiResult.promptTemplate,
       model: aiResult.model,
+      provider: aiResult.provider,
       tokensUsed: aiResult.tokensUsed,
+      cacheHit: aiResult.cacheHit,
+      tone: businessDetails.tone,
+      status: output.blocked ? "failed" : "success",
+      moderation: moderation.buildRecord(inputCheck.findings, output.findings),
       metadata: {
         generationTime: aiResult.generationTime,
       },
@@ -49,6 +399,15 @@ export const generateContent = async (req, res) => {
 
     await contentRecord.save();
 
+    if (output.blocked) {
+      return res.status(422).json({
+        success: false,
+        error: BLOCKED_OUTPUT_ERROR,
+        id: contentRecord._id,
+        moderation: contentRecord.moderation,
+      });
+    }
+
     // Increment user usage count if authenticated
     if (req.user) {
       await req.user.incrementContentUsage();
@@ -56,11 +415,20 @@ export const generateContent = async (req, res) => {
 
     res.json({
       success: true,
-      content: aiResult.content,
-      result: aiResult.content, // Keep both for backward compatibility
+      content: output.content,
+      result: output.content, // Keep both for backward compatibility
+      structuredContent: output.structuredContent,
       id: contentRecord._id,
+      contentType: businessDetails.contentType,
+      profileId: businessDetails.profile || null,
+      seo: buildSeoPack(contentRecord),
+      quality: contentRecord.quality,
+      moderation: contentRecord.moderation,
       tokensUsed: aiResult.tokensUsed,
+      cacheHit: contentRecord.cacheHit,
       generationTime: aiResult.generationTime,
+      model: aiResult.model,
+      provider: aiResult.provider,
     });
   } catch (error) {
     console.error("Content generation error:", error);
@@ -80,6 +448,253 @@ export const generateContent = async (req, res) => {
   }
 };
 
+// Server-Sent Events variant of generateContent. Emits "start" with the record
+// id, a "token" event per delta, then "done" (or "error") once finished.
+export const generateContentStream = async (req, res) => {
+  const { error } = contentGenerationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message,
+    });
+  }
+
+  const tones = getRequestedTones(req.body);
+  if (tones.length > 1) {
+    return res.status(400).json({
+      success: false,
+      error:
+        "Streaming supports a single variant. Use /generate-content for multiple tones.",
+    });
+  }
+
+  const { provider } = req.body;
+  if (!checkProviderChoice(req, res, provider)) return;
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const abortController = new AbortController();
+  let partialContent = "";
+  let contentRecord;
+
+  // Client went away before we finished: cancel the upstream call
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    const profile = await loadProfile(req, res, req.body.profileId);
+    if (profile === undefined) return;
+
+    const businessDetails = {
+      ...getBusinessDetails(req.body, profile),
+      tone: tones[0],
+    };
+    const inputCheck = moderateBusinessDetails(res, businessDetails);
+    if (!inputCheck) return;
+
+    const builtPrompt = await AIService.buildPrompt(businessDetails);
+
+    contentRecord = new ContentGeneration({
+      user: req.user ? req.user._id : null,
+      businessDetails,
+      contentType: businessDetails.contentType,
+      language: businessDetails.preferredLanguage,
+      prompt: builtPrompt.prompt,
+      promptTemplate: builtPrompt.promptTemplate,
+      tone: businessDetails.tone,
+      status: "processing",
+    });
+    await contentRecord.save();
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable proxy buffering (nginx, Render)
+    });
+    res.flushHeaders();
+
+    sendEvent("start", { id: contentRecord._id });
+
+    // Tokens are sent a sentence at a time, once the output checks pass
+    const guard = moderation.createOutputGuard((content) => {
+      partialContent += content;
+      sendEvent("token", { content });
+    });
+
+    const aiResult = await AIService.streamContent(businessDetails, {
+      provider,
+      plan: req.user?.subscription.plan,
+      builtPrompt,
+      cache: req.body.cache,
+      force: req.body.force,
+      signal: abortController.signal,
+      onToken: (content) => guard.push(content),
+    });
+    guard.flush();
+
+    // The whole copy is checked again for the record and the final payload
+    const output = moderation.checkOutput(aiResult);
+
+    contentRecord.generatedContent = output.content;
+    contentRecord.structuredContent = output.structuredContent;
+    contentRecord.model = aiResult.model;
+    contentRecord.provider = aiResult.provider;
+    contentRecord.tokensUsed = aiResult.tokensUsed;
+    contentRecord.cacheHit = aiResult.cacheHit;
+    contentRecord.metadata.generationTime = aiResult.generationTime;
+    contentRecord.moderation = moderation.buildRecord(
+      inputCheck.findings,
+      output.findings
+    );
+    contentRecord.status = output.blocked ? "failed" : "success";
+    await contentRecord.save();
+
+    if (output.blocked) {
+      sendEvent("error", {
+        success: false,
+        error: BLOCKED_OUTPUT_ERROR,
+        id: contentRecord._id,
+        moderation: contentRecord.moderation,
+      });
+      return res.end();
+    }
+
+    // Increment user usage count if authenticated
+    if (req.user) {
+      await req.user.incrementContentUsage();
+    }
+
+    sendEvent("done", {
+      success: true,
+      id: contentRecord._id,
+      content: output.content,
+      structuredContent: output.structuredContent,
+      seo: buildSeoPack(contentRecord),
+      quality: contentRecord.quality,
+      moderation: contentRecord.moderation,
+      tokensUsed: aiResult.tokensUsed,
+      cacheHit: contentRecord.cacheHit,
+      generationTime: aiResult.generationTime,
+      model: aiResult.model,
+      provider: aiResult.provider,
+    });
+    res.end();
+  } catch (error) {
+    const aborted = abortController.signal.aborted;
+    if (!aborted) {
+      console.error("Content stream error:", error);
+    }
+
+    if (contentRecord && !contentRecord.isNew) {
+      try {
+        contentRecord.status = "failed";
+        if (partialContent) contentRecord.generatedContent = partialContent;
+        await contentRecord.save();
+      } catch (saveError) {
+        console.error("Failed to mark streamed content as failed:", saveError);
+      }
+    }
+
+    if (aborted) return;
+
+    const message = error.message.includes("AI service")
+      ? error.message
+      : "Failed to generate content. Please try again.";
+
+    if (!res.headersSent) {
+      return res.status(error.message.includes("AI service") ? 503 : 500).json({
+        success: false,
+        error: message,
+      });
+    }
+
+    sendEvent("error", { success: false, error: message });
+    res.end();
+  }
+};
+
+export const getVariantGroup = async (req, res) => {
+  try {
+    const variants = await ContentGeneration.find({
+      generationGroup: req.params.groupId,
+      user: req.user._id,
+    })
+      .sort({ createdAt: 1 })
+      .select("-prompt -revisions");
+
+    if (variants.length === 0) {
+      return res.status(404).json({
+        error: "Variant group not found",
+      });
+    }
+
+    res.json({
+      groupId: req.params.groupId,
+      selectedId:
+        variants.find((variant) => variant.isSelectedVariant)?._id || null,
+      variants,
+    });
+  } catch (error) {
+    console.error("Get variant group error:", error);
+    res.status(500).json({
+      error: "Error fetching variants",
+    });
+  }
+};
+
+export const selectVariant = async (req, res) => {
+  try {
+    const content = await ContentGeneration.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!content) {
+      return res.status(404).json({
+        error: "Content not found",
+      });
+    }
+
+    if (!content.generationGroup) {
+      return res.status(400).json({
+        error: "Content is not part of a variant group",
+      });
+    }
+
+    if (content.status !== "success") {
+      return res.status(409).json({
+        error: `Cannot select a ${content.status} variant`,
+      });
+    }
+
+    await ContentGeneration.updateMany(
+      { generationGroup: content.generationGroup, _id: { $ne: content._id } },
+      { $set: { isSelectedVariant: false } }
+    );
+
+    content.isSelectedVariant = true;
+    await content.save();
+
+    res.json({
+      message: "Variant selected",
+      groupId: content.generationGroup,
+      selectedId: content._id,
+      tone: content.tone,
+    });
+  } catch (error) {
+    console.error("Select variant error:", error);
+    res.status(500).json({
+      error: "Error selecting variant",
+    });
+  }
+};
+
 export const getHistory = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -93,6 +708,23 @@ export const getHistory = async (req, res) => {
       filter["businessDetails.businessType"] = req.query.businessType;
     }
 
+    if (req.query.contentType) {
+      filter.contentType = req.query.contentType;
+    }
+
+    if (req.query.profileId) {
+      filter["businessDetails.profile"] = req.query.profileId;
+    }
+
+    if (req.query.batchId) {
+      filter.batch = req.query.batchId;
+    }
+
+    // e.g. ?qualityBelow=60 to find generations worth regenerating
+    if (req.query.qualityBelow) {
+      filter["quality.score"] = { $lt: parseInt(req.query.qualityBelow) };
+    }
+
     if (req.query.location) {
       filter["businessDetails.location"] = new RegExp(req.query.location, "i");
     }
@@ -106,7 +738,7 @@ export const getHistory = async (req, res) => {
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
-        .select("-prompt"), // Exclude prompt for performance
+        .select("-prompt -revisions"), // Exclude prompt and edit history for performance
       ContentGeneration.countDocuments(filter),
     ]);
 
@@ -287,8 +919,36 @@ export const getStats = async (req, res) => {
 
 export const modifyContent = async (req, res) => {
   try {
-    const { originalContent, businessName, userRequest, conversationHistory } =
-      req.body;
+    const {
+      contentId,
+      businessName,
+      userRequest,
+      conversationHistory,
+      provider,
+      profileId,
+    } = req.body;
+    if (!checkProviderChoice(req, res, provider)) return;
+
+    const profile = await loadProfile(req, res, profileId);
+    if (profile === undefined) return;
+
+    // With a contentId the edit is saved as a revision of that record
+    let contentRecord = null;
+    if (contentId) {
+      contentRecord = await ContentGeneration.findOne({
+        _id: contentId,
+        user: req.user._id,
+      });
+
+      if (!contentRecord) {
+        return res.status(404).json({
+          error: "Content not found",
+        });
+      }
+    }
+
+    const originalContent =
+      req.body.originalContent || contentRecord?.generatedContent;
 
     if (!originalContent || !userRequest) {
       return res.status(400).json({
@@ -296,40 +956,83 @@ export const modifyContent = async (req, res) => {
       });
     }
 
-    // Build modification prompt
-    const modificationPrompt = `
-You are an expert content writer specializing in business content for Nepali SMEs. 
-Your task is to modify the existing content based on the user's request.
-
-Original Content:
-"""
-${originalContent}
-"""
+    // Earlier requests on the saved record stand in for client-side history
+    const history =
+      conversationHistory ||
+      contentRecord?.revisions
+        .filter((revision) => revision.userRequest)
+        .map((revision) => ({ type: "user", content: revision.userRequest }));
 
-Business Name: ${businessName || "N/A"}
+    // Brand rules from the given profile, else the record's profile snapshot
+    const brand = profile
+      ? profile.toBusinessDetails()
+      : contentRecord?.businessDetails || {};
 
-User Request: ${userRequest}
+    // Everything the client sent is interpolated into the prompt
+    const inputCheck = moderateInput(res, {
+      userRequest,
+      businessName,
+      originalContent: req.body.originalContent,
+      conversationHistory: history?.map((message) => message.content),
+    });
+    if (!inputCheck) return;
+    const checked = inputCheck.fields;
 
-Previous Conversation Context:
-${
-  conversationHistory?.map((msg) => `${msg.type}: ${msg.content}`).join("\n") ||
-  "No previous context"
-}
+    // Generate modified content using AI service
+    const aiResult = await AIService.modifyContent(
+      {
+        originalContent: checked.originalContent || originalContent,
+        businessName: checked.businessName || brand.businessName,
+        userRequest: checked.userRequest,
+        conversationHistory: history?.map((message, index) => ({
+          ...message,
+          content: checked.conversationHistory[index],
+        })),
+        language:
+          contentRecord?.language ||
+          contentRecord?.promptTemplate?.language ||
+          profile?.preferredLanguage,
+        brandTone: brand.brandTone,
+        bannedWords: brand.bannedWords,
+        mustMentionPhrases: brand.mustMentionPhrases,
+      },
+      {
+        provider,
+        plan: req.user?.subscription.plan,
+        structured: Boolean(contentRecord?.structuredContent),
+        contentType: contentRecord?.contentType,
+      }
+    );
 
-Instructions:
-1. Carefully analyze the user's request and modify the content accordingly
-2. Maintain the professional tone suitable for Nepali businesses
-3. Keep the essential business information intact
-4. Ensure the modified content is SEO-friendly and voice search optimized
-5. If adding keywords, make them natural and contextual
-6. Return only the modified content, no explanations
+    const output = moderation.checkOutput(aiResult);
+    const moderationRecord = moderation.buildRecord(
+      inputCheck.findings,
+      output.findings
+    );
 
-Modified Content:`;
+    // Blocked edits never become a revision
+    if (output.blocked) {
+      return res.status(422).json({
+        success: false,
+        error: BLOCKED_OUTPUT_ERROR,
+        moderation: moderationRecord,
+      });
+    }
 
-    // Generate modified content using AI service
-    const aiResult = await AIService.generateModifiedContent(
-      modificationPrompt
-    );
+    let revision = null;
+    if (contentRecord) {
+      revision = contentRecord.addRevision({
+        content: output.content,
+        structuredContent: output.structuredContent,
+        source: "modification",
+        userRequest: checked.userRequest,
+        model: aiResult.model,
+        provider: aiResult.provider,
+        tokensUsed: aiResult.tokensUsed,
+      });
+      contentRecord.moderation = moderationRecord;
+      await contentRecord.save();
+    }
 
     // Increment user usage count if authenticated
     if (req.user) {
@@ -341,9 +1044,15 @@ Modified Content:`;
 
     res.json({
       success: true,
-      modifiedContent: aiResult.content,
+      modifiedContent: output.content,
+      structuredContent: output.structuredContent,
+      moderation: moderationRecord,
       tokensUsed: aiResult.tokensUsed,
       model: aiResult.model,
+      provider: aiResult.provider,
+      promptTemplate: aiResult.promptTemplate,
+      contentId: contentRecord?._id || null,
+      revision: revision?.number || null,
       modifications: aiResult.modifications || [],
     });
   } catch (error) {
@@ -353,3 +1062,840 @@ Modified Content:`;
     });
   }
 };
+
+// SEO pack for the current revision. ?format=html returns a <head> snippet;
+// ?download=true sends either format as a file.
+export const getSeoPack = async (req, res) => {
+  try {
+    const content = await ContentGeneration.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      status: "success",
+    });
+
+    if (!content) {
+      return res.status(404).json({
+        error: "Content not found",
+      });
+    }
+
+    const pack = buildSeoPack(content);
+    const html = req.query.format === "html";
+
+    if (req.query.download === "true") {
+      res.attachment(`${pack.slug || "content"}-seo.${html ? "html" : "json"}`);
+    }
+
+    if (html) {
+      return res.type("html").send(renderSeoPackHtml(pack));
+    }
+
+    res.json({ seo: pack });
+  } catch (error) {
+    console.error("Get SEO pack error:", error);
+    res.status(500).json({
+      error: "Error building SEO pack",
+    });
+  }
+};
+
+// Revision list without the full text of every version
+export const getRevisions = async (req, res) => {
+  try {
+    const content = await ContentGeneration.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!content) {
+      return res.status(404).json({
+        error: "Content not found",
+      });
+    }
+
+    const revisions = content.revisions.length
+      ? content.revisions
+      : [content.getRevision(1)];
+
+    res.json({
+      currentRevision: content.currentRevision,
+      revisions: revisions.map((revision) => ({
+        number: revision.number,
+        source: revision.source,
+        userRequest: revision.userRequest,
+        restoredFrom: revision.restoredFrom,
+        model: revision.model,
+        provider: revision.provider,
+        tokensUsed: revision.tokensUsed,
+        createdAt: revision.createdAt,
+        preview: revision.content.substring(0, 200),
+      })),
+    });
+  } catch (error) {
+    console.error("Get revisions error:", error);
+    res.status(500).json({
+      error: "Error fetching revisions",
+    });
+  }
+};
+
+export const getRevision = async (req, res) => {
+  try {
+    const content = await ContentGeneration.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    const revision = content?.getRevision(parseInt(req.params.revision));
+
+    if (!revision) {
+      return res.status(404).json({
+        error: "Revision not found",
+      });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    console.error("Get revision error:", error);
+    res.status(500).json({
+      error: "Error fetching revision",
+    });
+  }
+};
+
+// ?from=1&to=3 (defaults: previous revision -> current)
+export const diffRevisions = async (req, res) => {
+  try {
+    const content = await ContentGeneration.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!content) {
+      return res.status(404).json({
+        error: "Content not found",
+      });
+    }
+
+    const to = parseInt(req.query.to) || content.currentRevision;
+    const from = parseInt(req.query.from) || Math.max(to - 1, 1);
+    const fromRevision = content.getRevision(from);
+    const toRevision = content.getRevision(to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        error: "Revision not found",
+      });
+    }
+
+    res.json({
+      from,
+      to,
+      ...diffWords(fromRevision.content, toRevision.content),
+    });
+  } catch (error) {
+    console.error("Diff revisions error:", error);
+    res.status(500).json({
+      error: "Error comparing revisions",
+    });
+  }
+};
+
+// Restoring appends a copy of the old revision so no history is lost
+export const restoreRevision = async (req, res) => {
+  try {
+    const content = await ContentGeneration.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    const number = parseInt(req.params.revision);
+    const revision = content?.getRevision(number);
+
+    if (!revision) {
+      return res.status(404).json({
+        error: "Revision not found",
+      });
+    }
+
+    if (number === content.currentRevision) {
+      return res.status(400).json({
+        error: "Revision is already current",
+      });
+    }
+
+    const restored = content.addRevision({
+      content: revision.content,
+      structuredContent: revision.structuredContent,
+      source: "restore",
+      restoredFrom: number,
+    });
+    await content.save();
+
+    res.json({
+      message: `Revision ${number} restored`,
+      currentRevision: restored.number,
+      content: content.generatedContent,
+      structuredContent: content.structuredContent,
+    });
+  } catch (error) {
+    console.error("Restore revision error:", error);
+    res.status(500).json({
+      error: "Error restoring revision",
+    });
+  }
+};
+
+// Narrate a translated record straight away. Failures are reported alongside
+// the translation rather than failing the whole request.
+const generateTranslationAudio = async (req, record, voice = "default") => {
+  if (!req.user.canGenerateAudio()) {
+    return {
+      audio: null,
+      audioError: "Monthly audio generation limit reached",
+    };
+  }
+
+  try {
+    const lexicon = await lexiconService.getLexicon({
+      user: req.user._id,
+      profile: record.businessDetails.profile,
+      language: record.language,
+    });
+    const audioResult = await audioService.generateAudio(
+      record.generatedContent,
+      { language: record.language, voice, lexicon, style: "storytelling" }
+    );
+
+    const audioGeneration = await new AudioGeneration({
+      user: req.user._id,
+      content: record.generatedContent,
+      language: record.language,
+      audioUrl: audioResult.audioUrl,
+      storage: audioResult.storage,
+      duration: audioResult.duration,
+      voice,
+      engine: audioResult.engine,
+      businessName: record.businessDetails.businessName,
+      businessProfile: record.businessDetails.profile,
+      contentType: record.contentType,
+      fileSize: audioResult.fileSize,
+      metadata: audioResult.metadata,
+    }).save();
+
+    await req.user.incrementAudioUsage();
+
+    return {
+      audio: {
+        id: audioGeneration._id,
+        url: audioResult.audioUrl,
+        duration: audioResult.duration,
+        language: record.language,
+        voice,
+        engine: audioResult.engine,
+      },
+      audioError: null,
+    };
+  } catch (error) {
+    console.error("Translation audio error:", error);
+    return { audio: null, audioError: "Audio generation failed" };
+  }
+};
+
+// Translate a saved record into the other language as a new, linked record
+export const translateContent = async (req, res) => {
+  try {
+    const { error, value } = translationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+      });
+    }
+    if (!checkProviderChoice(req, res, value.provider)) return;
+
+    const source = await ContentGeneration.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      status: "success",
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: "Content not found",
+      });
+    }
+
+    const sourceLanguage =
+      source.language || source.promptTemplate?.language || "en";
+    const targetLanguage =
+      value.targetLanguage || (sourceLanguage === "en" ? "ne" : "en");
+
+    if (targetLanguage === sourceLanguage) {
+      return res.status(400).json({
+        success: false,
+        error: `Content is already in ${targetLanguage}`,
+      });
+    }
+
+    const aiResult = await AIService.translateContent(
+      {
+        content: source.generatedContent,
+        structuredContent: source.structuredContent,
+        businessName: source.businessDetails.businessName,
+        contentType: source.contentType,
+        sourceLanguage,
+        targetLanguage,
+      },
+      { provider: value.provider, plan: req.user.subscription.plan }
+    );
+
+    const output = moderation.checkOutput(aiResult);
+    if (output.blocked) {
+      return res.status(422).json({
+        success: false,
+        error: BLOCKED_OUTPUT_ERROR,
+        moderation: moderation.buildRecord(output.findings),
+      });
+    }
+
+    const translation = new ContentGeneration({
+      user: req.user._id,
+      businessDetails: source.businessDetails,
+      contentType: source.contentType,
+      language: targetLanguage,
+      translatedFrom: source._id,
+      generatedContent: output.content,
+      structuredContent: output.structuredContent,
+      moderation: moderation.buildRecord(output.findings),
+      prompt: aiResult.prompt,
+      promptTemplate: aiResult.promptTemplate,
+      model: aiResult.model,
+      provider: aiResult.provider,
+      tokensUsed: aiResult.tokensUsed,
+      tone: source.tone,
+      metadata: {
+        generationTime: aiResult.generationTime,
+      },
+    });
+    await translation.save();
+
+    // Switching Nepali scripts is a local transliteration and costs no credit
+    if (!aiResult.transliterated) {
+      await req.user.incrementContentUsage();
+    }
+
+    const { audio, audioError } = value.generateAudio
+      ? await generateTranslationAudio(req, translation, value.voice)
+      : { audio: null, audioError: null };
+
+    res.json({
+      success: true,
+      id: translation._id,
+      translatedFrom: source._id,
+      language: targetLanguage,
+      content: output.content,
+      structuredContent: output.structuredContent,
+      tokensUsed: aiResult.tokensUsed,
+      generationTime: aiResult.generationTime,
+      model: aiResult.model,
+      provider: aiResult.provider,
+      transliterated: Boolean(aiResult.transliterated),
+      audio,
+      ...(audioError && { audioError }),
+    });
+  } catch (error) {
+    console.error("Translation error:", error);
+
+    if (error.message.includes("AI service")) {
+      return res.status(503).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to translate content. Please try again.",
+    });
+  }
+};
+
+// The original plus every translation linked to it, whichever one is asked for
+export const getTranslations = async (req, res) => {
+  try {
+    const content = await ContentGeneration.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    }).select("translatedFrom");
+
+    if (!content) {
+      return res.status(404).json({
+        error: "Content not found",
+      });
+    }
+
+    const originalId = content.translatedFrom || content._id;
+    const records = await ContentGeneration.find({
+      user: req.user._id,
+      $or: [{ _id: originalId }, { translatedFrom: originalId }],
+    })
+      .sort({ createdAt: 1 })
+      .select("-prompt -revisions");
+
+    res.json({
+      originalId,
+      translations: records.map((record) => ({
+        id: record._id,
+        language: record.language || record.promptTemplate?.language || "en",
+        isOriginal: record._id.equals(originalId),
+        content: record.generatedContent,
+        structuredContent: record.structuredContent,
+        createdAt: record.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error("Get translations error:", error);
+    res.status(500).json({
+      error: "Error fetching translations",
+    });
+  }
+};
+
+// Bulk uploads
+
+const getRemainingCredits = (user) =>
+  user.isDeveloper() || user.subscription.plan === "pro_plus"
+    ? Infinity
+    : Math.max(
+        user.subscription.monthlyLimits.content -
+          user.subscription.usageCount.content,
+        0
+      );
+
+// CSV cells are always strings; an empty cell means "not given"
+const cleanBatchInput = (input) =>
+  Object.fromEntries(
+    Object.entries(input || {}).filter(
+      ([, value]) => value !== "" && value !== null && value !== undefined
+    )
+  );
+
+const loadBatchProfiles = async (user, inputs) => {
+  const ids = inputs
+    .map((input) => input.profileId)
+    .filter((id) => mongoose.isValidObjectId(id));
+  if (ids.length === 0) return new Map();
+
+  const profiles = await BusinessProfile.find({
+    _id: { $in: ids },
+    user: user._id,
+  });
+  return new Map(profiles.map((profile) => [profile._id.toString(), profile]));
+};
+
+// Validate one uploaded row and resolve it to businessDetails. Invalid and
+// blocked rows are kept as failed so they can be corrected and retried.
+const resolveBatchRow = (input, profiles, defaults = {}) => {
+  const { error, value } = batchRowSchema.validate(input, {
+    stripUnknown: true,
+  });
+  if (error) {
+    return { status: "failed", error: error.details[0].message };
+  }
+
+  const profile = value.profileId ? profiles.get(value.profileId) : null;
+  if (value.profileId && !profile) {
+    return { status: "failed", error: "Business profile not found" };
+  }
+
+  const businessDetails = getBusinessDetails(
+    {
+      ...value,
+      preferredLanguage:
+        value.preferredLanguage ||
+        profile?.preferredLanguage ||
+        defaults.preferredLanguage,
+    },
+    profile
+  );
+  businessDetails.tone = value.tone;
+
+  const inputCheck = moderation.checkInput(
+    Object.fromEntries(
+      PROMPT_FIELDS.map((field) => [field, businessDetails[field]])
+    )
+  );
+  if (inputCheck.blocked) {
+    return {
+      status: "failed",
+      error: "Blocked by our content policy",
+      inputFindings: inputCheck.findings,
+    };
+  }
+  Object.assign(businessDetails, inputCheck.fields);
+
+  return {
+    status: "pending",
+    error: null,
+    businessDetails,
+    inputFindings: inputCheck.findings,
+  };
+};
+
+const formatBatchRow = (row) => ({
+  index: row.index,
+  status: row.status,
+  error: row.error || null,
+  businessName:
+    row.businessDetails?.businessName || row.input?.business_name || null,
+  contentId: row.content,
+  attempts: row.attempts,
+});
+
+const notEnoughCredits = (res, requested, remaining) =>
+  res.status(429).json({
+    success: false,
+    error: `This batch needs ${requested} content credits but you have ${remaining} left this month.`,
+    requested,
+    remaining,
+  });
+
+export const createBatch = async (req, res) => {
+  try {
+    // Raw CSV uploads (Content-Type: text/csv) pass their options in the query
+    const body =
+      typeof req.body === "string" ? { ...req.query, csv: req.body } : req.body;
+
+    const { error, value } = batchSchema.validate(body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+      });
+    }
+    if (!checkProviderChoice(req, res, value.provider)) return;
+
+    let inputs;
+    try {
+      inputs = (value.csv ? parseCsv(value.csv) : value.businesses).map(
+        cleanBatchInput
+      );
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: parseError.message,
+      });
+    }
+
+    if (inputs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No businesses found in the upload",
+      });
+    }
+    if (inputs.length > MAX_BATCH_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch can contain at most ${MAX_BATCH_ROWS} businesses`,
+      });
+    }
+
+    const profiles = await loadBatchProfiles(req.user, inputs);
+    const rows = inputs.map((input, index) => ({
+      index,
+      input,
+      ...resolveBatchRow(input, profiles, value),
+    }));
+
+    const pending = rows.filter((row) => row.status === "pending");
+    if (!(await req.user.reserveContentCredits(pending.length))) {
+      return notEnoughCredits(
+        res,
+        pending.length,
+        getRemainingCredits(req.user)
+      );
+    }
+    pending.forEach((row) => (row.reserved = true));
+
+    const batch = new BatchJob({
+      user: req.user._id,
+      name: value.name,
+      source: value.csv ? "csv" : "json",
+      options: {
+        provider: value.provider,
+        cache: value.cache,
+        preferredLanguage: value.preferredLanguage,
+      },
+      rows,
+    });
+    batch.finish(); // Nothing to run when every row was rejected
+    try {
+      await batch.save();
+    } catch (error) {
+      await req.user.refundContentCredits(pending.length);
+      throw error;
+    }
+
+    if (pending.length > 0) {
+      await batchService.start(batch._id, req.user._id);
+    }
+
+    res.status(202).json({
+      success: true,
+      batch: batch.toSummary(),
+      rows: batch.rows.map(formatBatchRow),
+    });
+  } catch (error) {
+    console.error("Create batch error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Error creating batch",
+    });
+  }
+};
+
+export const getBatches = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const filter = { user: req.user._id };
+
+    const [batches, total] = await Promise.all([
+      BatchJob.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BatchJob.countDocuments(filter),
+    ]);
+
+    res.json({
+      batches: batches.map((batch) => batch.toSummary()),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: batches.length,
+        totalRecords: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get batches error:", error);
+    res.status(500).json({
+      error: "Error fetching batches",
+    });
+  }
+};
+
+export const getBatch = async (req, res) => {
+  try {
+    const batch = await BatchJob.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        error: "Batch not found",
+      });
+    }
+
+    res.json({
+      batch: batch.toSummary(),
+      rows: batch.rows.map(formatBatchRow),
+    });
+  } catch (error) {
+    console.error("Get batch error:", error);
+    res.status(500).json({
+      error: "Error fetching batch",
+    });
+  }
+};
+
+// Re-queue failed rows: all of them, or the indices in body.rows. With a single
+// row (POST /batches/:id/rows/:index/retry) the body may correct its fields.
+export const retryBatchRows = async (req, res) => {
+  try {
+    const batch = await BatchJob.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        error: "Batch not found",
+      });
+    }
+
+    const single = req.params.index !== undefined;
+    const indices = single
+      ? [parseInt(req.params.index)]
+      : Array.isArray(req.body?.rows)
+      ? req.body.rows.map((index) => parseInt(index))
+      : null;
+
+    const rows = batch.rows.filter(
+      (row) =>
+        row.status === "failed" && (!indices || indices.includes(row.index))
+    );
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: "No failed rows to retry",
+      });
+    }
+
+    const corrections = single ? cleanBatchInput(req.body) : {};
+    const inputs = rows.map((row) => ({ ...row.input, ...corrections }));
+    const profiles = await loadBatchProfiles(req.user, inputs);
+
+    const resolved = rows.map((row, i) => ({
+      row,
+      input: inputs[i],
+      ...resolveBatchRow(inputs[i], profiles, batch.options),
+    }));
+
+    const pending = resolved.filter(({ status }) => status === "pending");
+    if (!(await req.user.reserveContentCredits(pending.length))) {
+      return notEnoughCredits(
+        res,
+        pending.length,
+        getRemainingCredits(req.user)
+      );
+    }
+
+    // Row by row and only while still failed: a run in progress updates rows
+    // in place, and saving the whole array would undo its work
+    let queued = 0;
+    try {
+      for (const { row, input, ...result } of resolved) {
+        const { modifiedCount } = await batchService.updateRow(
+          batch._id,
+          row.index,
+          {
+            input,
+            content: null,
+            reserved: result.status === "pending",
+            ...result,
+          },
+          { status: "failed" }
+        );
+        if (modifiedCount > 0 && result.status === "pending") queued++;
+      }
+    } finally {
+      if (pending.length > queued) {
+        await req.user.refundContentCredits(pending.length - queued);
+      }
+    }
+
+    if (queued > 0) {
+      await BatchJob.updateOne(
+        { _id: batch._id, status: { $ne: "processing" } },
+        { $set: { status: "pending", completedAt: null } }
+      );
+      await batchService.start(batch._id, req.user._id);
+    }
+
+    const updated = await BatchJob.findById(batch._id);
+    const retried = resolved.map(({ row }) => row.index);
+    res.json({
+      success: true,
+      batch: updated.toSummary(),
+      rows: updated.rows
+        .filter((row) => retried.includes(row.index))
+        .map(formatBatchRow),
+    });
+  } catch (error) {
+    console.error("Retry batch error:", error);
+    res.status(500).json({
+      error: "Error retrying batch rows",
+    });
+  }
+};
+
+const BATCH_CSV_COLUMNS = [
+  "row",
+  "status",
+  "business_name",
+  "location",
+  "business_type",
+  "language",
+  "content_id",
+  "content",
+  "error",
+];
+
+// ?format=csv for one spreadsheet, otherwise a ZIP with a text file per
+// generated row plus summary.csv
+export const downloadBatch = async (req, res) => {
+  try {
+    const batch = await BatchJob.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        error: "Batch not found",
+      });
+    }
+
+    const records = await ContentGeneration.find({
+      _id: { $in: batch.rows.map((row) => row.content).filter(Boolean) },
+      user: req.user._id,
+      status: "success",
+    }).select("generatedContent language");
+    const recordsById = new Map(
+      records.map((record) => [record._id.toString(), record])
+    );
+
+    const results = batch.rows.map((row) => {
+      const details = row.businessDetails || {};
+      const record =
+        row.status === "success" && recordsById.get(String(row.content));
+
+      return {
+        row: row.index + 1,
+        status: row.status,
+        business_name: details.businessName || row.input?.business_name,
+        location: details.location || row.input?.location,
+        business_type: details.businessType || row.input?.business_type,
+        language: record?.language || details.preferredLanguage,
+        content_id: record ? record._id : "",
+        content: record ? record.generatedContent : "",
+        error: row.error || "",
+      };
+    });
+
+    const baseName = slugify(batch.name) || `batch-${batch._id}`;
+
+    if (req.query.format === "csv") {
+      res.attachment(`${baseName}.csv`);
+      return res.type("text/csv").send(toCsv(results, BATCH_CSV_COLUMNS));
+    }
+
+    const files = results
+      .filter((result) => result.content)
+      .map((result) => ({
+        name: `${String(result.row).padStart(3, "0")}-${
+          slugify(result.business_name) || "content"
+        }.txt`,
+        content: result.content,
+      }));
+    files.push({
+      name: "summary.csv",
+      content: toCsv(
+        results,
+        BATCH_CSV_COLUMNS.filter((column) => column !== "content")
+      ),
+    });
+
+    res.attachment(`${baseName}.zip`);
+    res.type("application/zip").send(createZip(files));
+  } catch (error) {
+    console.error("Download batch error:", error);
+    res.status(500).json({
+      error: "Error downloading batch",
+    });
+  }
+};
@@ -0,0 +1,85 @@
+import Job from "../models/Job.js";
+import jobQueue from "../services/jobQueue.js";
+
+export const getJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { user: req.user._id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Job.countDocuments(filter),
+    ]);
+
+    res.json({
+      jobs: jobs.map((job) => job.toSummary()),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: jobs.length,
+        totalRecords: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get jobs error:", error);
+    res.status(500).json({
+      error: "Error fetching jobs",
+    });
+  }
+};
+
+export const getJob = async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found",
+      });
+    }
+
+    res.json({ job: job.toSummary() });
+  } catch (error) {
+    console.error("Get job error:", error);
+    res.status(500).json({
+      error: "Error fetching job",
+    });
+  }
+};
+
+export const cancelJob = async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.params.id, { user: req.user._id });
+
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found",
+      });
+    }
+
+    if (!job.cancelRequested) {
+      return res.status(409).json({
+        error: `Job already ${job.status}`,
+        job: job.toSummary(),
+      });
+    }
+
+    res.json({ success: true, job: job.toSummary() });
+  } catch (error) {
+    console.error("Cancel job error:", error);
+    res.status(500).json({
+      error: "Error cancelling job",
+    });
+  }
+};
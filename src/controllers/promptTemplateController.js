@@ -0,0 +1,180 @@
+import PromptTemplate from "../models/PromptTemplate.js";
+import ContentGeneration from "../models/ContentGeneration.js";
+import promptTemplates from "../services/promptTemplateService.js";
+import {
+  promptTemplateSchema,
+  promptTemplateRollbackSchema,
+} from "../utils/validation.js";
+
+export const listTemplates = async (req, res) => {
+  try {
+    const templates = await promptTemplates.listVersions(
+      req.query.key,
+      req.query.language
+    );
+
+    res.json({ templates });
+  } catch (error) {
+    console.error("List prompt templates error:", error);
+    res.status(500).json({
+      error: "Error fetching prompt templates",
+    });
+  }
+};
+
+// Live template (published or built-in) for a key/language
+export const getActiveTemplate = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const language = req.query.language || "en";
+
+    if (!promptTemplates.isKnownKey(key)) {
+      return res.status(404).json({
+        error: "Unknown template key",
+      });
+    }
+
+    const template = await promptTemplates.resolve(key, language);
+
+    res.json({
+      template,
+      variables: promptTemplates.getAllowedVariables(key),
+    });
+  } catch (error) {
+    console.error("Get active prompt template error:", error);
+    res.status(500).json({
+      error: "Error fetching prompt template",
+    });
+  }
+};
+
+export const createTemplate = async (req, res) => {
+  try {
+    const { error, value } = promptTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+      });
+    }
+
+    if (!promptTemplates.isKnownKey(value.key)) {
+      return res.status(400).json({
+        error: `Unknown template key: ${value.key}`,
+      });
+    }
+
+    const unknownVariables = promptTemplates.getUnknownVariables(
+      value.key,
+      value.body
+    );
+    if (unknownVariables.length > 0) {
+      return res.status(400).json({
+        error: `Unknown template variables: ${unknownVariables.join(", ")}`,
+        allowed: promptTemplates.getAllowedVariables(value.key),
+      });
+    }
+
+    let template = await promptTemplates.createVersion(value, req.user._id);
+    if (value.publish) {
+      template = await promptTemplates.publish(template);
+    }
+
+    res.status(201).json({
+      message: value.publish
+        ? `Template version ${template.version} published`
+        : `Template version ${template.version} saved as draft`,
+      template,
+    });
+  } catch (error) {
+    console.error("Create prompt template error:", error);
+    res.status(500).json({
+      error: "Error creating prompt template",
+    });
+  }
+};
+
+// Publishing an older version is also how a specific rollback is done
+export const publishTemplate = async (req, res) => {
+  try {
+    const template = await PromptTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        error: "Template not found",
+      });
+    }
+
+    await promptTemplates.publish(template);
+
+    res.json({
+      message: `Template version ${template.version} published`,
+      template,
+    });
+  } catch (error) {
+    console.error("Publish prompt template error:", error);
+    res.status(500).json({
+      error: "Error publishing prompt template",
+    });
+  }
+};
+
+export const rollbackTemplate = async (req, res) => {
+  try {
+    const { error, value } = promptTemplateRollbackSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+      });
+    }
+
+    const template = await promptTemplates.rollback(value.key, value.language);
+
+    if (!template) {
+      return res.status(404).json({
+        error: "No published version to roll back",
+      });
+    }
+
+    res.json({
+      message: `Rolled back to version ${template.version}`,
+      template,
+    });
+  } catch (error) {
+    console.error("Rollback prompt template error:", error);
+    res.status(500).json({
+      error: "Error rolling back prompt template",
+    });
+  }
+};
+
+// Average rating and volume per template version
+export const getTemplateStats = async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.key) match["promptTemplate.key"] = req.query.key;
+
+    const stats = await ContentGeneration.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            key: "$promptTemplate.key",
+            language: "$promptTemplate.language",
+            version: "$promptTemplate.version",
+          },
+          generations: { $sum: 1 },
+          rated: { $sum: { $cond: [{ $ifNull: ["$rating", false] }, 1, 0] } },
+          averageRating: { $avg: "$rating" },
+        },
+      },
+      { $sort: { "_id.key": 1, "_id.language": 1, "_id.version": -1 } },
+    ]);
+
+    res.json({ stats });
+  } catch (error) {
+    console.error("Prompt template stats error:", error);
+    res.status(500).json({
+      error: "Error fetching prompt template stats",
+    });
+  }
+};
@@ -0,0 +1,238 @@
+import PronunciationEntry from "../models/PronunciationEntry.js";
+import BusinessProfile from "../models/BusinessProfile.js";
+import audioService from "../services/cloudinaryAudioService.js";
+import audioStorage from "../services/audioStorage.js";
+import {
+  pronunciationSchema,
+  pronunciationUpdateSchema,
+  pronunciationPreviewSchema,
+} from "../utils/validation.js";
+
+const DUPLICATE_ERROR =
+  "A pronunciation for this word already exists for that profile and language";
+
+// Maps validated fields to the model, checking the profile belongs to the user.
+// Returns null when it doesn't.
+const toEntryFields = async (req, value) => {
+  const { profileId, ...fields } = value;
+  if (profileId === undefined) return fields;
+
+  if (profileId) {
+    const profile = await BusinessProfile.exists({
+      _id: profileId,
+      user: req.user._id,
+    });
+    if (!profile) return null;
+  }
+  return { ...fields, businessProfile: profileId };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Written forms differing only in case clash unless both entries are case
+// sensitive, since the lexicon matches the others case-insensitively
+const findDuplicate = async (req, fields, excludeId) => {
+  const matches = await PronunciationEntry.find({
+    user: req.user._id,
+    businessProfile: fields.businessProfile ?? null,
+    language: fields.language ?? null,
+    written: new RegExp(`^${escapeRegExp(fields.written)}$`, "i"),
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).select("written caseSensitive");
+
+  return matches.some(
+    (entry) =>
+      entry.written === fields.written ||
+      !(entry.caseSensitive && fields.caseSensitive)
+  );
+};
+
+// ?profileId=<id> lists one profile's entries, ?profileId=none the
+// account-wide ones; ?language filters by language
+export const listEntries = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.profileId) {
+      filter.businessProfile =
+        req.query.profileId === "none" ? null : req.query.profileId;
+    }
+    if (req.query.language) {
+      filter.language = req.query.language;
+    }
+
+    const entries = await PronunciationEntry.find(filter)
+      .sort({ written: 1 })
+      .select("-__v");
+
+    res.json({ entries });
+  } catch (error) {
+    console.error("List pronunciations error:", error);
+    res.status(500).json({
+      error: "Error fetching pronunciations",
+    });
+  }
+};
+
+export const createEntry = async (req, res) => {
+  try {
+    const { error, value } = pronunciationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+      });
+    }
+
+    const fields = await toEntryFields(req, value);
+    if (!fields) {
+      return res.status(404).json({
+        error: "Business profile not found",
+      });
+    }
+    if (await findDuplicate(req, fields)) {
+      return res.status(409).json({ error: DUPLICATE_ERROR });
+    }
+
+    const entry = await new PronunciationEntry({
+      ...fields,
+      user: req.user._id,
+    }).save();
+
+    res.status(201).json({
+      message: "Pronunciation added",
+      entry,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: DUPLICATE_ERROR });
+    }
+    console.error("Create pronunciation error:", error);
+    res.status(500).json({
+      error: "Error adding pronunciation",
+    });
+  }
+};
+
+export const updateEntry = async (req, res) => {
+  try {
+    const { error, value } = pronunciationUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+      });
+    }
+
+    const existing = await PronunciationEntry.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+    if (!existing) {
+      return res.status(404).json({
+        error: "Pronunciation not found",
+      });
+    }
+
+    const fields = await toEntryFields(req, value);
+    if (!fields) {
+      return res.status(404).json({
+        error: "Business profile not found",
+      });
+    }
+    if (
+      await findDuplicate(
+        req,
+        {
+          businessProfile: existing.businessProfile,
+          language: existing.language,
+          written: existing.written,
+          caseSensitive: existing.caseSensitive,
+          ...fields,
+        },
+        existing._id
+      )
+    ) {
+      return res.status(409).json({ error: DUPLICATE_ERROR });
+    }
+
+    existing.set(fields);
+    const entry = await existing.save();
+
+    res.json({
+      message: "Pronunciation updated",
+      entry,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: DUPLICATE_ERROR });
+    }
+    console.error("Update pronunciation error:", error);
+    res.status(500).json({
+      error: "Error updating pronunciation",
+    });
+  }
+};
+
+export const deleteEntry = async (req, res) => {
+  try {
+    const entry = await PronunciationEntry.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        error: "Pronunciation not found",
+      });
+    }
+
+    res.json({
+      message: "Pronunciation deleted",
+    });
+  } catch (error) {
+    console.error("Delete pronunciation error:", error);
+    res.status(500).json({
+      error: "Error deleting pronunciation",
+    });
+  }
+};
+
+// Speaks just the entry's spoken form so it can be tuned by ear. The audio
+// is returned directly; nothing is stored or counted against usage.
+export const previewEntry = async (req, res) => {
+  try {
+    const { error, value } = pronunciationPreviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: error.details[0].message,
+      });
+    }
+
+    const entry = await PronunciationEntry.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+    if (!entry) {
+      return res.status(404).json({
+        error: "Pronunciation not found",
+      });
+    }
+
+    const { buffer, format, engine } = await audioService.previewSpeech(
+      entry.spoken,
+      {
+        language: value.language || entry.language || "en",
+        voice: value.voice,
+        engine: value.engine,
+      }
+    );
+
+    res.set("X-TTS-Engine", engine);
+    res.type(audioStorage.getContentType(format));
+    res.send(buffer);
+  } catch (error) {
+    console.error("Preview pronunciation error:", error);
+    res.status(error.status || 500).json({
+      error: "Error previewing pronunciation",
+      message: error.message,
+    });
+  }
+};
@@ -1,4 +1,5 @@
 import User from "../models/User.js";
+import { PLANS } from "../config/plans.js";
 
 export const getSubscriptionInfo = async (req, res) => {
   try {
@@ -109,53 +110,7 @@ export const cancelSubscription = async (req, res) => {
 
 export const getPlans = async (req, res) => {
   try {
-    const plans = {
-      free: {
-        name: "Free",
-        price: 0,
-        currency: "USD",
-        interval: "month",
-        features: {
-          contentGenerations: 2,
-          audioGenerations: 2,
-          languages: ["en", "ne"],
-          support: "email",
-        },
-        description: "Perfect for trying out our service",
-      },
-      pro: {
-        name: "Pro",
-        price: 5,
-        currency: "USD",
-        interval: "month",
-        features: {
-          contentGenerations: 50,
-          audioGenerations: 50,
-          languages: ["en", "ne"],
-          support: "priority email",
-          downloadFormats: ["mp3", "txt", "pdf"],
-        },
-        description: "Great for small businesses",
-      },
-      pro_plus: {
-        name: "Pro Plus",
-        price: 15,
-        currency: "USD",
-        interval: "month",
-        features: {
-          contentGenerations: "unlimited",
-          audioGenerations: "unlimited",
-          languages: ["en", "ne"],
-          support: "priority email & phone",
-          downloadFormats: ["mp3", "txt", "pdf"],
-          customVoices: true,
-          apiAccess: true,
-        },
-        description: "For growing businesses with high volume needs",
-      },
-    };
-
-    res.json({ plans });
+    res.json({ plans: PLANS });
   } catch (error) {
     console.error("Failed to get plans:", error);
     res.status(500).json({
@@ -10,12 +10,19 @@ import connectDatabase from "./config/database.js";
 import passport from "./config/passport.js";
 import { generalLimiter } from "./middleware/rateLimiter.js";
 import KeepAliveService from "./services/keepAliveService.js";
+import jobQueue from "./services/jobHandlers.js";
+import audioStorage from "./services/audioStorage.js";
 
 // Import routes
 import authRoutes from "./routes/auth.js";
 import contentRoutes from "./routes/content.js";
 import audioRoutes from "./routes/audio.js";
 import subscriptionRoutes from "./routes/subscription.js";
+import promptTemplateRoutes from "./routes/promptTemplates.js";
+import businessProfileRoutes from "./routes/businessProfiles.js";
+import batchRoutes from "./routes/batches.js";
+import jobRoutes from "./routes/jobs.js";
+import pronunciationRoutes from "./routes/pronunciations.js";
 import { generateContent } from "./controllers/contentController.js";
 import { optionalAuth, checkUsageLimit } from "./middleware/auth.js";
 import { contentGenerationLimiter } from "./middleware/rateLimiter.js";
@@ -74,10 +81,10 @@ app.use(
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-// Serve static files from uploads/audio directory with proper headers
+// Serve audio saved by the local storage backend with proper headers
 app.use(
   "/uploads/audio",
-  express.static(path.join(__dirname, "../uploads/audio"), {
+  express.static(audioStorage.get("local").getDirectory(), {
     setHeaders: (res, path, stat) => {
       // Set proper CORS headers
       res.set("Access-Control-Allow-Origin", "*");
@@ -139,6 +146,11 @@ app.get("/health", (req, res) => {
 
 // API routes
 app.use("/auth", authRoutes);
+app.use("/api/admin/prompt-templates", promptTemplateRoutes);
+app.use("/api/profiles", businessProfileRoutes);
+app.use("/api/batches", batchRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/pronunciations", pronunciationRoutes);
 app.use("/api", contentRoutes);
 app.use("/api/audio", audioRoutes);
 app.use("/api/subscription", subscriptionRoutes);
@@ -198,9 +210,14 @@ app.listen(PORT, () => {
   );
   console.log(`🔑 Environment: ${process.env.NODE_ENV || "development"}`);
 
-  if (!process.env.GROQ_API_KEY) {
+  if (
+    !process.env.GROQ_API_KEY &&
+    !process.env.OPENAI_API_KEY &&
+    !process.env.OPENAI_BASE_URL &&
+    !process.env.LOCAL_LLM_URL
+  ) {
     console.warn(
-      "⚠️  Warning: GROQ_API_KEY not found in environment variables"
+      "⚠️  Warning: No AI provider configured (GROQ_API_KEY, OPENAI_API_KEY/OPENAI_BASE_URL or LOCAL_LLM_URL)"
     );
   }
 
@@ -210,4 +227,9 @@ app.listen(PORT, () => {
 
   // Start keep-alive service to prevent Render from sleeping
   KeepAliveService.start();
+
+  // Work queued jobs in this process unless a separate worker does (npm run worker)
+  if (process.env.JOB_WORKER_MODE !== "external") {
+    jobQueue.start();
+  }
 });
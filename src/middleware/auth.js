@@ -80,3 +80,14 @@ export const checkUsageLimit = async (req, res, next) => {
     });
   }
 };
+
+// Must run after authenticate
+export const requireAdmin = (req, res, next) => {
+  if (!req.user || (req.user.role !== "admin" && !req.user.isDeveloper())) {
+    return res.status(403).json({
+      error: "Admin access required.",
+    });
+  }
+
+  next();
+};
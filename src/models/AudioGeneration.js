@@ -13,17 +13,23 @@ const audioGenerationSchema = new mongoose.Schema(
     },
     language: {
       type: String,
-      enum: ["en", "ne"], // English and Nepali
+      enum: ["en", "ne", "ne-Latn"], // English, Nepali and Romanized Nepali
       required: true,
     },
     audioUrl: {
       type: String,
       required: true,
     },
-    cloudinaryPublicId: {
-      type: String,
-      required: true,
+    // Where the file lives (see services/audioStorage.js)
+    storage: {
+      backend: {
+        type: String,
+        default: "cloudinary",
+      },
+      key: String,
     },
+    // Records from before storage.key only have the Cloudinary id
+    cloudinaryPublicId: String,
     duration: {
       type: Number, // Duration in seconds
       default: 0,
@@ -32,10 +38,19 @@ const audioGenerationSchema = new mongoose.Schema(
       type: String,
       default: "default",
     },
+    // TTS engine that produced the audio (see services/ttsEngines.js)
+    engine: {
+      type: String,
+      default: null,
+    },
     businessName: {
       type: String,
       trim: true,
     },
+    businessProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BusinessProfile",
+    },
     contentType: {
       type: String,
       enum: [
@@ -50,10 +65,41 @@ const audioGenerationSchema = new mongoose.Schema(
       type: Number, // File size in bytes
       default: 0,
     },
+    // sampleRate, bitrate (kbps) and channels are read from the audio
+    // (see utils/audioProbe.js)
     metadata: {
       sampleRate: Number,
       format: String,
+      // e.g. mp3, opus, pcm_s16le, pcm_mulaw (see services/audioConverter.js)
+      codec: String,
       bitrate: Number,
+      channels: Number,
+      // Post-processing applied (see services/audioProcessor.js); unset
+      // when the audio was stored as synthesized
+      loudness: {
+        method: String, // ffmpeg or builtin
+        targetLufs: Number,
+        inputLufs: Number,
+        outputLufs: Number,
+        peakDb: Number,
+        gainDb: Number,
+        trimmedMs: Number,
+        fadeMs: Number,
+      },
+      // How SSML markup was rendered, when there was any
+      ssml: {
+        type: String,
+        enum: ["native", "emulated", null],
+        default: null,
+      },
+      // Engines that failed before `engine` succeeded
+      engineAttempts: [
+        {
+          _id: false,
+          engine: String,
+          error: String,
+        },
+      ],
     },
   },
   {
@@ -61,9 +107,17 @@ const audioGenerationSchema = new mongoose.Schema(
   }
 );
 
+audioGenerationSchema.methods.getStorageRef = function () {
+  return {
+    backend: this.storage?.backend || "cloudinary",
+    key: this.storage?.key || this.cloudinaryPublicId,
+  };
+};
+
 // Index for efficient queries
 audioGenerationSchema.index({ user: 1, createdAt: -1 });
 audioGenerationSchema.index({ language: 1 });
 audioGenerationSchema.index({ contentType: 1 });
+audioGenerationSchema.index({ engine: 1 });
 
 export default mongoose.model("AudioGeneration", audioGenerationSchema);
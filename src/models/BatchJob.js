@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+
+// One business from the uploaded list. businessDetails is resolved (profile
+// merged, input moderated) when the row is accepted, so processing doesn't
+// need the original request.
+const batchRowSchema = new mongoose.Schema(
+  {
+    index: {
+      type: Number,
+      required: true,
+    },
+    input: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    businessDetails: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    inputFindings: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "success", "failed"],
+      default: "pending",
+    },
+    error: String,
+    content: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ContentGeneration",
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // A content credit was taken for this row when it was queued
+    reserved: {
+      type: Boolean,
+      default: false,
+    },
+    startedAt: Date,
+    completedAt: Date,
+  },
+  { _id: false }
+);
+
+const batchJobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    source: {
+      type: String,
+      enum: ["csv", "json"],
+      required: true,
+    },
+    // Generation options shared by every row
+    options: {
+      provider: String,
+      cache: Boolean,
+      preferredLanguage: String, // For rows without their own (or a profile's)
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "partial", "failed"],
+      default: "pending",
+    },
+    rows: [batchRowSchema],
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+batchJobSchema.index({ user: 1, createdAt: -1 });
+
+// Row counts by status
+batchJobSchema.virtual("counts").get(function () {
+  const counts = { total: this.rows.length };
+  for (const status of ["pending", "processing", "success", "failed"]) {
+    counts[status] = this.rows.filter((row) => row.status === status).length;
+  }
+  return counts;
+});
+
+// Final status once no row is pending or processing
+batchJobSchema.methods.finish = function () {
+  const { total, success, failed } = this.counts;
+  if (success + failed < total) return;
+
+  this.status =
+    failed === 0 ? "completed" : success === 0 ? "failed" : "partial";
+  this.completedAt = new Date();
+};
+
+batchJobSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    source: this.source,
+    status: this.status,
+    counts: this.counts,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+export default mongoose.model("BatchJob", batchJobSchema);
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+const businessProfileSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    businessName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    location: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    businessType: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    productsServices: String,
+    targetCustomers: String,
+    // Brand voice applied to every generation that references this profile
+    brandTone: {
+      type: String,
+      trim: true,
+    },
+    bannedWords: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    mustMentionPhrases: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    preferredVoice: {
+      type: String,
+      default: "default",
+    },
+    preferredLanguage: {
+      type: String,
+      enum: ["en", "ne", "ne-Latn"],
+      default: "en",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+businessProfileSchema.index({ user: 1, businessName: 1 });
+
+// Snapshot stored as ContentGeneration.businessDetails (brand rules included,
+// so AIService can apply them and history keeps what was actually used)
+businessProfileSchema.methods.toBusinessDetails = function () {
+  return {
+    businessName: this.businessName,
+    location: this.location,
+    businessType: this.businessType,
+    productsServices: this.productsServices || "",
+    targetCustomers: this.targetCustomers || "",
+    preferredLanguage: this.preferredLanguage,
+    profile: this._id,
+    profileUpdatedAt: this.updatedAt,
+    brandTone: this.brandTone,
+    bannedWords: [...this.bannedWords],
+    mustMentionPhrases: [...this.mustMentionPhrases],
+  };
+};
+
+export default mongoose.model("BusinessProfile", businessProfileSchema);
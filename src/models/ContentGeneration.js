@@ -1,4 +1,52 @@
 import mongoose from "mongoose";
+import { analyzeContent } from "../utils/contentQuality.js";
+
+// Story / FAQ / search phrases split out of the generated text
+const structuredContentType = {
+  story: String,
+  faq: [
+    {
+      _id: false,
+      question: String,
+      answer: String,
+    },
+  ],
+  searchPhrases: [String],
+};
+
+// One saved version of the content; revision 1 is the original generation
+const revisionSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    structuredContent: {
+      type: structuredContentType,
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ["original", "modification", "restore"],
+      required: true,
+    },
+    userRequest: String,
+    restoredFrom: Number,
+    model: String,
+    provider: String,
+    tokensUsed: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
 
 const contentGenerationSchema = new mongoose.Schema(
   {
@@ -22,23 +70,87 @@ const contentGenerationSchema = new mongoose.Schema(
       },
       productsServices: String,
       targetCustomers: String,
+      // Snapshot of the Business Profile used, so later profile edits don't
+      // rewrite history
+      profile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "BusinessProfile",
+      },
+      profileUpdatedAt: Date,
+      brandTone: String,
+      bannedWords: [String],
+      mustMentionPhrases: [String],
+    },
+    contentType: {
+      type: String,
+      enum: [
+        "business_description",
+        "faq",
+        "service_description",
+        "product_description",
+      ],
+      default: "business_description",
+    },
+    // Output language; older records only have promptTemplate.language
+    language: {
+      type: String,
+      enum: ["en", "ne", "ne-Latn"],
+    },
+    // Set on translations, pointing at the record they were translated from
+    translatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ContentGeneration",
+      default: null,
+    },
+    // Set on records generated by a bulk upload
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BatchJob",
+      default: null,
     },
     generatedContent: {
       type: String,
-      required: true,
+      // Streamed generations are saved as "processing" before any text arrives
+      required: function () {
+        return this.status === "success";
+      },
+    },
+    // Parsed sections of generatedContent; null when the model output couldn't be parsed
+    structuredContent: {
+      type: structuredContentType,
+      default: null,
     },
     prompt: {
       type: String,
       required: true,
     },
+    // Which prompt template version produced this record (version 0 = built-in)
+    promptTemplate: {
+      key: String,
+      language: String,
+      version: Number,
+      template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PromptTemplate",
+      },
+    },
     model: {
       type: String,
       default: "llama-3.1-8b-instant",
     },
+    provider: {
+      type: String,
+      default: "groq",
+    },
     tokensUsed: {
       type: Number,
       default: 0,
     },
+    // Output came from the shared generation cache, not a fresh AI call
+    cacheHit: {
+      type: Boolean,
+      default: false,
+    },
     rating: {
       type: Number,
       min: 1,
@@ -60,11 +172,86 @@ const contentGenerationSchema = new mongoose.Schema(
       enum: ["success", "failed", "processing"],
       default: "success",
     },
+    // Multi-variant generations share a group id; one variant can be selected
+    generationGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    tone: String,
+    isSelectedVariant: {
+      type: Boolean,
+      default: false,
+    },
+    // Edit history from modifyContent; generatedContent always holds the current revision
+    revisions: [revisionSchema],
+    currentRevision: {
+      type: Number,
+      default: 1,
+    },
     metadata: {
       generationTime: Number, // Time taken in milliseconds
       wordCount: Number,
       characterCount: Number,
     },
+    // Input/output safety checks (services/moderationService.js). Findings
+    // record which rule matched, never the matched text itself.
+    moderation: {
+      status: {
+        type: String,
+        enum: ["passed", "flagged", "sanitized", "blocked"],
+      },
+      findings: [
+        {
+          _id: false,
+          stage: {
+            type: String,
+            enum: ["input", "output"],
+          },
+          field: String,
+          category: String,
+          rule: String,
+          count: Number,
+          action: {
+            type: String,
+            enum: ["block", "sanitize", "flag"],
+          },
+        },
+      ],
+      checkedAt: Date,
+    },
+    // Report from utils/contentQuality.js, refreshed whenever the text changes
+    quality: {
+      score: Number, // 0-100
+      readability: {
+        score: Number,
+        level: {
+          type: String,
+          enum: ["easy", "standard", "difficult"],
+        },
+        method: String,
+        avgSentenceLength: Number,
+      },
+      mentions: {
+        businessName: Number,
+        location: Number,
+      },
+      leftoverSymbols: [
+        {
+          _id: false,
+          type: { type: String },
+          count: Number,
+        },
+      ],
+      narration: [
+        {
+          _id: false,
+          speed: Number,
+          seconds: Number, // Estimated narration length at this speed
+        },
+      ],
+      warnings: [String],
+      analyzedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -75,15 +262,76 @@ const contentGenerationSchema = new mongoose.Schema(
 contentGenerationSchema.index({ user: 1, createdAt: -1 });
 contentGenerationSchema.index({ "businessDetails.businessType": 1 });
 contentGenerationSchema.index({ "businessDetails.location": 1 });
+contentGenerationSchema.index({ "businessDetails.profile": 1 });
+contentGenerationSchema.index({ contentType: 1 });
+contentGenerationSchema.index({
+  "promptTemplate.key": 1,
+  "promptTemplate.version": 1,
+});
 contentGenerationSchema.index({ isBookmarked: 1 });
+contentGenerationSchema.index({ generationGroup: 1 });
+contentGenerationSchema.index({ translatedFrom: 1 });
+contentGenerationSchema.index({ batch: 1 });
+contentGenerationSchema.index({ user: 1, "quality.score": 1 });
+contentGenerationSchema.index({ "moderation.status": 1 });
 
 // Calculate metadata before saving
 contentGenerationSchema.pre("save", function (next) {
   if (this.generatedContent) {
     this.metadata.wordCount = this.generatedContent.split(" ").length;
     this.metadata.characterCount = this.generatedContent.length;
+
+    if (this.isModified("generatedContent") || !this.quality?.analyzedAt) {
+      this.quality = analyzeContent(this.generatedContent, {
+        businessDetails: this.businessDetails,
+        language: this.language || this.promptTemplate?.language,
+      });
+    }
   }
   next();
 });
 
+// Append a revision and make it current. The original generation is recorded
+// as revision 1 the first time the content is edited.
+contentGenerationSchema.methods.addRevision = function (revision) {
+  if (this.revisions.length === 0) {
+    this.revisions.push({
+      number: 1,
+      content: this.generatedContent,
+      structuredContent: this.structuredContent,
+      source: "original",
+      model: this.model,
+      provider: this.provider,
+      tokensUsed: this.tokensUsed,
+    });
+  }
+
+  const number = this.revisions[this.revisions.length - 1].number + 1;
+  this.revisions.push({ ...revision, number });
+
+  this.generatedContent = revision.content;
+  this.structuredContent = revision.structuredContent || null;
+  this.currentRevision = number;
+
+  return this.revisions[this.revisions.length - 1];
+};
+
+// Look up a revision by number; revision 1 exists implicitly before any edit
+contentGenerationSchema.methods.getRevision = function (number) {
+  if (this.revisions.length === 0 && number === 1) {
+    return {
+      number: 1,
+      content: this.generatedContent,
+      structuredContent: this.structuredContent,
+      source: "original",
+      model: this.model,
+      provider: this.provider,
+      tokensUsed: this.tokensUsed,
+      createdAt: this.createdAt,
+    };
+  }
+
+  return this.revisions.find((revision) => revision.number === number) || null;
+};
+
 export default mongoose.model("ContentGeneration", contentGenerationSchema);
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Shared AI output for identical generation requests (see generationCacheService)
+const generationCacheSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    structuredContent: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    model: String,
+    provider: String,
+    tokensUsed: {
+      type: Number,
+      default: 0,
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB removes entries once expiresAt has passed
+generationCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("GenerationCache", generationCacheSchema);
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+// Background work picked up by the job worker (see services/jobQueue.js)
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Concurrency group, e.g. the LLM provider or "tts"
+    queue: {
+      type: String,
+      default: "default",
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "succeeded", "failed", "cancelled"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // Earliest time the job may start; pushed back between retries
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    cancelRequested: {
+      type: Boolean,
+      default: false,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, queue: 1 });
+jobSchema.index({ user: 1, createdAt: -1 });
+
+jobSchema.methods.toSummary = function () {
+  return {
+    id: this._id,
+    type: this.type,
+    status: this.status,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    runAt: this.runAt,
+    cancelRequested: this.cancelRequested,
+    result: this.result,
+    error: this.error,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+export default mongoose.model("Job", jobSchema);
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+const promptTemplateSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true, // e.g. "content.business_description", "modify"
+    },
+    language: {
+      type: String,
+      enum: ["en", "ne"],
+      default: "en",
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    variables: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["draft", "published", "archived"],
+      default: "draft",
+    },
+    notes: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    publishedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promptTemplateSchema.index(
+  { key: 1, language: 1, version: -1 },
+  { unique: true }
+);
+promptTemplateSchema.index({ key: 1, language: 1, status: 1 });
+
+// Collect {{variable}} names used in the body
+promptTemplateSchema.pre("validate", function (next) {
+  if (this.body) {
+    const names = [...this.body.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(
+      (match) => match[1]
+    );
+    this.variables = [...new Set(names)];
+  }
+  next();
+});
+
+export default mongoose.model("PromptTemplate", promptTemplateSchema);
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// How a word or name should be spoken in generated audio. Entries without a
+// business profile apply to all of the user's audio; profile entries win.
+const pronunciationEntrySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    businessProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BusinessProfile",
+      default: null,
+    },
+    // As it appears in content, e.g. "Thamel Momo Ghar"
+    written: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // What the TTS engine is given instead: a respelling or spoken form
+    spoken: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // null applies to every language
+    language: {
+      type: String,
+      enum: ["en", "ne", "ne-Latn", null],
+      default: null,
+    },
+    caseSensitive: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pronunciationEntrySchema.index(
+  { user: 1, businessProfile: 1, language: 1, written: 1 },
+  { unique: true }
+);
+
+export default mongoose.model("PronunciationEntry", pronunciationEntrySchema);
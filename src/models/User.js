@@ -188,11 +188,47 @@ userSchema.methods.canGenerateAudio = function () {
 };
 
 // Increment content usage count
-userSchema.methods.incrementContentUsage = async function () {
-  this.subscription.usageCount.content += 1;
+userSchema.methods.incrementContentUsage = async function (amount = 1) {
+  this.subscription.usageCount.content += amount;
   return await this.save();
 };
 
+// Atomically take amount content credits up front (e.g. for a batch), so
+// concurrent requests can't both spend the same remaining credits. Returns
+// false when there aren't enough left.
+userSchema.methods.reserveContentCredits = async function (amount) {
+  if (amount === 0) return true;
+
+  const filter = { _id: this._id };
+  if (!this.isDeveloper() && this.subscription.plan !== "pro_plus") {
+    filter.$expr = {
+      $lte: [
+        { $add: ["$subscription.usageCount.content", amount] },
+        "$subscription.monthlyLimits.content",
+      ],
+    };
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    filter,
+    { $inc: { "subscription.usageCount.content": amount } },
+    { new: true }
+  );
+  if (!updated) return false;
+
+  this.subscription.usageCount.content =
+    updated.subscription.usageCount.content;
+  return true;
+};
+
+// Give back reserved credits that weren't used
+userSchema.methods.refundContentCredits = async function (amount = 1) {
+  await this.constructor.updateOne(
+    { _id: this._id, "subscription.usageCount.content": { $gte: amount } },
+    { $inc: { "subscription.usageCount.content": -amount } }
+  );
+};
+
 // Increment audio usage count
 userSchema.methods.incrementAudioUsage = async function () {
   this.subscription.usageCount.audio += 1;
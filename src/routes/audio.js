@@ -2,12 +2,16 @@ import express from "express";
 import { body } from "express-validator";
 import {
   generateAudio,
+  getEngines,
   getAudioHistory,
   deleteAudio,
   downloadAudio,
 } from "../controllers/audioController.js";
 import { authenticate, optionalAuth } from "../middleware/auth.js";
 import { audioGenerationLimiter } from "../middleware/rateLimiter.js";
+import ttsEngines from "../services/ttsEngines.js";
+import audioConverter from "../services/audioConverter.js";
+import { isSsml, parseSsml } from "../utils/ssml.js";
 
 const router = express.Router();
 
@@ -27,18 +31,86 @@ const audioValidation = [
         );
       }
       return true;
+    })
+    .custom((value, { req }) => {
+      // <speak> documents, or inline markup with ssml: true
+      const ssml = req.body.ssml === true || req.body.ssml === "true";
+      if (ssml || isSsml(value)) {
+        try {
+          parseSsml(value, { inline: true });
+        } catch (error) {
+          throw new Error(`Invalid SSML: ${error.message}`);
+        }
+      }
+      return true;
     }),
+  body("ssml")
+    .optional()
+    .isBoolean()
+    .withMessage("SSML must be true or false")
+    .toBoolean(),
   body("language")
     .optional()
-    .isIn(["en", "ne"])
-    .withMessage("Language must be 'en' (English) or 'ne' (Nepali)")
+    .isIn(["en", "ne", "ne-Latn"])
+    .withMessage(
+      "Language must be 'en' (English), 'ne' (Nepali) or 'ne-Latn' (Romanized Nepali)"
+    )
     .default("en"),
   body("voice").optional().isString().withMessage("Voice must be a string"),
+  body("engine")
+    .optional()
+    .isIn(ttsEngines.names())
+    .withMessage(`Engine must be one of: ${ttsEngines.names().join(", ")}`),
+  body("format")
+    .optional()
+    .isIn(audioConverter.names())
+    .withMessage(`Format must be one of: ${audioConverter.names().join(", ")}`)
+    .bail()
+    // Checked before synthesis so a missing ffmpeg doesn't cost a TTS call
+    .custom(async (value) => {
+      const formats = await audioConverter.getFormats();
+      if (!formats.find((format) => format.name === value).available) {
+        throw new Error(`${value} output needs ffmpeg, which is not installed`);
+      }
+      return true;
+    }),
+  body("bitrate")
+    .optional()
+    .isInt()
+    .withMessage("Bitrate must be a number of kbps")
+    .toInt()
+    .custom(async (value, { req }) => {
+      const bitrates = audioConverter.getBitrates(req.body.format || "mp3");
+      if (!bitrates.includes(value)) {
+        throw new Error(
+          bitrates.length
+            ? `Bitrate must be one of: ${bitrates.join(", ")}`
+            : `${req.body.format} audio has a fixed bitrate`
+        );
+      }
+      // getFormats lists no bitrates when re-encoding isn't possible
+      const formats = await audioConverter.getFormats();
+      if (!formats.find((format) => format.bitrates.includes(value))) {
+        throw new Error(
+          "Changing the bitrate needs ffmpeg, which is not installed"
+        );
+      }
+      return true;
+    }),
   body("businessName")
     .optional()
     .isString()
     .isLength({ max: 100 })
     .withMessage("Business name must be less than 100 characters"),
+  body("profileId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid business profile id"),
+  body("async")
+    .optional()
+    .isBoolean()
+    .withMessage("Async must be true or false")
+    .toBoolean(),
   body("contentType")
     .optional()
     .isIn([
@@ -59,6 +131,10 @@ router.post(
   generateAudio
 );
 
+// TTS engines with their capabilities and circuit breaker state, and the
+// output formats this server can produce
+router.get("/engines", getEngines);
+
 // Get user's audio history
 router.get("/history", authenticate, getAudioHistory);
 
@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  createBatch,
+  getBatches,
+  getBatch,
+  retryBatchRows,
+  downloadBatch,
+} from "../controllers/contentController.js";
+import { authenticate } from "../middleware/auth.js";
+import { contentGenerationLimiter } from "../middleware/rateLimiter.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Accepts JSON ({ businesses } or { csv }) or a raw text/csv body
+router.post(
+  "/",
+  contentGenerationLimiter,
+  express.text({ type: "text/csv", limit: "2mb" }),
+  createBatch
+);
+router.get("/", getBatches);
+router.get("/:id", getBatch);
+router.get("/:id/download", downloadBatch);
+router.post("/:id/retry", retryBatchRows);
+router.post("/:id/rows/:index/retry", retryBatchRows);
+
+export default router;
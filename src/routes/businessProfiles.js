@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  getProfileHistory,
+} from "../controllers/businessProfileController.js";
+import { authenticate } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", listProfiles);
+router.post("/", createProfile);
+router.get("/:id", getProfile);
+router.patch("/:id", updateProfile);
+router.delete("/:id", deleteProfile);
+router.get("/:id/history", getProfileHistory);
+
+export default router;
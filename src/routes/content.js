@@ -1,6 +1,7 @@
 import express from "express";
 import {
   generateContent,
+  generateContentStream,
   getHistory,
   getContentById,
   bookmarkContent,
@@ -8,6 +9,15 @@ import {
   deleteContent,
   getStats,
   modifyContent,
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+  getVariantGroup,
+  selectVariant,
+  translateContent,
+  getTranslations,
+  getSeoPack,
 } from "../controllers/contentController.js";
 import {
   authenticate,
@@ -33,13 +43,36 @@ router.post(
   generateContent
 );
 
+// Streaming variant (Server-Sent Events), same limits as above
+router.post(
+  "/generate-content/stream",
+  contentGenerationLimiter,
+  optionalAuth,
+  async (req, res, next) => {
+    if (req.user) {
+      return checkUsageLimit(req, res, next);
+    }
+    next();
+  },
+  generateContentStream
+);
+
 // Protected routes for authenticated users
 router.get("/history", authenticate, getHistory);
 router.get("/stats", authenticate, getStats);
+router.get("/groups/:groupId", authenticate, getVariantGroup);
 router.get("/:id", authenticate, getContentById);
 router.patch("/:id/bookmark", authenticate, bookmarkContent);
 router.patch("/:id/rate", authenticate, rateContent);
+router.patch("/:id/select", authenticate, selectVariant);
 router.delete("/:id", authenticate, deleteContent);
 router.post("/modify", authenticate, modifyContent);
+router.get("/:id/revisions", authenticate, getRevisions);
+router.get("/:id/revisions/diff", authenticate, diffRevisions);
+router.get("/:id/revisions/:revision", authenticate, getRevision);
+router.post("/:id/revisions/:revision/restore", authenticate, restoreRevision);
+router.post("/:id/translate", authenticate, checkUsageLimit, translateContent);
+router.get("/:id/translations", authenticate, getTranslations);
+router.get("/:id/seo", authenticate, getSeoPack);
 
 export default router;
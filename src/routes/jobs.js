@@ -0,0 +1,13 @@
+import express from "express";
+import { getJobs, getJob, cancelJob } from "../controllers/jobController.js";
+import { authenticate } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", getJobs);
+router.get("/:id", getJob);
+router.post("/:id/cancel", cancelJob);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from "express";
+import {
+  listTemplates,
+  getActiveTemplate,
+  createTemplate,
+  publishTemplate,
+  rollbackTemplate,
+  getTemplateStats,
+} from "../controllers/promptTemplateController.js";
+import { authenticate, requireAdmin } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All prompt template management is admin-only
+router.use(authenticate, requireAdmin);
+
+router.get("/", listTemplates);
+router.get("/stats", getTemplateStats);
+router.get("/active/:key", getActiveTemplate);
+router.post("/", createTemplate);
+router.post("/rollback", rollbackTemplate);
+router.post("/:id/publish", publishTemplate);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  listEntries,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  previewEntry,
+} from "../controllers/pronunciationController.js";
+import { authenticate } from "../middleware/auth.js";
+import { audioGenerationLimiter } from "../middleware/rateLimiter.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", listEntries);
+router.post("/", createEntry);
+router.patch("/:id", updateEntry);
+router.delete("/:id", deleteEntry);
+router.post("/:id/preview", audioGenerationLimiter, previewEntry);
+
+export default router;
@@ -1,11 +1,80 @@
-import Groq from "groq-sdk";
+import llmProviders from "./llmProviders.js";
+import promptTemplates from "./promptTemplateService.js";
+import generationCache from "./generationCacheService.js";
+import {
+  STRUCTURE_INSTRUCTIONS,
+  parseStructuredContent,
+  formatStructuredContent,
+  serializeStructuredContent,
+  mapStructuredContent,
+} from "../utils/structuredContent.js";
+import {
+  devanagariToRoman,
+  romanToDevanagari,
+} from "../utils/transliteration.js";
 
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+// How many times to ask the model to fix output that doesn't parse
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Per content type: token budget and the minimum number of sections the
+// parsed output must contain. Prompt wording lives in prompt templates.
+const CONTENT_TYPES = {
+  business_description: {
+    maxTokens: 1200,
+    minStoryLength: 50,
+    minFaq: 3,
+    minSearchPhrases: 3,
+  },
+  service_description: {
+    maxTokens: 900,
+    minStoryLength: 50,
+    minFaq: 3,
+    minSearchPhrases: 3,
+  },
+  product_description: {
+    maxTokens: 700,
+    minStoryLength: 30,
+    minFaq: 3,
+    minSearchPhrases: 3,
+  },
+  faq: {
+    maxTokens: 1400,
+    minStoryLength: 20,
+    minFaq: 6,
+    minSearchPhrases: 3,
+  },
+};
+
+// Language names used in translation prompts
+const LANGUAGE_NAMES = {
+  en: "English",
+  ne: "Nepali (Devanagari script)",
+  "ne-Latn": "Romanized Nepali (Nepali written in Latin letters)",
+};
+
+// Romanized Nepali is written by the model in Devanagari, then transliterated
+const getScriptLanguage = (language) =>
+  language === "ne-Latn" ? "ne" : language;
+
+// Tone instructions for multi-variant generation
+export const TONES = {
+  formal: "Use a formal, polished tone suitable for official listings.",
+  friendly:
+    "Use a warm, friendly, conversational tone, like a neighbour recommending the place.",
+  festive:
+    "Use a festive, celebratory tone with references to Nepali festivals such as Dashain and Tihar where they fit naturally.",
+  persuasive:
+    "Use a confident, persuasive tone that ends with a clear call to action.",
+  playful: "Use a light, playful tone with gentle humour.",
+};
 
 export class AIService {
-  static async generateContent(businessDetails) {
+  // options: { provider, plan } - picks the LLM provider, falling back on outages.
+  // options.signal (an AbortSignal) cancels the provider requests.
+  // options.builtPrompt reuses a buildPrompt() result instead of resolving again.
+  // options.cache opts in to the shared response cache; options.force skips
+  // reading it (the fresh result still replaces the cached one).
+  static async generateContent(businessDetails, options = {}) {
     const {
       businessName,
       location,
@@ -15,90 +84,363 @@ export class AIService {
       preferredLanguage = "en",
     } = businessDetails;
 
-    const prompt = this.buildPrompt(businessDetails);
+    const { builtPrompt, cache, force, ...providerOptions } = options;
+    const { prompt, promptTemplate } =
+      builtPrompt || (await this.buildPrompt(businessDetails));
+    const { contentType } = this.getContentType(businessDetails.contentType);
 
     try {
       const startTime = Date.now();
 
-      const completion = await groq.chat.completions.create({
-        model: "llama-3.1-8b-instant",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 1200, // Increased for longer content
-        temperature: 0.7,
-      });
+      const cacheKey = cache
+        ? this.getCacheKey(
+            businessDetails,
+            promptTemplate,
+            llmProviders.getPrimaryModel(providerOptions)
+          )
+        : null;
+      const cached =
+        cacheKey && !force ? await generationCache.get(cacheKey) : null;
+      if (cached) {
+        return this.fromCache(cached, { prompt, promptTemplate, startTime });
+      }
+
+      const completion = await llmProviders.complete(
+        [{ role: "user", content: prompt }],
+        {
+          ...providerOptions,
+          maxTokens: CONTENT_TYPES[contentType].maxTokens,
+          temperature: 0.7,
+        }
+      );
+
+      const { repairTokensUsed, ...structured } = await this.structureContent(
+        prompt,
+        completion.content,
+        { ...providerOptions, provider: completion.provider, contentType }
+      );
 
       const endTime = Date.now();
       const generationTime = endTime - startTime;
 
-      const content = completion.choices[0].message.content;
-      const tokensUsed = completion.usage?.total_tokens || 0;
+      const result = {
+        ...(preferredLanguage === "ne-Latn"
+          ? this.transliterate(structured, devanagariToRoman)
+          : structured),
+        prompt,
+        promptTemplate,
+        tokensUsed: completion.tokensUsed + repairTokensUsed,
+        generationTime,
+        model: completion.model,
+        provider: completion.provider,
+        cacheHit: false,
+      };
 
-      return {
+      if (cache) {
+        await this.cacheResult(businessDetails, result, providerOptions);
+      }
+      return result;
+    } catch (error) {
+      console.error("AI provider error:", error.message);
+      throw this.handleGroqError(error);
+    }
+  }
+
+  // Same as generateContent, but calls onToken(text) for each streamed delta.
+  // Pass an AbortSignal as options.signal to cancel the upstream request.
+  // A cache hit arrives as a single token.
+  static async streamContent(businessDetails, options = {}) {
+    const { onToken, signal, builtPrompt, cache, force, ...providerOptions } =
+      options;
+    const { prompt, promptTemplate } =
+      builtPrompt || (await this.buildPrompt(businessDetails));
+    const { contentType } = this.getContentType(businessDetails.contentType);
+    const romanize = businessDetails.preferredLanguage === "ne-Latn";
+    const startTime = Date.now();
+
+    // Romanized output is transliterated a whole word at a time, so hold back
+    // whatever follows the last whitespace until the next delta arrives
+    let pendingText = "";
+    const emitToken = (text, flush = false) => {
+      if (!onToken) return;
+      if (!romanize) {
+        if (text) onToken(text);
+        return;
+      }
+
+      pendingText += text;
+      const cut = flush ? pendingText.length : pendingText.search(/\S*$/);
+      if (cut > 0) {
+        onToken(devanagariToRoman(pendingText.slice(0, cut)));
+        pendingText = pendingText.slice(cut);
+      }
+    };
+
+    let content = "";
+    let tokensUsed = 0;
+    let model = null;
+    let provider = null;
+
+    try {
+      const cacheKey = cache
+        ? this.getCacheKey(
+            businessDetails,
+            promptTemplate,
+            llmProviders.getPrimaryModel(providerOptions)
+          )
+        : null;
+      const cached =
+        cacheKey && !force ? await generationCache.get(cacheKey) : null;
+      if (cached) {
+        if (onToken) onToken(cached.content);
+        return this.fromCache(cached, { prompt, promptTemplate, startTime });
+      }
+
+      const chunks = llmProviders.stream([{ role: "user", content: prompt }], {
+        ...providerOptions,
+        signal,
+        maxTokens: CONTENT_TYPES[contentType].maxTokens,
+        temperature: 0.7,
+      });
+
+      for await (const chunk of chunks) {
+        provider = chunk.provider;
+        if (chunk.model) model = chunk.model;
+        if (chunk.tokensUsed) tokensUsed = chunk.tokensUsed;
+
+        if (chunk.content) {
+          content += chunk.content;
+          emitToken(chunk.content);
+        }
+      }
+      emitToken("", true);
+
+      const { repairTokensUsed, ...structured } = await this.structureContent(
+        prompt,
         content,
-        tokensUsed,
-        generationTime,
-        model: "llama-3.1-8b-instant",
+        { ...providerOptions, provider, contentType }
+      );
+
+      const result = {
+        ...(romanize
+          ? this.transliterate(structured, devanagariToRoman)
+          : structured),
+        prompt,
+        promptTemplate,
+        tokensUsed: tokensUsed + repairTokensUsed,
+        generationTime: Date.now() - startTime,
+        model,
+        provider,
+        cacheHit: false,
       };
+
+      if (cache) {
+        await this.cacheResult(businessDetails, result, providerOptions);
+      }
+      return result;
     } catch (error) {
-      console.error("Groq API Error:", error.message);
+      // Aborts are expected when the client disconnects, keep them recognisable
+      if (signal?.aborted) throw error;
+
+      console.error("AI provider stream error:", error.message);
       throw this.handleGroqError(error);
     }
   }
 
-  static buildPrompt(businessDetails) {
-    const {
-      businessName,
-      location,
-      businessType,
-      productsServices,
-      targetCustomers,
-      preferredLanguage = "en",
-    } = businessDetails;
+  // Parse sectioned model output into { story, faq, searchPhrases }. When it
+  // doesn't parse, show the model its answer and the problem and ask again.
+  // Falls back to the raw text (structuredContent: null) if repairs fail.
+  // options.limits overrides the content type's minimums and token budget.
+  static async structureContent(prompt, rawContent, options = {}) {
+    const { limits, ...providerOptions } = options;
+    const config = {
+      ...this.getContentType(options.contentType).config,
+      ...limits,
+    };
+    let candidate = rawContent;
+    let repairTokensUsed = 0;
+    let parsed = parseStructuredContent(candidate, config);
 
-    const isNepali = preferredLanguage === "ne";
+    for (
+      let attempt = 1;
+      parsed.error && attempt <= MAX_REPAIR_ATTEMPTS;
+      attempt++
+    ) {
+      console.warn(
+        `Structured output invalid (${parsed.error}), repair attempt ${attempt}`
+      );
 
-    if (isNepali) {
-      return `You are an expert content creator for Nepali businesses. Create engaging content in Nepali language for: ${businessName}, a ${businessType} in ${location}. Products/Services: ${productsServices}. Target: ${targetCustomers}. Write natural, storytelling content without technical formatting that sounds great when read aloud.`;
+      const repair = await llmProviders.complete(
+        [
+          { role: "user", content: prompt },
+          { role: "assistant", content: candidate },
+          {
+            role: "user",
+            content: `Your answer could not be used: ${parsed.error}. Rewrite the same content so it follows the required format exactly.\n\n${STRUCTURE_INSTRUCTIONS}`,
+          },
+        ],
+        { ...providerOptions, maxTokens: config.maxTokens, temperature: 0.3 }
+      );
+
+      repairTokensUsed += repair.tokensUsed;
+      candidate = repair.content;
+      parsed = parseStructuredContent(candidate, config);
     }
 
-    // English storytelling prompt
-    return `You are an expert storytelling content creator. Create engaging, natural-sounding content for: ${businessName}, a ${businessType} located in ${location}, Nepal. Products/Services: ${productsServices}. Target customers: ${targetCustomers}.
+    if (parsed.error) {
+      console.error("Giving up on structured output:", parsed.error);
+      return {
+        content: rawContent,
+        structuredContent: null,
+        repairTokensUsed,
+      };
+    }
+
+    return {
+      content: formatStructuredContent(parsed.value),
+      structuredContent: parsed.value,
+      repairTokensUsed,
+    };
+  }
+
+  // Key for the response cache: normalized details, output language,
+  // template version and the provider model ({ provider, model }). Lookups
+  // use the model the request would go to first.
+  static getCacheKey(businessDetails, promptTemplate, model) {
+    return generationCache.buildKey(businessDetails, {
+      language: businessDetails.preferredLanguage || "en",
+      promptTemplate,
+      model,
+    });
+  }
 
-Write a compelling business story that flows naturally when read aloud. Create content that tells the story of what makes this business special. Use conversational language that sounds smooth when spoken. Include local context for Nepal. Avoid technical jargon, word counts, or formatting instructions. Focus on benefits and emotional connection. Use smooth transitions and natural voice search phrases. Make it sound like a professional storyteller describing the business.
+  // Stored under the provider that answered, so a failover answer is only
+  // served to requests that would go to that provider first. Unstructured
+  // fallbacks aren't cached, the next request gets another try.
+  static async cacheResult(businessDetails, result, providerOptions) {
+    if (!result.structuredContent) return;
 
-Then add 5 customer questions with storytelling answers that sound natural when spoken. Each answer should be 2-3 flowing sentences.
+    await generationCache.set(
+      this.getCacheKey(
+        businessDetails,
+        result.promptTemplate,
+        llmProviders.getRequestModel(result.provider, providerOptions)
+      ),
+      result
+    );
+  }
 
-Finally, include 5 natural phrases locals might use when searching, using conversational language.
+  // Cached output in the same shape as a fresh generation. No tokens were
+  // spent on this request, so tokensUsed is 0.
+  static fromCache(cached, { prompt, promptTemplate, startTime }) {
+    return {
+      content: cached.content,
+      structuredContent: cached.structuredContent,
+      prompt,
+      promptTemplate,
+      tokensUsed: 0,
+      generationTime: Date.now() - startTime,
+      model: cached.model,
+      provider: cached.provider,
+      cacheHit: true,
+    };
+  }
 
-Write everything as flowing narrative without bullet points, technical specs, or formatting symbols. Make it perfect for audio narration.`;
+  // Run fn over { content, structuredContent } (e.g. devanagariToRoman)
+  static transliterate(result, fn) {
+    return {
+      ...result,
+      content: fn(result.content),
+      structuredContent:
+        result.structuredContent &&
+        mapStructuredContent(result.structuredContent, fn),
+    };
   }
 
+  // Unknown or missing content types fall back to the original story bundle
+  static getContentType(contentType) {
+    const resolved = CONTENT_TYPES[contentType]
+      ? contentType
+      : "business_description";
+    return { contentType: resolved, config: CONTENT_TYPES[resolved] };
+  }
+
+  // Render the published template for the content type and language.
+  // Returns { prompt, promptTemplate } where promptTemplate identifies the version.
+  static async buildPrompt(businessDetails) {
+    const { preferredLanguage = "en" } = businessDetails;
+    const { contentType } = this.getContentType(businessDetails.contentType);
+
+    const { prompt, promptTemplate } = await promptTemplates.renderTemplate(
+      `content.${contentType}`,
+      getScriptLanguage(preferredLanguage),
+      { ...businessDetails, contentType }
+    );
+
+    const toneInstruction = TONES[businessDetails.tone]
+      ? `\n\n${TONES[businessDetails.tone]}`
+      : "";
+    const brandInstructions = this.getBrandInstructions(businessDetails);
+
+    // Parsing relies on the section markers, so they are never left to templates
+    return {
+      prompt: `${prompt}${toneInstruction}${brandInstructions}\n\n${STRUCTURE_INSTRUCTIONS}`,
+      promptTemplate,
+    };
+  }
+
+  // Business Profile rules: { brandTone, bannedWords, mustMentionPhrases }.
+  // Returns "" when there are none so prompts without a profile are unchanged.
+  static getBrandInstructions({
+    brandTone,
+    bannedWords,
+    mustMentionPhrases,
+  } = {}) {
+    const rules = [];
+
+    if (brandTone) {
+      rules.push(`Brand voice: ${brandTone}.`);
+    }
+    if (bannedWords?.length) {
+      rules.push(
+        `Never use these words or phrases: ${bannedWords.join(", ")}.`
+      );
+    }
+    if (mustMentionPhrases?.length) {
+      rules.push(
+        `Mention each of these phrases naturally at least once: ${mustMentionPhrases
+          .map((phrase) => `"${phrase}"`)
+          .join(", ")}.`
+      );
+    }
+
+    return rules.length ? `\n\n${rules.join("\n")}` : "";
+  }
+
+  // Keeps the provider's status so callers can tell retryable failures apart
   static handleGroqError(error) {
+    let message;
     if (error.status === 429) {
-      return new Error(
-        "AI service is temporarily overloaded. Please try again in a moment."
-      );
+      message =
+        "AI service is temporarily overloaded. Please try again in a moment.";
     } else if (error.status === 401) {
-      return new Error(
-        "AI service authentication failed. Please contact support."
-      );
+      message = "AI service authentication failed. Please contact support.";
     } else if (error.status === 400) {
-      return new Error(
-        "Invalid request to AI service. Please check your input."
-      );
+      message = "Invalid request to AI service. Please check your input.";
     } else {
-      return new Error(
-        "AI service is currently unavailable. Please try again later."
-      );
+      message = "AI service is currently unavailable. Please try again later.";
     }
+
+    const friendly = new Error(message);
+    friendly.status = error.status;
+    return friendly;
   }
 
-  static async validateApiKey() {
+  static async validateApiKey(provider) {
     try {
-      await groq.chat.completions.create({
-        model: "llama-3.1-8b-instant",
-        messages: [{ role: "user", content: "Test" }],
-        max_tokens: 1,
+      await llmProviders.complete([{ role: "user", content: "Test" }], {
+        provider,
+        maxTokens: 1,
       });
       return true;
     } catch (error) {
@@ -107,39 +449,174 @@ Write everything as flowing narrative without bullet points, technical specs, or
     }
   }
 
-  static modifyContent(originalContent, modifications) {
-    // Create a prompt for content modification
-    const prompt = `
-You are an expert content editor. Please modify the following business content based on these requested changes:
+  // details: { originalContent, businessName, userRequest, conversationHistory, language }
+  // plus optional brand rules (brandTone, bannedWords, mustMentionPhrases)
+  // options.structured asks for the sectioned format again (for records that
+  // have structuredContent), with options.contentType setting the minimums.
+  static async modifyContent(details, options = {}) {
+    const {
+      originalContent,
+      businessName,
+      userRequest,
+      conversationHistory,
+      language = "en",
+    } = details;
+    const { structured, contentType, ...providerOptions } = options;
 
-Original Content:
-${originalContent}
+    const rendered = await promptTemplates.renderTemplate("modify", language, {
+      originalContent,
+      businessName: businessName || "N/A",
+      userRequest,
+      conversationHistory:
+        conversationHistory
+          ?.map((msg) => `${msg.type}: ${msg.content}`)
+          .join("\n") || "No previous context",
+    });
 
-Requested Modifications:
-${modifications}
+    const { promptTemplate } = rendered;
+    const brandedPrompt = `${rendered.prompt}${this.getBrandInstructions(
+      details
+    )}`;
+    const prompt = structured
+      ? `${brandedPrompt}\n\n${STRUCTURE_INSTRUCTIONS}`
+      : brandedPrompt;
+
+    const result = await this.generateModifiedContent(prompt, providerOptions);
+
+    if (!structured) {
+      return { ...result, structuredContent: null, prompt, promptTemplate };
+    }
 
-Please provide the improved content that maintains the storytelling style and flows naturally when read aloud. Keep it engaging and conversational.
-`;
+    try {
+      const { repairTokensUsed, ...parsed } = await this.structureContent(
+        prompt,
+        result.content,
+        { ...providerOptions, provider: result.provider, contentType }
+      );
 
-    return this.generateModifiedContent(prompt);
+      return {
+        ...result,
+        ...parsed,
+        tokensUsed: result.tokensUsed + repairTokensUsed,
+        prompt,
+        promptTemplate,
+      };
+    } catch (error) {
+      console.error("Content modification error:", error.message);
+      throw this.handleGroqError(error);
+    }
   }
 
-  static async generateModifiedContent(prompt) {
+  // details: { content, structuredContent, businessName, contentType,
+  // sourceLanguage, targetLanguage }. Structured content is sent in the
+  // sectioned format and must come back with as many questions and phrases.
+  static async translateContent(details, options = {}) {
+    const {
+      content,
+      structuredContent,
+      businessName,
+      sourceLanguage,
+      targetLanguage,
+    } = details;
+    const { contentType, config } = this.getContentType(details.contentType);
+    const targetScript = getScriptLanguage(targetLanguage);
+
+    // Devanagari <-> Romanized Nepali needs no model at all
+    if (getScriptLanguage(sourceLanguage) === targetScript) {
+      return {
+        ...this.transliterate(
+          { content, structuredContent },
+          targetLanguage === "ne-Latn" ? devanagariToRoman : romanToDevanagari
+        ),
+        prompt: `Transliterated from ${sourceLanguage} to ${targetLanguage}`,
+        promptTemplate: null,
+        tokensUsed: 0,
+        generationTime: 0,
+        model: "transliteration",
+        provider: null,
+        transliterated: true,
+      };
+    }
+
+    const rendered = await promptTemplates.renderTemplate("translate", "en", {
+      content: structuredContent
+        ? serializeStructuredContent(structuredContent)
+        : content,
+      businessName: businessName || "N/A",
+      sourceLanguage: LANGUAGE_NAMES[sourceLanguage],
+      targetLanguage: LANGUAGE_NAMES[targetScript],
+    });
+
+    const { promptTemplate } = rendered;
+    const prompt = structuredContent
+      ? `${rendered.prompt}\n\n${STRUCTURE_INSTRUCTIONS}`
+      : rendered.prompt;
+
+    // Devanagari needs far more tokens than the same text in English
+    const maxTokens = config.maxTokens * 2;
+
     try {
-      const completion = await groq.chat.completions.create({
-        model: "llama-3.1-8b-instant",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 1200,
-        temperature: 0.7,
-      });
+      const startTime = Date.now();
 
-      const content = completion.choices[0].message.content;
-      const tokensUsed = completion.usage?.total_tokens || 0;
+      const completion = await llmProviders.complete(
+        [{ role: "user", content: prompt }],
+        { ...options, maxTokens, temperature: 0.3 }
+      );
+
+      let result = { content: completion.content, structuredContent: null };
+      let repairTokensUsed = 0;
+
+      if (structuredContent) {
+        ({ repairTokensUsed, ...result } = await this.structureContent(
+          prompt,
+          completion.content,
+          {
+            ...options,
+            provider: completion.provider,
+            contentType,
+            limits: {
+              maxTokens,
+              minStoryLength: 1,
+              minFaq: structuredContent.faq.length,
+              minSearchPhrases: structuredContent.searchPhrases.length,
+            },
+          }
+        ));
+      }
 
       return {
-        content,
-        tokensUsed,
-        model: "llama-3.1-8b-instant",
+        ...(targetLanguage === "ne-Latn"
+          ? this.transliterate(result, devanagariToRoman)
+          : result),
+        prompt,
+        promptTemplate,
+        tokensUsed: completion.tokensUsed + repairTokensUsed,
+        generationTime: Date.now() - startTime,
+        model: completion.model,
+        provider: completion.provider,
+      };
+    } catch (error) {
+      console.error("Translation error:", error.message);
+      throw this.handleGroqError(error);
+    }
+  }
+
+  static async generateModifiedContent(prompt, options = {}) {
+    try {
+      const completion = await llmProviders.complete(
+        [{ role: "user", content: prompt }],
+        {
+          ...options,
+          maxTokens: 1200,
+          temperature: 0.7,
+        }
+      );
+
+      return {
+        content: completion.content,
+        tokensUsed: completion.tokensUsed,
+        model: completion.model,
+        provider: completion.provider,
       };
     } catch (error) {
       console.error("Content modification error:", error.message);
@@ -0,0 +1,268 @@
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { execFileAsync, commandAvailable } from "../utils/commands.js";
+import {
+  parseWav,
+  createWav,
+  toMonoPcm16,
+  resamplePcm16,
+} from "../utils/wav.js";
+import { encodeG711, G711_FORMATS } from "../utils/g711.js";
+import { probeMp3 } from "../utils/mp3.js";
+
+const CONVERT_TIMEOUT_MS = 120000;
+
+// Telephone audio is 8 kHz mono
+const TELEPHONY_SAMPLE_RATE = 8000;
+
+// Output formats clients can ask for. container is the file type stored;
+// ulaw and alaw are WAV files for IVR systems.
+const FORMATS = {
+  mp3: {
+    container: "mp3",
+    codec: "mp3",
+    bitrates: [32, 48, 64, 96, 128, 160, 192, 256, 320],
+    ffmpeg: (bitrate) => ["-codec:a", "libmp3lame", "-b:a", `${bitrate}k`],
+  },
+  wav: {
+    container: "wav",
+    codec: "pcm_s16le",
+    ffmpeg: () => ["-codec:a", "pcm_s16le"],
+  },
+  ogg: {
+    container: "ogg",
+    codec: "opus",
+    bitrates: [16, 24, 32, 48, 64, 96, 128],
+    defaultBitrate: 48,
+    ffmpeg: (bitrate) => ["-codec:a", "libopus", "-b:a", `${bitrate}k`],
+  },
+  ulaw: {
+    container: "wav",
+    codec: "pcm_mulaw",
+    law: "mulaw",
+    ffmpeg: () => [
+      "-ar",
+      String(TELEPHONY_SAMPLE_RATE),
+      "-ac",
+      "1",
+      "-codec:a",
+      "pcm_mulaw",
+    ],
+  },
+  alaw: {
+    container: "wav",
+    codec: "pcm_alaw",
+    law: "alaw",
+    ffmpeg: () => [
+      "-ar",
+      String(TELEPHONY_SAMPLE_RATE),
+      "-ac",
+      "1",
+      "-codec:a",
+      "pcm_alaw",
+    ],
+  },
+};
+
+// Formats convertible without ffmpeg, from WAV sources only
+const PURE_JS_FORMATS = ["wav", "ulaw", "alaw"];
+
+const conversionError = (message, status = 500) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Converts synthesized audio to the format a client asked for: through
+// ffmpeg when it is installed, otherwise in pure JS for WAV, μ-law and
+// A-law output from WAV engines
+class AudioConverter {
+  names() {
+    return Object.keys(FORMATS);
+  }
+
+  getBitrates(format) {
+    return FORMATS[format]?.bitrates || [];
+  }
+
+  isFfmpegAvailable() {
+    return commandAvailable("ffmpeg", ["-version"]);
+  }
+
+  // For GET /api/audio/engines. Without ffmpeg, MP3 is kept at the engine's
+  // bitrate and only WAV engine output can become wav, ulaw or alaw.
+  async getFormats() {
+    const ffmpeg = await this.isFfmpegAvailable();
+    return this.names().map((name) => ({
+      name,
+      container: FORMATS[name].container,
+      codec: FORMATS[name].codec,
+      bitrates: ffmpeg ? this.getBitrates(name) : [],
+      available: ffmpeg || name === "mp3" || PURE_JS_FORMATS.includes(name),
+    }));
+  }
+
+  // audio: { buffer, format } as returned by ttsEngines.synthesize. Returns
+  // { buffer, format (container), codec, bitrate? }. A bitrate on its own
+  // means MP3; with neither the audio is returned as the engine produced it.
+  async convert(audio, { bitrate, tempDir = os.tmpdir(), ...options } = {}) {
+    const format = options.format || (bitrate ? "mp3" : null);
+    if (!format) {
+      return {
+        buffer: audio.buffer,
+        format: audio.format,
+        codec: audio.format,
+      };
+    }
+
+    const spec = FORMATS[format];
+    if (!spec) {
+      throw conversionError(
+        `Unknown audio format "${format}". Use one of: ${this.names().join(
+          ", "
+        )}`,
+        400
+      );
+    }
+    if (bitrate && !spec.bitrates?.includes(bitrate)) {
+      throw conversionError(
+        spec.bitrates
+          ? `${format} bitrate must be one of: ${spec.bitrates.join(", ")}`
+          : `${format} audio has a fixed bitrate`,
+        400
+      );
+    }
+
+    if (this.isUnchanged(audio, format, bitrate)) {
+      return {
+        buffer: audio.buffer,
+        format: spec.container,
+        codec: spec.codec,
+      };
+    }
+
+    const targetBitrate = bitrate || spec.defaultBitrate || 128;
+    if (await this.isFfmpegAvailable()) {
+      const buffer = await this.convertWithFfmpeg(
+        audio,
+        spec,
+        targetBitrate,
+        tempDir
+      );
+      return {
+        buffer,
+        format: spec.container,
+        codec: spec.codec,
+        bitrate: spec.bitrates ? targetBitrate : undefined,
+      };
+    }
+
+    if (audio.format === "wav" && PURE_JS_FORMATS.includes(format)) {
+      return {
+        buffer: this.convertWav(audio.buffer, spec),
+        format: spec.container,
+        codec: spec.codec,
+      };
+    }
+
+    throw conversionError(
+      `Converting ${audio.format} audio to ${format} needs ffmpeg, which isn't installed on this server`,
+      501
+    );
+  }
+
+  isUnchanged(audio, format, bitrate) {
+    if (format === "mp3" && audio.format === "mp3") {
+      return !bitrate || probeMp3(audio.buffer)?.bitrate === bitrate;
+    }
+    if (format === "wav" && audio.format === "wav") {
+      try {
+        const wav = parseWav(audio.buffer);
+        return wav.audioFormat === 1 && wav.bitsPerSample === 16;
+      } catch {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  async convertWithFfmpeg(audio, spec, bitrate, tempDir) {
+    const id = `convert_${randomUUID()}`;
+    const input = path.join(tempDir, `${id}_in.${audio.format}`);
+    const output = path.join(tempDir, `${id}_out.${spec.container}`);
+
+    try {
+      await fs.mkdir(tempDir, { recursive: true });
+      await fs.writeFile(input, audio.buffer);
+      await execFileAsync(
+        "ffmpeg",
+        [
+          "-hide_banner",
+          "-loglevel",
+          "error",
+          "-y",
+          "-i",
+          input,
+          "-vn",
+          ...spec.ffmpeg(bitrate),
+          output,
+        ],
+        { timeout: CONVERT_TIMEOUT_MS }
+      );
+      return await fs.readFile(output);
+    } catch (error) {
+      throw conversionError(
+        `Audio conversion to ${spec.codec} failed: ${(
+          error.stderr || error.message
+        )
+          .toString()
+          .trim()}`
+      );
+    } finally {
+      await fs.unlink(input).catch(() => {});
+      await fs.unlink(output).catch(() => {});
+    }
+  }
+
+  // WAV output is 16-bit mono at the source rate; μ-law and A-law are
+  // resampled to 8 kHz
+  convertWav(buffer, spec) {
+    let wav;
+    let samples;
+    try {
+      wav = parseWav(buffer);
+      samples = toMonoPcm16(wav);
+    } catch (error) {
+      throw conversionError(`Audio conversion failed: ${error.message}`);
+    }
+
+    if (!spec.law) {
+      const data = Buffer.from(
+        samples.buffer,
+        samples.byteOffset,
+        samples.byteLength
+      );
+      return createWav(data, {
+        channels: 1,
+        sampleRate: wav.sampleRate,
+        bitsPerSample: 16,
+      });
+    }
+
+    const telephony = resamplePcm16(
+      samples,
+      wav.sampleRate,
+      TELEPHONY_SAMPLE_RATE
+    );
+    return createWav(encodeG711(telephony, spec.law), {
+      audioFormat: G711_FORMATS[spec.law],
+      channels: 1,
+      sampleRate: TELEPHONY_SAMPLE_RATE,
+      bitsPerSample: 8,
+    });
+  }
+}
+
+export default new AudioConverter();
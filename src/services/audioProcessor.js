@@ -0,0 +1,211 @@
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { execFileAsync, commandAvailable } from "../utils/commands.js";
+import { parseWav, createWav, toMonoPcm16 } from "../utils/wav.js";
+import {
+  measureLoudness,
+  findSilenceBounds,
+  applyGain,
+} from "../utils/loudness.js";
+import { probeAudio } from "../utils/audioProbe.js";
+
+const PROCESS_TIMEOUT_MS = 120000;
+
+// Silence kept around the speech when trimming
+const SILENCE_PAD_MS = 100;
+
+// Keeps normalized audio clear of clipping, in dBFS
+const PEAK_CEILING_DB = -1.5;
+
+const round = (value, places = 1) =>
+  Number.isFinite(value) ? Number(value.toFixed(places)) : null;
+
+// Engines synthesize at very different levels and pad their output with
+// silence. Every clip is trimmed, normalized to the same integrated
+// loudness and faded in and out so clips play back to back evenly.
+// Configured with AUDIO_LOUDNESS_TARGET (LUFS, default -16),
+// AUDIO_SILENCE_THRESHOLD (dBFS, default -50), AUDIO_FADE_MS (default 20)
+// and AUDIO_NORMALIZE=false to turn it off.
+class AudioProcessor {
+  getSettings() {
+    const number = (value, fallback) =>
+      value !== undefined && value !== "" && Number.isFinite(Number(value))
+        ? Number(value)
+        : fallback;
+
+    return {
+      enabled: process.env.AUDIO_NORMALIZE !== "false",
+      targetLufs: number(process.env.AUDIO_LOUDNESS_TARGET, -16),
+      silenceThresholdDb: number(process.env.AUDIO_SILENCE_THRESHOLD, -50),
+      fadeMs: number(process.env.AUDIO_FADE_MS, 20),
+    };
+  }
+
+  // audio: { buffer, format } as returned by ttsEngines.synthesize. Returns
+  // { buffer, format, loudness } where loudness is what was measured and
+  // done, or null when the audio was left as it was.
+  async process(audio, { tempDir = os.tmpdir() } = {}) {
+    const settings = this.getSettings();
+    if (!settings.enabled || !["mp3", "wav"].includes(audio.format)) {
+      return { ...audio, loudness: null };
+    }
+
+    try {
+      if (await commandAvailable("ffmpeg", ["-version"])) {
+        return await this.processWithFfmpeg(audio, settings, tempDir);
+      }
+      if (audio.format === "wav") {
+        return this.processWav(audio, settings);
+      }
+    } catch (error) {
+      // Unprocessed audio is still usable
+      console.error("Audio post-processing failed:", error.message);
+      return { ...audio, loudness: null };
+    }
+
+    // MP3 can't be decoded without ffmpeg
+    return { ...audio, loudness: null };
+  }
+
+  processWav(audio, settings) {
+    const wav = parseWav(audio.buffer);
+    const samples = toMonoPcm16(wav);
+
+    const { start, end } = findSilenceBounds(
+      samples,
+      wav.sampleRate,
+      settings.silenceThresholdDb,
+      SILENCE_PAD_MS
+    );
+    const speech = samples.subarray(start, end);
+
+    const input = measureLoudness(speech, wav.sampleRate);
+    const gainDb = Number.isFinite(input.integrated)
+      ? Math.min(
+          settings.targetLufs - input.integrated,
+          PEAK_CEILING_DB - input.peakDb
+        )
+      : 0;
+    const processed = applyGain(
+      speech,
+      wav.sampleRate,
+      gainDb,
+      settings.fadeMs
+    );
+    const output = measureLoudness(processed, wav.sampleRate);
+
+    return {
+      buffer: createWav(
+        Buffer.from(
+          processed.buffer,
+          processed.byteOffset,
+          processed.byteLength
+        ),
+        { channels: 1, sampleRate: wav.sampleRate, bitsPerSample: 16 }
+      ),
+      format: "wav",
+      loudness: {
+        method: "builtin",
+        targetLufs: settings.targetLufs,
+        inputLufs: round(input.integrated),
+        outputLufs: round(output.integrated),
+        peakDb: round(input.peakDb),
+        gainDb: round(gainDb),
+        trimmedMs: Math.round(
+          ((samples.length - speech.length) * 1000) / wav.sampleRate
+        ),
+        fadeMs: settings.fadeMs,
+      },
+    };
+  }
+
+  // Two loudnorm passes: the first measures, the second applies a linear
+  // gain from those measurements so speech dynamics are kept
+  async processWithFfmpeg(audio, settings, tempDir) {
+    const before = probeAudio(audio.buffer);
+    const id = `process_${randomUUID()}`;
+    const input = path.join(tempDir, `${id}_in.${audio.format}`);
+    const output = path.join(tempDir, `${id}_out.${audio.format}`);
+
+    const trim = `silenceremove=start_periods=1:start_threshold=${
+      settings.silenceThresholdDb
+    }dB:start_silence=${SILENCE_PAD_MS / 1000}`;
+    const fades =
+      settings.fadeMs > 0
+        ? [`afade=t=in:d=${settings.fadeMs / 1000}`, "areverse"]
+        : [];
+    // Trailing silence and the fade out are handled on the reversed audio
+    const edges = [trim, "areverse", trim, "areverse"].join(",");
+    const target = `I=${settings.targetLufs}:TP=${PEAK_CEILING_DB}:LRA=11`;
+
+    const run = async (args) => {
+      const { stderr } = await execFileAsync(
+        "ffmpeg",
+        ["-hide_banner", "-nostats", "-y", "-i", input, ...args],
+        { timeout: PROCESS_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }
+      );
+      // loudnorm prints its JSON summary last
+      const json = stderr.slice(stderr.lastIndexOf("{"));
+      return JSON.parse(json.slice(0, json.indexOf("}") + 1));
+    };
+
+    try {
+      await fs.mkdir(tempDir, { recursive: true });
+      await fs.writeFile(input, audio.buffer);
+
+      const measured = await run([
+        "-af",
+        `${edges},loudnorm=${target}:print_format=json`,
+        "-f",
+        "null",
+        "-",
+      ]);
+      const result = await run([
+        "-af",
+        [
+          edges,
+          `loudnorm=${target}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true:print_format=json`,
+          ...fades,
+          ...fades,
+        ].join(","),
+        // loudnorm resamples to 192 kHz internally
+        "-ar",
+        String(before?.sampleRate || 44100),
+        ...(audio.format === "mp3"
+          ? ["-codec:a", "libmp3lame", "-b:a", `${before?.bitrate || 128}k`]
+          : ["-codec:a", "pcm_s16le"]),
+        output,
+      ]);
+
+      const buffer = await fs.readFile(output);
+      const after = probeAudio(buffer);
+      return {
+        buffer,
+        format: audio.format,
+        loudness: {
+          method: "ffmpeg",
+          targetLufs: settings.targetLufs,
+          inputLufs: round(Number(measured.input_i)),
+          outputLufs: round(Number(result.output_i)),
+          peakDb: round(Number(measured.input_tp)),
+          gainDb: round(Number(result.output_i) - Number(measured.input_i)),
+          trimmedMs:
+            before && after
+              ? Math.max(
+                  0,
+                  Math.round((before.duration - after.duration) * 1000)
+                )
+              : null,
+          fadeMs: settings.fadeMs,
+        },
+      };
+    } finally {
+      await fs.unlink(input).catch(() => {});
+      await fs.unlink(output).catch(() => {});
+    }
+  }
+}
+
+export default new AudioProcessor();
@@ -3,6 +3,8 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { exec } from "child_process";
 import { promisify } from "util";
+import { probeAudio } from "../utils/audioProbe.js";
+import { joinMp3 } from "../utils/mp3.js";
 
 const execAsync = promisify(exec);
 const __filename = fileURLToPath(import.meta.url);
@@ -194,6 +196,7 @@ class AudioService {
 
       // Get file stats for accurate file size
       const stats = await fs.stat(filepath);
+      const probe = probeAudio(audioData);
 
       console.log("Audio generated successfully:", {
         filename,
@@ -205,12 +208,14 @@ class AudioService {
         filename,
         filepath,
         url: `/uploads/audio/${filename}`,
-        duration: Math.ceil(text.length / 15), // Rough estimate: 15 chars per second
+        // Rough estimate (15 chars per second) when the audio can't be read
+        duration: probe?.duration || Math.ceil(text.length / 15),
         fileSize: stats.size,
         metadata: {
-          sampleRate: 22050,
-          format: "mp3",
-          bitrate: 128,
+          sampleRate: probe?.sampleRate,
+          format: probe?.format || "mp3",
+          bitrate: probe?.bitrate,
+          channels: probe?.channels,
           language,
         },
       };
@@ -480,61 +485,14 @@ class AudioService {
     return chunks.length > 0 ? chunks : [text];
   }
 
-  // Combine multiple audio buffers into one
+  // Combine multiple audio buffers into one continuous MP3 stream
   async combineAudioBuffers(audioBuffers) {
     if (audioBuffers.length === 1) {
       return audioBuffers[0];
     }
 
     try {
-      // If ffmpeg is available, use it to concatenate properly
-      if (await this.checkFFmpeg()) {
-        const tempFiles = [];
-        const tempDir = path.join(this.audioDir, "temp");
-        await fs.mkdir(tempDir, { recursive: true });
-
-        // Save each buffer as a temporary file
-        for (let i = 0; i < audioBuffers.length; i++) {
-          const tempFile = path.join(tempDir, `chunk_${i}.mp3`);
-          await fs.writeFile(tempFile, audioBuffers[i]);
-          tempFiles.push(tempFile);
-        }
-
-        // Create concat file list
-        const concatList = tempFiles.map((f) => `file '${f}'`).join("\n");
-        const concatFile = path.join(tempDir, "concat.txt");
-        await fs.writeFile(concatFile, concatList);
-
-        // Combine using ffmpeg
-        const outputFile = path.join(tempDir, "combined.mp3");
-        await execAsync(
-          `ffmpeg -f concat -safe 0 -i "${concatFile}" -c copy "${outputFile}" -y`,
-          { timeout: 30000 }
-        );
-
-        const combinedBuffer = await fs.readFile(outputFile);
-
-        // Cleanup
-        for (const tempFile of tempFiles) {
-          try {
-            await fs.unlink(tempFile);
-          } catch {}
-        }
-        try {
-          await fs.unlink(concatFile);
-        } catch {}
-        try {
-          await fs.unlink(outputFile);
-        } catch {}
-        try {
-          await fs.rmdir(tempDir);
-        } catch {}
-
-        return combinedBuffer;
-      } else {
-        // Simple concatenation (not ideal but works)
-        return Buffer.concat(audioBuffers);
-      }
+      return joinMp3(audioBuffers);
     } catch (error) {
       console.error("Failed to combine audio buffers:", error);
       // Fallback to simple concatenation
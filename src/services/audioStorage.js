@@ -0,0 +1,402 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { cloudinary } from "../config/cloudinary.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REQUEST_TIMEOUT_MS = 120000;
+
+const CONTENT_TYPES = {
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  ogg: "audio/ogg",
+  aiff: "audio/aiff",
+};
+
+// Storage failures surface to clients as 502: the audio was generated but
+// could not be kept anywhere they can fetch it
+const storageError = (backend, action, cause) => {
+  const error = new Error(
+    `Audio storage (${backend}) ${action} failed: ${cause.message || cause}`
+  );
+  error.status = 502;
+  return error;
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, "");
+
+// Keys are flat file names so they are safe as paths, object keys and URLs
+const isSafeKey = (key) => /^[\w.-]+$/.test(key) && !key.startsWith(".");
+
+// Keys saved before other formats were supported are bare public ids of
+// MP3 files
+const splitCloudinaryKey = (key) => {
+  const match = key.match(/^(.+)\.(mp3|wav|ogg|aiff)$/);
+  return match
+    ? { publicId: match[1], format: match[2] }
+    : { publicId: key, format: "mp3" };
+};
+
+// Each backend implements save(buffer, { key, format }) returning
+// { key, url, format, bytes }, delete(key), read(key) -> Buffer and
+// getUrl(key). The returned key is what AudioGeneration.storage.key records.
+class CloudinaryStorage {
+  constructor() {
+    this.name = "cloudinary";
+    this.folder = "voice-ai-audio";
+  }
+
+  async save(buffer, { key, format }) {
+    const publicId = key.replace(/\.\w+$/, "");
+
+    try {
+      const result = await new Promise((resolve, reject) => {
+        const upload = cloudinary.uploader.upload_stream(
+          {
+            folder: this.folder,
+            resource_type: "video", // Cloudinary handles audio as video
+            public_id: publicId,
+            format,
+            timeout: REQUEST_TIMEOUT_MS,
+          },
+          (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+        );
+        upload.end(buffer);
+      });
+
+      // The format is kept on the key, which Cloudinary's public id lacks
+      return {
+        key: `${result.public_id}.${format}`,
+        url: result.secure_url,
+        format,
+        bytes: result.bytes || buffer.length,
+        duration: result.duration,
+      };
+    } catch (error) {
+      throw storageError(this.name, "upload", error);
+    }
+  }
+
+  async delete(key) {
+    try {
+      const result = await cloudinary.uploader.destroy(
+        splitCloudinaryKey(key).publicId,
+        { resource_type: "video" }
+      );
+      return result.result === "ok";
+    } catch (error) {
+      throw storageError(this.name, "delete", error);
+    }
+  }
+
+  async read(key) {
+    const response = await fetch(this.getUrl(key), {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    }).catch((error) => {
+      throw storageError(this.name, "download", error);
+    });
+    if (!response.ok) {
+      throw storageError(this.name, "download", `HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  getUrl(key) {
+    const { publicId, format } = splitCloudinaryKey(key);
+    return cloudinary.url(publicId, {
+      resource_type: "video",
+      format,
+      secure: true,
+    });
+  }
+}
+
+// Files under uploads/audio, served by the /uploads/audio static route
+class LocalDiskStorage {
+  constructor() {
+    this.name = "local";
+  }
+
+  getDirectory() {
+    return path.resolve(
+      process.env.AUDIO_STORAGE_DIR ||
+        path.join(__dirname, "../../uploads/audio")
+    );
+  }
+
+  getFilePath(key) {
+    if (!isSafeKey(key)) {
+      throw storageError(this.name, "lookup", `invalid key "${key}"`);
+    }
+    return path.join(this.getDirectory(), key);
+  }
+
+  async save(buffer, { key, format }) {
+    try {
+      await fs.mkdir(this.getDirectory(), { recursive: true });
+      await fs.writeFile(this.getFilePath(key), buffer);
+    } catch (error) {
+      throw error.status ? error : storageError(this.name, "write", error);
+    }
+
+    return { key, url: this.getUrl(key), format, bytes: buffer.length };
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.getFilePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error.status ? error : storageError(this.name, "delete", error);
+    }
+  }
+
+  async read(key) {
+    try {
+      return await fs.readFile(this.getFilePath(key));
+    } catch (error) {
+      throw error.status ? error : storageError(this.name, "read", error);
+    }
+  }
+
+  // AUDIO_PUBLIC_URL is the address clients reach this server on
+  getUrl(key) {
+    const base =
+      process.env.AUDIO_PUBLIC_URL ||
+      process.env.SERVICE_URL ||
+      `http://localhost:${process.env.PORT || 3000}`;
+    return `${trimSlash(base)}/uploads/audio/${encodeURIComponent(key)}`;
+  }
+}
+
+// AWS S3 or any S3-compatible service (MinIO, R2, Spaces), signed with
+// Signature Version 4
+class S3Storage {
+  constructor() {
+    this.name = "s3";
+  }
+
+  getConfig() {
+    const region = process.env.S3_REGION || "us-east-1";
+    return {
+      bucket: process.env.S3_BUCKET,
+      region,
+      endpoint: trimSlash(
+        process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`
+      ),
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX ?? "voice-ai-audio/",
+      publicUrl: process.env.S3_PUBLIC_URL,
+      // Most S3-compatible services only support path-style addressing
+      pathStyle:
+        process.env.S3_FORCE_PATH_STYLE === "true" ||
+        Boolean(process.env.S3_ENDPOINT),
+    };
+  }
+
+  getObjectUrl(key) {
+    const { bucket, endpoint, prefix, pathStyle } = this.getConfig();
+    const objectPath = `${prefix}${key}`
+      .split("/")
+      .map(encodeURIComponent)
+      .join("/");
+
+    if (pathStyle) {
+      return `${endpoint}/${bucket}/${objectPath}`;
+    }
+    const url = new URL(endpoint);
+    return `${url.protocol}//${bucket}.${url.host}/${objectPath}`;
+  }
+
+  getUrl(key) {
+    const { publicUrl, prefix } = this.getConfig();
+    return publicUrl
+      ? `${trimSlash(publicUrl)}/${prefix}${encodeURIComponent(key)}`
+      : this.getObjectUrl(key);
+  }
+
+  sign(method, url, body, headers = {}) {
+    const { region, accessKeyId, secretAccessKey } = this.getConfig();
+    const { host, pathname } = new URL(url);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const date = amzDate.slice(0, 8);
+    const payloadHash = crypto
+      .createHash("sha256")
+      .update(body || "")
+      .digest("hex");
+
+    const signed = {
+      ...headers,
+      host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+    const names = Object.keys(signed)
+      .map((name) => name.toLowerCase())
+      .sort();
+    const lowered = Object.fromEntries(
+      Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value])
+    );
+
+    const canonicalRequest = [
+      method,
+      pathname,
+      "",
+      ...names.map((name) => `${name}:${String(lowered[name]).trim()}`),
+      "",
+      names.join(";"),
+      payloadHash,
+    ].join("\n");
+
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      crypto.createHash("sha256").update(canonicalRequest).digest("hex"),
+    ].join("\n");
+
+    const hmac = (key, value) =>
+      crypto.createHmac("sha256", key).update(value).digest();
+    const signingKey = ["s3", "aws4_request"].reduce(
+      hmac,
+      hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+    );
+    const signature = crypto
+      .createHmac("sha256", signingKey)
+      .update(stringToSign)
+      .digest("hex");
+
+    delete signed.host;
+    return {
+      ...signed,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(
+        ";"
+      )}, Signature=${signature}`,
+    };
+  }
+
+  async request(action, method, key, body, headers) {
+    const { bucket, accessKeyId, secretAccessKey } = this.getConfig();
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw storageError(
+        this.name,
+        action,
+        "S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY must be set"
+      );
+    }
+
+    const url = this.getObjectUrl(key);
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: this.sign(method, url, body, headers),
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+    } catch (error) {
+      throw storageError(this.name, action, error);
+    }
+
+    if (!response.ok && !(method === "DELETE" && response.status === 404)) {
+      const detail = (await response.text().catch(() => "")).match(
+        /<Message>(.*?)<\/Message>/
+      );
+      throw storageError(
+        this.name,
+        action,
+        `HTTP ${response.status}${detail ? `: ${detail[1]}` : ""}`
+      );
+    }
+    return response;
+  }
+
+  async save(buffer, { key, format }) {
+    await this.request("upload", "PUT", key, buffer, {
+      "Content-Type": CONTENT_TYPES[format] || "application/octet-stream",
+    });
+    return { key, url: this.getUrl(key), format, bytes: buffer.length };
+  }
+
+  async delete(key) {
+    const response = await this.request("delete", "DELETE", key);
+    return response.status !== 404;
+  }
+
+  async read(key) {
+    const response = await this.request("download", "GET", key);
+    return Buffer.from(await response.arrayBuffer());
+  }
+}
+
+// Picks the backend new audio is saved to (AUDIO_STORAGE=cloudinary|local|s3).
+// Existing files are handled by the backend recorded when they were saved.
+class AudioStorage {
+  constructor() {
+    this.backends = new Map();
+  }
+
+  register(backend) {
+    this.backends.set(backend.name, backend);
+    return this;
+  }
+
+  names() {
+    return [...this.backends.keys()];
+  }
+
+  get(name = this.getDefaultName()) {
+    const backend = this.backends.get(name);
+    if (!backend) {
+      throw new Error(
+        `Unknown audio storage "${name}". Use one of: ${this.names().join(
+          ", "
+        )}`
+      );
+    }
+    return backend;
+  }
+
+  getDefaultName() {
+    return process.env.AUDIO_STORAGE || "cloudinary";
+  }
+
+  getContentType(format) {
+    return CONTENT_TYPES[format] || "application/octet-stream";
+  }
+
+  createKey(format = "mp3") {
+    return `audio_${Date.now()}_${Math.random()
+      .toString(36)
+      .substring(2, 15)}.${format}`;
+  }
+
+  // Returns { backend, key, url, format, bytes, duration? }
+  async save(buffer, { format = "mp3" } = {}) {
+    const backend = this.get();
+    const saved = await backend.save(buffer, {
+      key: this.createKey(format),
+      format,
+    });
+    return { backend: backend.name, ...saved };
+  }
+
+  delete({ backend, key }) {
+    return this.get(backend).delete(key);
+  }
+
+  read({ backend, key }) {
+    return this.get(backend).read(key);
+  }
+}
+
+export default new AudioStorage()
+  .register(new CloudinaryStorage())
+  .register(new LocalDiskStorage())
+  .register(new S3Storage());
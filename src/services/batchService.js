@@ -0,0 +1,195 @@
+import BatchJob from "../models/BatchJob.js";
+import ContentGeneration from "../models/ContentGeneration.js";
+import User from "../models/User.js";
+import { AIService } from "./aiService.js";
+import moderation from "./moderationService.js";
+import jobQueue from "./jobQueue.js";
+
+export const LIMIT_REACHED_ERROR =
+  "Monthly content limit reached before this row was generated";
+const BLOCKED_OUTPUT_ERROR =
+  "The generated content was blocked by our content policy";
+
+// A row left "processing" this long was abandoned by a worker that stopped
+const ROW_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Runs bulk uploads as "batch.process" jobs, one row at a time so a batch
+// can't starve interactive requests of provider rate limits
+class BatchService {
+  // Queue processing of the batch's pending rows. A run that is already in
+  // progress picks up rows retried meanwhile; otherwise the queued job does.
+  start(batchId, user) {
+    return jobQueue.enqueue(
+      "batch.process",
+      { batchId: batchId.toString() },
+      { user, queue: "batch", unique: true }
+    );
+  }
+
+  async process(batchId, signal) {
+    await BatchJob.updateOne(
+      { _id: batchId },
+      {
+        $set: {
+          status: "processing",
+          completedAt: null,
+          "rows.$[row].status": "pending",
+        },
+      },
+      {
+        arrayFilters: [
+          {
+            "row.status": "processing",
+            "row.startedAt": { $lt: new Date(Date.now() - ROW_TIMEOUT_MS) },
+          },
+        ],
+      }
+    );
+    await BatchJob.updateOne(
+      { _id: batchId, startedAt: null },
+      { $set: { startedAt: new Date() } }
+    );
+
+    while (!signal?.aborted) {
+      const batch = await BatchJob.findById(batchId);
+      if (!batch) return;
+
+      const row = batch.rows.find(
+        (candidate) => candidate.status === "pending"
+      );
+      if (!row) {
+        batch.finish();
+        await batch.save();
+        return;
+      }
+
+      const user = await User.findById(batch.user);
+      if (!user) {
+        await this.failPending(batch, LIMIT_REACHED_ERROR);
+        continue;
+      }
+      // Rows queued before credits were reserved are paid for as they run
+      if (!row.reserved && !user.canGenerateContent()) {
+        await this.updateRow(batch._id, row.index, {
+          status: "failed",
+          error: LIMIT_REACHED_ERROR,
+          completedAt: new Date(),
+        });
+        continue;
+      }
+
+      await this.processRow(batch, row, user);
+    }
+
+    // Cancelled: unprocessed rows stay pending until the batch is retried
+    await BatchJob.updateOne(
+      { _id: batchId, status: "processing" },
+      { $set: { status: "pending" } }
+    );
+  }
+
+  async processRow(batch, row, user) {
+    // Claim the row so overlapping runs never generate it twice
+    const claimed = await BatchJob.updateOne(
+      {
+        _id: batch._id,
+        rows: { $elemMatch: { index: row.index, status: "pending" } },
+      },
+      {
+        $set: {
+          "rows.$.status": "processing",
+          "rows.$.error": null,
+          "rows.$.startedAt": new Date(),
+        },
+        $inc: { "rows.$.attempts": 1 },
+      }
+    );
+    if (claimed.modifiedCount === 0) return;
+
+    try {
+      const aiResult = await AIService.generateContent(row.businessDetails, {
+        provider: batch.options?.provider,
+        plan: user.subscription.plan,
+        cache: batch.options?.cache,
+      });
+      const output = moderation.checkOutput(aiResult);
+      const { businessDetails } = row;
+
+      const record = await new ContentGeneration({
+        user: batch.user,
+        businessDetails,
+        contentType: businessDetails.contentType,
+        language: businessDetails.preferredLanguage,
+        generatedContent: output.content,
+        structuredContent: output.structuredContent,
+        prompt: aiResult.prompt,
+        promptTemplate: aiResult.promptTemplate,
+        model: aiResult.model,
+        provider: aiResult.provider,
+        tokensUsed: aiResult.tokensUsed,
+        cacheHit: aiResult.cacheHit,
+        tone: businessDetails.tone,
+        status: output.blocked ? "failed" : "success",
+        moderation: moderation.buildRecord(row.inputFindings, output.findings),
+        batch: batch._id,
+        metadata: {
+          generationTime: aiResult.generationTime,
+        },
+      }).save();
+
+      if (row.reserved && output.blocked) {
+        await user.refundContentCredits();
+      } else if (!row.reserved && !output.blocked) {
+        await user.incrementContentUsage();
+      }
+
+      await this.updateRow(batch._id, row.index, {
+        status: output.blocked ? "failed" : "success",
+        error: output.blocked ? BLOCKED_OUTPUT_ERROR : null,
+        content: record._id,
+        completedAt: new Date(),
+      });
+    } catch (error) {
+      console.error(`Batch ${batch._id} row ${row.index} failed:`, error);
+      if (row.reserved) await user.refundContentCredits();
+      await this.updateRow(batch._id, row.index, {
+        status: "failed",
+        error: error.message || "Content generation failed",
+        completedAt: new Date(),
+      });
+    }
+  }
+
+  async failPending(batch, error) {
+    await BatchJob.updateOne(
+      { _id: batch._id },
+      {
+        $set: {
+          "rows.$[row].status": "failed",
+          "rows.$[row].error": error,
+          "rows.$[row].completedAt": new Date(),
+        },
+      },
+      { arrayFilters: [{ "row.status": "pending" }] }
+    );
+  }
+
+  // Row fields are updated in place so retries queued from a request don't
+  // race with other updates to the batch. With where.status the row is only
+  // updated while it still has that status.
+  updateRow(batchId, index, fields, where = {}) {
+    return BatchJob.updateOne(
+      {
+        _id: batchId,
+        rows: { $elemMatch: { index, ...where } },
+      },
+      {
+        $set: Object.fromEntries(
+          Object.entries(fields).map(([key, value]) => [`rows.$.${key}`, value])
+        ),
+      }
+    );
+  }
+}
+
+export default new BatchService();
@@ -1,12 +1,22 @@
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
-import { exec } from "child_process";
-import { promisify } from "util";
-import { cloudinary } from "../config/cloudinary.js";
-import gTTS from "node-gtts";
+import ttsEngines from "./ttsEngines.js";
+import audioStorage from "./audioStorage.js";
+import audioConverter from "./audioConverter.js";
+import audioProcessor from "./audioProcessor.js";
+import { romanToDevanagari } from "../utils/transliteration.js";
+import { stripUnspokenText, applyLexicon } from "../utils/ttsText.js";
+import { normalizeForTTS } from "../utils/ttsNormalizer.js";
+import { probeAudio } from "../utils/audioProbe.js";
+import {
+  isSsml,
+  parseSsml,
+  mapSsmlText,
+  ssmlToText,
+  getBreakTime,
+} from "../utils/ssml.js";
 
-const execAsync = promisify(exec);
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -24,39 +34,33 @@ class AudioService {
     }
   }
 
-  // Clean and optimize text for storytelling TTS
-  cleanTextForTTS(text, language = "en") {
+  // Clean and optimize text for storytelling TTS. lexicon is the user's
+  // pronunciation entries (see services/lexiconService.js).
+  cleanTextForTTS(text, language = "en", lexicon = []) {
     if (!text || typeof text !== "string") {
       return "";
     }
 
     // Remove technical formatting and metadata that shouldn't be spoken
-    let cleanText = text
-      // Remove HTML tags
-      .replace(/<[^>]*>/g, "")
-      // Remove markdown headers and formatting
-      .replace(/#{1,6}\s*/g, "")
-      .replace(/[*_`~]/g, "")
-      // Remove URLs
-      .replace(/https?:\/\/[^\s]+/g, "")
-      // Remove email addresses
-      .replace(/\S+@\S+\.\S+/g, "")
-      // Remove word count indicators (e.g., "200-300 words", "150 words")
-      .replace(/\b\d{1,4}[-–]\d{1,4}\s*words?\b/gi, "")
-      .replace(/\b\d{1,4}\s*words?\b/gi, "")
-      // Remove character count indicators
-      .replace(/\b\d{1,4}[-–]\d{1,4}\s*characters?\b/gi, "")
-      .replace(/\b\d{1,4}\s*characters?\b/gi, "")
-      // Remove section numbering (1., 2., etc.)
-      .replace(/^\d+\.\s*/gm, "")
-      // Remove bullet points and list markers
-      .replace(/^[•\-\*]\s*/gm, "")
+    let cleanText = stripUnspokenText(text)
       // Remove excessive whitespace
       .replace(/\s+/g, " ")
       .trim();
 
+    // Before transliteration, so entries match text as the user wrote it
+    cleanText = applyLexicon(cleanText, lexicon);
+
+    // Numbers, money, dates and phone numbers as words. Romanized Nepali
+    // gets Devanagari words, which transliteration leaves alone.
+    cleanText = normalizeForTTS(cleanText, language);
+
+    // Nepali voices expect Devanagari, so Romanized Nepali is converted back
+    if (language === "ne-Latn") {
+      cleanText = romanToDevanagari(cleanText);
+    }
+
     // Language-specific optimizations
-    if (language === "ne") {
+    if (language === "ne" || language === "ne-Latn") {
       // Nepali-specific text cleaning
       cleanText = cleanText
         // Remove common Nepali formatting markers
@@ -72,24 +76,30 @@ class AudioService {
     return cleanText;
   }
 
-  // Generate TikTok-style storytelling voice
-  async generateTikTokVoice(text, speed = 1.0, voice = "en_us_001") {
+  // Generate TikTok-style storytelling voice. Engines are tried in the
+  // registry's priority order (see services/ttsEngines.js); options.engine
+  // asks for a specific one first. text may be a parsed SSML document;
+  // options.cleaned says plain text has already been through cleanTextForTTS,
+  // which must not run twice. options.signal (an AbortSignal) stops the work
+  // after synthesis; audio stored by then is deleted again.
+  async generateTikTokVoice(
+    text,
+    speed = 1.0,
+    voice = "en_us_001",
+    language = "en",
+    options = {}
+  ) {
     try {
-      const cleanText = this.cleanTextForTTS(text);
+      const speech =
+        typeof text === "string" && !options.cleaned
+          ? this.cleanTextForTTS(text, language)
+          : text;
+      const cleanText =
+        typeof speech === "string" ? speech : ssmlToText(speech, language);
       if (!cleanText) {
         throw new Error("No valid text provided for TTS generation");
       }
 
-      // Create temporary file for audio generation
-      const tempFileName = `temp_${Date.now()}_${Math.random()
-        .toString(36)
-        .substring(2, 15)}.mp3`;
-      let tempFilePath = path.join(this.tempDir, tempFileName);
-
-      // Try multiple fallback methods to ensure audio generation at any cost
-      let audioGenerated = false;
-      let generationMethod = "fallback_final";
-
       console.log(
         `🎬 Starting TikTok voice generation for: "${cleanText.substring(
           0,
@@ -97,896 +107,96 @@ class AudioService {
         )}..."`
       );
 
-      // Primary TTS: Web Google TTS, fallback to node-gtts only
-      try {
-        await this.generateWebGoogleTTS(cleanText, tempFilePath, voice, speed);
-        audioGenerated = true;
-        generationMethod = "web_google_tts_primary";
-        console.log(
-          "✅ Audio generated successfully using Web Google TTS (Primary)."
-        );
-      } catch (primaryError) {
-        console.log("Web Google TTS failed, falling back to node-gtts...");
-        try {
-          await this.generateGoogleTTS(cleanText, tempFilePath, voice, speed);
-          audioGenerated = true;
-          generationMethod = "node_gtts_fallback";
-          console.log("✅ Audio generated using node-gtts fallback.");
-        } catch (fallbackError) {
-          console.error("node-gtts fallback failed:", fallbackError);
-          throw new Error(`Audio generation failed: ${fallbackError.message}`);
-        }
-      }
-
-      if (!audioGenerated) {
-        throw new Error(
-          "Fatal error: Failed to generate any audio file after all attempts."
-        );
-      }
-
-      // Verify the audio file exists and has content
-      try {
-        const stats = await fs.stat(tempFilePath);
-        if (stats.size === 0) {
-          console.warn("Generated audio file is empty, recreating...");
-          await this.createSilentWav(
-            tempFilePath,
-            this.estimateAudioDuration(cleanText)
-          );
-        }
-        console.log(`📁 Audio file created: ${stats.size} bytes`);
-      } catch (statError) {
-        console.warn("Could not verify audio file, proceeding anyway...");
-      }
-
-      // Upload to Cloudinary with proper audio settings
-      let uploadResult;
-      try {
-        uploadResult = await cloudinary.uploader.upload(tempFilePath, {
-          folder: "voice-ai-audio",
-          resource_type: "video", // Process as video to ensure Cloudinary handles audio correctly
-          public_id: `audio_${Date.now()}_${Math.random()
-            .toString(36)
-            .substring(2, 15)}`,
-          format: "mp3", // Ensure output is mp3
-          audio_codec: "mp3",
-          quality: "auto:good",
-          timeout: 120000, // 2 minutes timeout
-        });
-        console.log(
-          `☁️ Successfully uploaded to Cloudinary: ${uploadResult.secure_url}`
-        );
-      } catch (uploadError) {
-        console.error("Cloudinary upload failed:", uploadError.message);
+      const audio = await ttsEngines.synthesize(speech, {
+        language,
+        voice,
+        speed,
+        engine: options.engine,
+        tempDir: this.tempDir,
+      });
+      // Cancelled while synthesizing: nothing is stored
+      options.signal?.throwIfAborted();
+      console.log(
+        `✅ Audio generated using ${audio.engine} (${audio.buffer.length} bytes)`
+      );
 
-        // If Cloudinary fails, create a mock response for testing
-        uploadResult = {
-          secure_url: `file://${tempFilePath}`,
-          public_id: `local_audio_${Date.now()}`,
-          bytes: 0,
-          duration: this.estimateAudioDuration(cleanText),
-        };
+      // Even loudness and no dead air, whichever engine spoke
+      const processed = await audioProcessor.process(audio, {
+        tempDir: this.tempDir,
+      });
 
-        console.log("⚠️ Using local file path as fallback");
+      // Engines produce MP3 or WAV; options.format asks for another format
+      const output = await audioConverter.convert(processed, {
+        format: options.format,
+        bitrate: options.bitrate,
+        tempDir: this.tempDir,
+      });
 
-        // Don't delete the temp file if Cloudinary upload fails
-        tempFilePath = null; // Prevent cleanup
-      }
+      // Read from the generated audio itself, so it holds whichever backend
+      // stores the file
+      const probe = probeAudio(output.buffer);
 
-      // Clean up temporary file (only if Cloudinary upload succeeded)
-      if (tempFilePath) {
-        try {
-          await fs.unlink(tempFilePath);
-          console.log("🗑️ Cleaned up temporary file");
-        } catch (cleanupError) {
-          console.warn("Failed to cleanup temp file:", cleanupError);
-        }
+      // Storage errors propagate: a URL the client can't fetch is worse
+      // than a failed request
+      const stored = await audioStorage.save(output.buffer, {
+        format: output.format,
+      });
+      if (options.signal?.aborted) {
+        await audioStorage
+          .delete(stored)
+          .catch((error) =>
+            console.error("Failed to delete cancelled audio:", error.message)
+          );
+        options.signal.throwIfAborted();
       }
+      console.log(`☁️ Stored audio (${stored.backend}): ${stored.url}`);
 
       console.log(
-        `🎉 Audio generation completed successfully! Method: ${generationMethod}`
+        `🎉 Audio generation completed successfully! Engine: ${audio.engine}`
       );
 
       return {
         success: true,
-        audioUrl: uploadResult.secure_url,
-        publicId: uploadResult.public_id,
+        audioUrl: stored.url,
+        publicId: stored.key,
+        storage: { backend: stored.backend, key: stored.key },
+        engine: audio.engine,
+        fileSize: stored.bytes,
         duration:
-          uploadResult.duration || this.estimateAudioDuration(cleanText),
+          probe?.duration ||
+          stored.duration ||
+          this.estimateAudioDuration(cleanText) +
+            (typeof speech === "string" ? 0 : getBreakTime(speech) / 1000),
         metadata: {
           voice,
           speed,
           textLength: cleanText.length,
           estimatedWords: Math.floor(cleanText.length / 5),
           generatedAt: new Date().toISOString(),
-          audioGenerated: audioGenerated,
-          method: generationMethod,
-          fileSize: uploadResult.bytes || 0,
+          method: audio.engine,
+          engine: audio.engine,
+          engineAttempts: audio.attempts,
+          sourceFormat: audio.format,
+          ssml: audio.ssml || null,
+          format: stored.format,
+          codec: output.codec,
+          fileSize: stored.bytes,
+          sampleRate: probe?.sampleRate,
+          bitrate: probe?.bitrate || output.bitrate,
+          channels: probe?.channels,
+          loudness: processed.loudness,
         },
       };
     } catch (error) {
       console.error("TikTok voice generation failed:", error);
-      throw new Error(`Audio generation failed: ${error.message}`);
-    }
-  }
-
-  // Create proper audio file using ffmpeg or return a cloud TTS URL
-  async createPlaceholderAudio(text, outputPath) {
-    try {
-      // Calculate duration based on text length (more realistic timing)
-      // Average reading speed is about 150-200 words per minute
-      // Average word length is about 5 characters
-      const wordsPerMinute = 180; // Slightly faster for TTS
-      const avgCharsPerWord = 5;
-      const estimatedWords = text.length / avgCharsPerWord;
-      const estimatedMinutes = estimatedWords / wordsPerMinute;
-
-      // Minimum 10 seconds, maximum 5 minutes for safety
-      const duration = Math.min(Math.max(estimatedMinutes * 60, 10), 300);
-
-      console.log(
-        `📏 Text: ${text.length} chars, ~${estimatedWords.toFixed(
-          0
-        )} words, Duration: ${duration.toFixed(1)}s`
-      );
-
-      try {
-        // Try using ffmpeg to create a proper silent audio file
-        await execAsync(
-          `ffmpeg -f lavfi -i anullsrc=r=44100:cl=mono -t ${duration} -acodec mp3 -y "${outputPath}" 2>/dev/null`
-        );
-        console.log(
-          `✅ Created ${duration.toFixed(1)}s silent audio using ffmpeg`
-        );
-        return;
-      } catch (ffmpegError) {
-        console.log("FFmpeg not available, trying alternative method...");
-      }
-
-      // If ffmpeg is not available, create a proper WAV file instead
-      await this.createSilentWav(outputPath, duration);
-
-      console.log(
-        `✅ Created ${duration.toFixed(
-          1
-        )}s silent WAV for text: "${text.substring(0, 50)}..."`
-      );
-    } catch (error) {
-      console.error("Failed to create placeholder audio:", error);
-      throw error;
-    }
-  }
-
-  // Create a proper silent WAV file
-  async createSilentWav(outputPath, durationSeconds = 2) {
-    const sampleRate = 44100;
-    const numSamples = Math.floor(sampleRate * durationSeconds);
-    const numChannels = 1; // Mono
-    const bitsPerSample = 16;
-    const byteRate = (sampleRate * numChannels * bitsPerSample) / 8;
-    const blockAlign = (numChannels * bitsPerSample) / 8;
-    const dataSize = numSamples * blockAlign;
-    const chunkSize = 36 + dataSize;
-
-    // Create WAV header
-    const header = Buffer.alloc(44);
-
-    // RIFF chunk descriptor
-    header.write("RIFF", 0);
-    header.writeUInt32LE(chunkSize, 4);
-    header.write("WAVE", 8);
-
-    // fmt sub-chunk
-    header.write("fmt ", 12);
-    header.writeUInt32LE(16, 16); // Sub-chunk size
-    header.writeUInt16LE(1, 20); // Audio format (PCM)
-    header.writeUInt16LE(numChannels, 22);
-    header.writeUInt32LE(sampleRate, 24);
-    header.writeUInt32LE(byteRate, 28);
-    header.writeUInt16LE(blockAlign, 32);
-    header.writeUInt16LE(bitsPerSample, 34);
-
-    // data sub-chunk
-    header.write("data", 36);
-    header.writeUInt32LE(dataSize, 40);
-
-    // Create silent audio data (all zeros)
-    const audioData = Buffer.alloc(dataSize, 0);
-
-    // Combine header and data
-    const wavFile = Buffer.concat([header, audioData]);
-
-    // Write to file
-    await fs.writeFile(outputPath, wavFile);
-  }
-
-  // Generate audio using cloud TTS services
-  async generateCloudTTS(text, outputPath, voice = "en_us_001", speed = 1.0) {
-    try {
-      // For now, we'll use a free TTS API or edge TTS
-      // You can replace this with Google TTS, Amazon Polly, etc.
-
-      // Try using espeak if available (works on some servers)
-      try {
-        const voiceMap = {
-          en_us_001: "en-us+f3",
-          en_us_002: "en-us+m3",
-          en_uk_001: "en+f3",
-          en_uk_003: "en+m3",
-          ne_np_001: "hi+f3", // Hindi as fallback for Nepali
-          ne_np_002: "hi+m3",
-        };
-
-        const espeakVoice = voiceMap[voice] || "en+f3";
-        const speedParam = Math.floor(speed * 175); // espeak speed (words per minute)
-
-        await execAsync(
-          `espeak -v "${espeakVoice}" -s ${speedParam} -w "${outputPath}" "${text.replace(
-            /"/g,
-            '\\"'
-          )}" 2>/dev/null`
-        );
-
-        console.log(
-          `✅ Generated TTS audio using espeak with voice ${espeakVoice}`
-        );
-        return;
-      } catch (espeakError) {
-        console.log("espeak not available, trying festival...");
-      }
-
-      // Try festival TTS
-      try {
-        // Create a temporary text file for festival
-        const textFile = outputPath
-          .replace(".mp3", ".txt")
-          .replace(".wav", ".txt");
-        await fs.writeFile(textFile, text);
-
-        await execAsync(
-          `echo "${text.replace(
-            /"/g,
-            '\\"'
-          )}" | festival --tts --otype wav --output "${outputPath}" 2>/dev/null`
-        );
-
-        // Clean up text file
-        try {
-          await fs.unlink(textFile);
-        } catch {}
-
-        console.log("✅ Generated TTS audio using festival");
-        return;
-      } catch (festivalError) {
-        console.log("festival not available, trying say command...");
-      }
-
-      // Try macOS say command (if on macOS)
-      try {
-        const voices = {
-          en_us_001: "Samantha",
-          en_us_002: "Alex",
-          en_uk_001: "Kate",
-          en_uk_003: "Daniel",
-        };
-
-        const sayVoice = voices[voice] || "Samantha";
-        const rate = Math.floor(speed * 200); // say command rate
-
-        await execAsync(
-          `say -v "${sayVoice}" -r ${rate} -o "${outputPath.replace(
-            ".mp3",
-            ".aiff"
-          )}" "${text.replace(/"/g, '\\"')}"`
-        );
-
-        // Convert AIFF to MP3 if ffmpeg is available
-        try {
-          await execAsync(
-            `ffmpeg -i "${outputPath.replace(
-              ".mp3",
-              ".aiff"
-            )}" -acodec mp3 "${outputPath}" 2>/dev/null && rm "${outputPath.replace(
-              ".mp3",
-              ".aiff"
-            )}"`
-          );
-        } catch {
-          // If ffmpeg fails, just rename the AIFF file
-          await execAsync(
-            `mv "${outputPath.replace(".mp3", ".aiff")}" "${outputPath}"`
-          );
-        }
-
-        console.log(
-          `✅ Generated TTS audio using macOS say with voice ${sayVoice}`
-        );
-        return;
-      } catch (sayError) {
-        console.log("macOS say command not available, trying web-based TTS...");
-      }
-
-      // If all system TTS fails, try a web-based solution
-      await this.generateWebTTS(text, outputPath, voice, speed);
-    } catch (error) {
-      console.error("Cloud TTS generation failed:", error);
-      throw error;
+      const failure = new Error(`Audio generation failed: ${error.message}`);
+      failure.status = error.status;
+      throw failure;
     }
   }
 
-  // Generate TTS using web-based API or edge TTS
-  async generateWebTTS(text, outputPath, voice, speed) {
-    try {
-      // Try using Microsoft Edge TTS first (highest quality, free)
-      const edgeSuccess = await this.generateEdgeTTS(
-        text,
-        outputPath,
-        voice,
-        speed
-      );
-      if (edgeSuccess) {
-        console.log("✅ Generated TTS audio using Microsoft Edge TTS");
-        return;
-      }
-
-      // Try using gTTS as primary fallback (reliable, free)
-      try {
-        await this.generateGoogleTTS(text, outputPath, voice, speed);
-        console.log("✅ Generated TTS audio using Google TTS");
-        return;
-      } catch (gTTSError) {
-        console.log("gTTS failed, trying alternative methods...");
-      }
-
-      // Try using system TTS as final fallback
-      await this.generateSystemTTS(text, outputPath, voice, speed);
-      console.log("✅ Generated TTS audio using system TTS");
-    } catch (error) {
-      console.error("All TTS methods failed:", error);
-      throw error;
-    }
-  }
-
-  // Generate TTS using system commands (espeak, festival, say)
-  async generateSystemTTS(text, outputPath, voice, speed) {
-    try {
-      // Try macOS say command first (best quality on macOS)
-      if (process.platform === "darwin") {
-        const voices = {
-          en_us_001: "Samantha",
-          en_us_002: "Alex",
-          en_uk_001: "Kate",
-          en_uk_003: "Daniel",
-          en_au_001: "Karen",
-          en_au_002: "Lee",
-        };
-
-        const sayVoice = voices[voice] || "Samantha";
-        const rate = Math.floor(speed * 200);
-
-        try {
-          await execAsync(
-            `say -v "${sayVoice}" -r ${rate} -o "${outputPath.replace(
-              ".mp3",
-              ".aiff"
-            )}" "${text.replace(/"/g, '\\"')}"`
-          );
-
-          // Convert to MP3 if possible
-          try {
-            await execAsync(
-              `ffmpeg -i "${outputPath.replace(
-                ".mp3",
-                ".aiff"
-              )}" -acodec mp3 "${outputPath}" 2>/dev/null && rm "${outputPath.replace(
-                ".mp3",
-                ".aiff"
-              )}"`
-            );
-          } catch {
-            await execAsync(
-              `mv "${outputPath.replace(".mp3", ".aiff")}" "${outputPath}"`
-            );
-          }
-
-          console.log(`✅ Generated TTS using macOS say (${sayVoice})`);
-          return;
-        } catch (sayError) {
-          console.log("macOS say failed:", sayError.message);
-        }
-      }
-
-      // Try espeak (available on most Linux systems)
-      try {
-        const voiceMap = {
-          en_us_001: "en-us+f3",
-          en_us_002: "en-us+m3",
-          en_uk_001: "en+f3",
-          en_uk_003: "en+m3",
-          ne_np_001: "hi+f3",
-          ne_np_002: "hi+m3",
-        };
-
-        const espeakVoice = voiceMap[voice] || "en+f3";
-        const speedParam = Math.floor(speed * 175);
-
-        await execAsync(
-          `espeak -v "${espeakVoice}" -s ${speedParam} -w "${outputPath}" "${text.replace(
-            /"/g,
-            '\\"'
-          )}" 2>/dev/null`
-        );
-
-        console.log(`✅ Generated TTS using espeak (${espeakVoice})`);
-        return;
-      } catch (espeakError) {
-        console.log("espeak failed:", espeakError.message);
-      }
-
-      throw new Error("No system TTS available");
-    } catch (error) {
-      console.error("System TTS failed:", error);
-      throw error;
-    }
-  }
-
-  // Generate TTS using Microsoft Edge (free, high quality)
-  async generateEdgeTTS(text, outputPath, voice, speed) {
-    try {
-      // Voice mapping for Edge TTS
-      const edgeVoices = {
-        en_us_001: "en-US-AriaNeural", // Female, natural
-        en_us_002: "en-US-GuyNeural", // Male, professional
-        en_uk_001: "en-GB-SoniaNeural", // UK Female, warm
-        en_uk_003: "en-GB-RyanNeural", // UK Male, storytelling
-        en_au_001: "en-AU-NatashaNeural", // Australian Female
-        en_au_002: "en-AU-WilliamNeural", // Australian Male
-        ne_np_001: "hi-IN-SwaraNeural", // Hindi Female (closest to Nepali)
-        ne_np_002: "hi-IN-MadhurNeural", // Hindi Male (closest to Nepali)
-      };
-
-      const edgeVoice = edgeVoices[voice] || "en-US-AriaNeural";
-      const rate = speed < 0.8 ? "slow" : speed > 1.2 ? "fast" : "medium";
-
-      // Create SSML for better speech synthesis
-      const ssml = `
-        <speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US">
-          <voice name="${edgeVoice}">
-            <prosody rate="${rate}" pitch="medium">
-              ${text
-                .replace(/&/g, "&amp;")
-                .replace(/</g, "&lt;")
-                .replace(/>/g, "&gt;")}
-            </prosody>
-          </voice>
-        </speak>
-      `;
-
-      // Try using edge-tts if available
-      const tempSSMLFile = outputPath.replace(".mp3", ".ssml");
-      await fs.writeFile(tempSSMLFile, ssml);
-
-      try {
-        await execAsync(
-          `edge-tts --voice "${edgeVoice}" --file "${tempSSMLFile}" --write-media "${outputPath}" 2>/dev/null`
-        );
-
-        // Clean up SSML file
-        try {
-          await fs.unlink(tempSSMLFile);
-        } catch {}
-
-        return true;
-      } catch (edgeError) {
-        // Clean up SSML file
-        try {
-          await fs.unlink(tempSSMLFile);
-        } catch {}
-
-        // Try alternative approach with direct text
-        try {
-          await execAsync(
-            `edge-tts --voice "${edgeVoice}" --text "${text.replace(
-              /"/g,
-              '\\"'
-            )}" --write-media "${outputPath}" 2>/dev/null`
-          );
-          return true;
-        } catch (directError) {
-          console.log("Edge TTS not available:", directError.message);
-          return false;
-        }
-      }
-    } catch (error) {
-      console.log("Edge TTS failed:", error.message);
-      return false;
-    }
-  }
-
-  // Generate TTS using Google TTS (gTTS) with enhanced error handling
-  async generateGoogleTTS(text, outputPath, voice, speed) {
-    try {
-      // Clean and validate text first
-      const cleanText = text.trim();
-      if (!cleanText || cleanText.length < 3) {
-        throw new Error("Text too short for TTS generation");
-      }
-
-      // Language mapping for gTTS
-      const gTTSLangs = {
-        en_us_001: "en",
-        en_us_002: "en",
-        en_uk_001: "en",
-        en_uk_003: "en",
-        en_au_001: "en",
-        en_au_002: "en",
-        ne_np_001: "hi", // Hindi as fallback for Nepali
-        ne_np_002: "hi",
-      };
-
-      const lang = gTTSLangs[voice] || "en";
-      const slow = speed < 0.8;
-
-      console.log(
-        `🎤 Generating TTS audio: "${cleanText.substring(
-          0,
-          50
-        )}..." (lang: ${lang}, slow: ${slow})`
-      );
-
-      // Try multiple TTS approaches
-      let success = false;
-
-      // Method 1: Try node-gtts with proper error handling
-      try {
-        console.log("🔄 Trying node-gtts method...");
-        const gtts = new gTTS(cleanText, lang, slow);
-
-        await new Promise((resolve, reject) => {
-          gtts.save(outputPath, (err) => {
-            if (err) {
-              console.error("gTTS save error:", err);
-              reject(new Error(`node-gtts failed: ${err.message || err}`));
-            } else {
-              console.log(`✅ node-gtts success: ${outputPath}`);
-              resolve();
-            }
-          });
-        });
-        success = true;
-      } catch (nodeGTTSError) {
-        console.log("❌ node-gtts failed:", nodeGTTSError.message);
-      }
-
-      // Method 2: Try web-based Google TTS API
-      if (!success) {
-        try {
-          console.log("🔄 Trying web-based Google TTS...");
-          await this.generateWebGoogleTTS(cleanText, outputPath, lang, slow);
-          success = true;
-          console.log("✅ Web Google TTS success");
-        } catch (webError) {
-          console.log("❌ Web Google TTS failed:", webError.message);
-        }
-      }
-
-      // Method 3: Try system TTS as backup
-      if (!success) {
-        try {
-          console.log("🔄 Trying system TTS as backup...");
-          await this.generateSystemTTS(cleanText, outputPath, voice, speed);
-          success = true;
-          console.log("✅ System TTS success");
-        } catch (systemError) {
-          console.log("❌ System TTS failed:", systemError.message);
-        }
-      }
-
-      if (!success) {
-        throw new Error("All Google TTS methods failed");
-      }
-    } catch (gTTSError) {
-      console.error("Google TTS generation failed:", gTTSError);
-      throw gTTSError;
-    }
-  }
-
-  // Web-based Google TTS using direct API - MOST RELIABLE FOR CLOUD
-  async generateWebGoogleTTS(text, outputPath, voice, speed) {
-    try {
-      // Clean and validate text first
-      const cleanText = text.trim();
-      if (!cleanText || cleanText.length < 3) {
-        throw new Error("Text too short for TTS generation");
-      }
-
-      // Language mapping for Google TTS
-      const gTTSLangs = {
-        en_us_001: "en",
-        en_us_002: "en",
-        en_uk_001: "en",
-        en_uk_003: "en",
-        en_au_001: "en",
-        en_au_002: "en",
-        ne_np_001: "hi", // Hindi as fallback for Nepali
-        ne_np_002: "hi",
-      };
-
-      const lang = gTTSLangs[voice] || "en";
-      const slow = speed < 0.8;
-
-      console.log(
-        `🌐 Generating Web Google TTS: "${cleanText.substring(
-          0,
-          50
-        )}..." (lang: ${lang}, slow: ${slow})`
-      );
-
-      // Use Google Translate TTS API (unofficial but widely used and reliable)
-      const fetch = (await import("node-fetch")).default;
-
-      const ttsSpeed = slow ? 0.24 : 1;
-      const textEncoded = encodeURIComponent(cleanText);
-
-      // Multiple Google TTS endpoints for reliability
-      const endpoints = [
-        `https://translate.google.com/translate_tts?ie=UTF-8&total=1&idx=0&textlen=${cleanText.length}&client=tw-ob&q=${textEncoded}&tl=${lang}&ttsspeed=${ttsSpeed}`,
-        `http://translate.google.com/translate_tts?ie=UTF-8&total=1&idx=0&textlen=${cleanText.length}&client=tw-ob&q=${textEncoded}&tl=${lang}&ttsspeed=${ttsSpeed}`,
-        `https://translate.googleapis.com/translate_tts?ie=UTF-8&q=${textEncoded}&tl=${lang}&total=1&idx=0&textlen=${cleanText.length}&client=gtx`,
-      ];
-
-      let audioBuffer = null;
-      let lastError = null;
-
-      for (const endpoint of endpoints) {
-        try {
-          console.log(`🔄 Trying endpoint: ${endpoint.split("?")[0]}...`);
-
-          const response = await fetch(endpoint, {
-            headers: {
-              "User-Agent":
-                "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-              Accept: "audio/mpeg, audio/*, */*",
-              "Accept-Language": "en-US,en;q=0.9",
-              Referer: "https://translate.google.com/",
-            },
-            timeout: 30000, // 30 second timeout
-          });
-
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-          }
-
-          audioBuffer = await response.buffer();
-
-          if (audioBuffer.length < 1000) {
-            throw new Error("Audio response too small, likely an error");
-          }
-
-          console.log(
-            `✅ Successfully fetched audio: ${audioBuffer.length} bytes`
-          );
-          break; // Success, exit loop
-        } catch (error) {
-          console.log(`❌ Endpoint failed: ${error.message}`);
-          lastError = error;
-          continue; // Try next endpoint
-        }
-      }
-
-      if (!audioBuffer) {
-        throw new Error(
-          `All Google TTS endpoints failed. Last error: ${lastError?.message}`
-        );
-      }
-
-      await fs.writeFile(outputPath, audioBuffer);
-      console.log(
-        `✅ Web Google TTS saved: ${audioBuffer.length} bytes to ${outputPath}`
-      );
-    } catch (error) {
-      console.error("Web Google TTS failed:", error);
-      throw error;
-    }
-  }
-
-  // Edge TTS API - Free Microsoft TTS service
-  async generateEdgeTTSAPI(text, outputPath, voice, speed) {
-    try {
-      const fetch = (await import("node-fetch")).default;
-
-      // Voice mapping for Edge TTS
-      const edgeVoices = {
-        en_us_001:
-          "Microsoft Server Speech Text to Speech Voice (en-US, AriaNeural)",
-        en_us_002:
-          "Microsoft Server Speech Text to Speech Voice (en-US, GuyNeural)",
-        en_uk_001:
-          "Microsoft Server Speech Text to Speech Voice (en-GB, SoniaNeural)",
-        en_uk_003:
-          "Microsoft Server Speech Text to Speech Voice (en-GB, RyanNeural)",
-        en_au_001:
-          "Microsoft Server Speech Text to Speech Voice (en-AU, NatashaNeural)",
-        en_au_002:
-          "Microsoft Server Speech Text to Speech Voice (en-AU, WilliamNeural)",
-        ne_np_001:
-          "Microsoft Server Speech Text to Speech Voice (hi-IN, SwaraNeural)",
-        ne_np_002:
-          "Microsoft Server Speech Text to Speech Voice (hi-IN, MadhurNeural)",
-      };
-
-      const selectedVoice = edgeVoices[voice] || edgeVoices.en_us_001;
-      const rate = speed < 0.8 ? "-20%" : speed > 1.2 ? "+20%" : "+0%";
-
-      console.log(
-        `🎤 Generating Edge TTS: "${text.substring(
-          0,
-          50
-        )}..." (voice: ${selectedVoice})`
-      );
-
-      // Create SSML for Edge TTS
-      const ssml = `
-        <speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US">
-          <voice name="${selectedVoice}">
-            <prosody rate="${rate}" pitch="medium">
-              ${text
-                .replace(/&/g, "&amp;")
-                .replace(/</g, "&lt;")
-                .replace(/>/g, "&gt;")}
-            </prosody>
-          </voice>
-        </speak>
-      `;
-
-      // Try Microsoft Speech Platform API
-      const endpoint = "https://speech.platform.bing.com/synthesize";
-
-      const response = await fetch(endpoint, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/ssml+xml",
-          "X-Microsoft-OutputFormat": "audio-16khz-128kbitrate-mono-mp3",
-          "User-Agent":
-            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-        },
-        body: ssml,
-        timeout: 30000,
-      });
-
-      if (!response.ok) {
-        throw new Error(
-          `Edge TTS API failed: ${response.status} ${response.statusText}`
-        );
-      }
-
-      const audioBuffer = await response.buffer();
-
-      if (audioBuffer.length < 1000) {
-        throw new Error("Edge TTS returned empty audio");
-      }
-
-      await fs.writeFile(outputPath, audioBuffer);
-      console.log(`✅ Edge TTS API saved: ${audioBuffer.length} bytes`);
-    } catch (error) {
-      console.error("Edge TTS API failed:", error);
-      throw error;
-    }
-  }
-
-  // Speech Synthesis API - Browser-compatible TTS (works in Node.js with polyfills)
-  async generateSpeechSynthesisAPI(text, outputPath, voice, speed) {
-    try {
-      console.log(
-        `🗣️ Generating Speech Synthesis API: "${text.substring(0, 50)}..."`
-      );
-
-      // Use a cloud-based TTS service (free tier)
-      const fetch = (await import("node-fetch")).default;
-
-      // Try VoiceRSS API (free tier available)
-      const voiceRSSAPI = await this.generateVoiceRSSAPI(
-        text,
-        outputPath,
-        voice,
-        speed
-      );
-      if (voiceRSSAPI) {
-        return;
-      }
-
-      // Try ResponsiveVoice API (free tier)
-      const responsiveVoiceAPI = await this.generateResponsiveVoiceAPI(
-        text,
-        outputPath,
-        voice,
-        speed
-      );
-      if (responsiveVoiceAPI) {
-        return;
-      }
-
-      throw new Error("No Speech Synthesis API available");
-    } catch (error) {
-      console.error("Speech Synthesis API failed:", error);
-      throw error;
-    }
-  }
-
-  // VoiceRSS API - Free TTS service
-  async generateVoiceRSSAPI(text, outputPath, voice, speed) {
-    try {
-      const fetch = (await import("node-fetch")).default;
-
-      // Voice mapping for VoiceRSS
-      const voiceMap = {
-        en_us_001: "en-us",
-        en_us_002: "en-us",
-        en_uk_001: "en-gb",
-        en_uk_003: "en-gb",
-        en_au_001: "en-au",
-        en_au_002: "en-au",
-        ne_np_001: "hi-in",
-        ne_np_002: "hi-in",
-      };
-
-      const lang = voiceMap[voice] || "en-us";
-      const rate = Math.floor(speed * 100) / 100; // Normalize speed
-
-      console.log(`🔊 Trying VoiceRSS API: ${lang}`);
-
-      // Note: In production, you would need a VoiceRSS API key
-      // For now, we'll use the demo endpoint with limitations
-      const endpoint = "http://api.voicerss.org/";
-      const params = new URLSearchParams({
-        key: "demo", // Replace with actual API key in production
-        hl: lang,
-        src: text,
-        r: rate,
-        c: "mp3",
-        f: "44khz_16bit_stereo",
-      });
-
-      const response = await fetch(`${endpoint}?${params}`, {
-        timeout: 30000,
-      });
-
-      if (!response.ok) {
-        throw new Error(`VoiceRSS API failed: ${response.status}`);
-      }
-
-      const audioBuffer = await response.buffer();
-
-      if (audioBuffer.length < 1000) {
-        throw new Error("VoiceRSS returned empty audio");
-      }
-
-      await fs.writeFile(outputPath, audioBuffer);
-      console.log(`✅ VoiceRSS API saved: ${audioBuffer.length} bytes`);
-      return true;
-    } catch (error) {
-      console.log("VoiceRSS API failed:", error.message);
-      return false;
-    }
-  }
-
-  // ResponsiveVoice API fallback
-  async generateResponsiveVoiceAPI(text, outputPath, voice, speed) {
-    try {
-      console.log(`🎵 Trying ResponsiveVoice API fallback...`);
-
-      // ResponsiveVoice has limited free tier, so we'll use it as last resort
-      // This would require implementing their API
-
-      // For now, return false to indicate unavailable
-      return false;
-    } catch (error) {
-      console.log("ResponsiveVoice API failed:", error.message);
-      return false;
-    }
-  }
-
-  // Estimate audio duration based on text length
+  // Estimate audio duration based on text length, for audio probeAudio
+  // can't read
   estimateAudioDuration(text) {
     const wordsPerMinute = 180;
     const avgCharsPerWord = 5;
@@ -1002,24 +212,53 @@ class AudioService {
       speed = 1.0,
       style = "storytelling",
       language = "en",
+      engine,
+      ssml = false,
+      lexicon = [],
+      format,
+      bitrate,
+      signal,
     } = options;
 
     try {
-      // Clean text based on language
-      const cleanText = this.cleanTextForTTS(text, language);
+      // SSML (or inline markup with ssml: true) is cleaned segment by
+      // segment so the markup survives
+      const document =
+        ssml || isSsml(text)
+          ? mapSsmlText(parseSsml(text, { inline: true }), (segment) =>
+              this.cleanTextForTTS(segment, language, lexicon)
+            )
+          : null;
+      const ttsLanguage = language === "ne-Latn" ? "ne" : language;
+      const cleanText = document
+        ? ssmlToText(document, ttsLanguage)
+        : this.cleanTextForTTS(text, language, lexicon);
 
       if (!cleanText || cleanText.length < 10) {
-        throw new Error("Text too short or invalid for audio generation");
+        const error = new Error(
+          "Text too short or invalid for audio generation"
+        );
+        error.status = 400;
+        throw error;
       }
 
       if (cleanText.length > 10000) {
-        throw new Error(
+        const error = new Error(
           "Text too long for audio generation (max 5000 characters)"
         );
+        error.status = 400;
+        throw error;
       }
 
       // Generate audio using TikTok-style voice
-      const result = await this.generateTikTokVoice(cleanText, speed, voice);
+      // Romanized Nepali is Devanagari once cleaned
+      const result = await this.generateTikTokVoice(
+        document || cleanText,
+        speed,
+        voice,
+        ttsLanguage,
+        { engine, format, bitrate, signal, cleaned: true }
+      );
 
       return result;
     } catch (error) {
@@ -1028,75 +267,37 @@ class AudioService {
     }
   }
 
-  // Get audio file from Cloudinary
-  async getAudioFile(publicId) {
-    try {
-      const resource = await cloudinary.api.resource(publicId, {
-        resource_type: "auto",
-      });
-
-      return {
-        success: true,
-        audioUrl: resource.secure_url,
-        metadata: {
-          publicId: resource.public_id,
-          duration: resource.duration,
-          format: resource.format,
-          bytes: resource.bytes,
-          createdAt: resource.created_at,
-        },
-      };
-    } catch (error) {
-      console.error("Failed to get audio file:", error);
-      throw new Error("Audio file not found");
+  // Synthesize a short phrase without storing it, e.g. to try out a
+  // pronunciation. Returns { buffer, format, engine }.
+  async previewSpeech(text, { language = "en", voice, engine } = {}) {
+    const ttsLanguage = language === "ne-Latn" ? "ne" : language;
+    const cleanText = this.cleanTextForTTS(text, language);
+    if (!cleanText) {
+      const error = new Error("Nothing to preview");
+      error.status = 400;
+      throw error;
     }
-  }
 
-  // Delete audio file from Cloudinary
-  async deleteAudioFile(publicId) {
-    try {
-      const result = await cloudinary.uploader.destroy(publicId, {
-        resource_type: "auto",
-      });
-
-      return {
-        success: result.result === "ok",
-        message:
-          result.result === "ok"
-            ? "Audio deleted successfully"
-            : "Audio not found",
-      };
-    } catch (error) {
-      console.error("Failed to delete audio file:", error);
-      throw new Error("Failed to delete audio file");
-    }
+    const {
+      buffer,
+      format,
+      engine: used,
+    } = await ttsEngines.synthesize(cleanText, {
+      language: ttsLanguage,
+      voice,
+      engine,
+      tempDir: this.tempDir,
+    });
+    return { buffer, format, engine: used };
   }
 
-  // List all audio files (for admin/debugging)
-  async listAudioFiles() {
-    try {
-      const result = await cloudinary.search
-        .expression("folder:voice-ai-audio")
-        .with_field("context")
-        .with_field("tags")
-        .max_results(100)
-        .execute();
-
-      return {
-        success: true,
-        files: result.resources.map((resource) => ({
-          publicId: resource.public_id,
-          url: resource.secure_url,
-          format: resource.format,
-          bytes: resource.bytes,
-          duration: resource.duration,
-          createdAt: resource.created_at,
-        })),
-      };
-    } catch (error) {
-      console.error("Failed to list audio files:", error);
-      throw new Error("Failed to list audio files");
-    }
+  // Delete a stored audio file; ref is AudioGeneration#getStorageRef()
+  async deleteAudioFile(ref) {
+    const deleted = await audioStorage.delete(ref);
+    return {
+      success: deleted,
+      message: deleted ? "Audio deleted successfully" : "Audio not found",
+    };
   }
 
   // Get available voices
@@ -1154,178 +355,6 @@ class AudioService {
       "en_us_001"
     );
   }
-
-  // Advanced fallback audio generation - tries multiple methods
-  async generateFallbackAudio(text, outputPath, voice, speed) {
-    const fallbackMethods = [
-      () => this.generateGoogleTTS(text, outputPath, voice, speed),
-      () => this.generateWebTTS(text, outputPath, voice, speed),
-      () => this.generateSystemTTS(text, outputPath, voice, speed),
-      () => this.generateCloudTTS(text, outputPath, voice, speed),
-      () => this.createAdvancedPlaceholder(text, outputPath),
-    ];
-
-    for (let i = 0; i < fallbackMethods.length; i++) {
-      try {
-        console.log(
-          `🔄 Trying fallback method ${i + 1}/${fallbackMethods.length}`
-        );
-        await fallbackMethods[i]();
-        console.log(`✅ Fallback method ${i + 1} succeeded`);
-        return true;
-      } catch (error) {
-        console.log(`❌ Fallback method ${i + 1} failed:`, error.message);
-        if (i === fallbackMethods.length - 1) {
-          throw new Error("All fallback methods failed");
-        }
-      }
-    }
-    return false;
-  }
-
-  // Create an advanced placeholder with actual audio content
-  async createAdvancedPlaceholder(text, outputPath) {
-    try {
-      console.log(
-        "🎯 Creating advanced placeholder audio with actual content..."
-      );
-
-      // Try to create a beep pattern that represents the text
-      const textLength = text.length;
-      const duration = Math.min(Math.max(textLength / 10, 5), 30); // 5-30 seconds
-
-      // Create a series of beeps and pauses to simulate speech rhythm
-      const words = text.split(/\s+/);
-      const beepPattern = [];
-
-      for (let i = 0; i < Math.min(words.length, 20); i++) {
-        const wordLength = words[i].length;
-        const beepDuration = Math.max(wordLength * 0.1, 0.2); // Min 0.2s per word
-        beepPattern.push(`sine=frequency=800:duration=${beepDuration}`);
-        if (i < words.length - 1) {
-          beepPattern.push(`anullsrc=duration=0.1`); // Pause between words
-        }
-      }
-
-      // Try ffmpeg with beep pattern first
-      try {
-        const beepCommand = `ffmpeg -f lavfi -i "${beepPattern.join(
-          ","
-        )}" -acodec mp3 -y "${outputPath}" 2>/dev/null`;
-        await execAsync(beepCommand);
-        console.log("✅ Created patterned audio placeholder");
-        return true;
-      } catch (ffmpegError) {
-        console.log("FFmpeg beep pattern failed, trying simpler approach...");
-      }
-
-      // Fallback to simple tone
-      try {
-        await execAsync(
-          `ffmpeg -f lavfi -i "sine=frequency=440:duration=${duration}" -acodec mp3 -y "${outputPath}" 2>/dev/null`
-        );
-        console.log("✅ Created simple tone placeholder");
-        return true;
-      } catch (toneError) {
-        console.log("Simple tone failed, creating WAV...");
-      }
-
-      // Final fallback to WAV
-      await this.createSilentWav(outputPath, duration);
-      console.log("✅ Created WAV placeholder");
-      return true;
-    } catch (error) {
-      console.error("Advanced placeholder creation failed:", error);
-      throw error;
-    }
-  }
-
-  // Enhanced web TTS with multiple API attempts
-  async generateEnhancedWebTTS(text, outputPath, voice, speed) {
-    const webTTSMethods = [
-      // Method 1: Try ResponsiveVoice API (if available)
-      async () => {
-        try {
-          const fetch = (await import("node-fetch")).default;
-          const responsiveVoiceUrl = `https://code.responsivevoice.org/getvoice.php`;
-          const params = new URLSearchParams({
-            t: text,
-            tl: voice.includes("en") ? "en" : "hi",
-            sv: "",
-            vn: "",
-            pitch: "0.5",
-            rate: speed.toString(),
-            vol: "1",
-          });
-
-          const response = await fetch(`${responsiveVoiceUrl}?${params}`);
-          if (response.ok) {
-            const audioBuffer = await response.buffer();
-            await fs.writeFile(outputPath, audioBuffer);
-            console.log("✅ Generated audio using ResponsiveVoice");
-            return true;
-          }
-        } catch (error) {
-          console.log("ResponsiveVoice failed:", error.message);
-        }
-        return false;
-      },
-
-      // Method 2: Try TTS-API.com (if available)
-      async () => {
-        try {
-          const fetch = (await import("node-fetch")).default;
-          const ttsApiUrl = "https://tts-api.com/tts.mp3";
-          const params = new URLSearchParams({
-            text: text,
-            voice: voice.includes("en") ? "en-US-Wavenet-D" : "hi-IN-Wavenet-A",
-            speed: speed.toString(),
-          });
-
-          const response = await fetch(`${ttsApiUrl}?${params}`);
-          if (response.ok) {
-            const audioBuffer = await response.buffer();
-            await fs.writeFile(outputPath, audioBuffer);
-            console.log("✅ Generated audio using TTS-API");
-            return true;
-          }
-        } catch (error) {
-          console.log("TTS-API failed:", error.message);
-        }
-        return false;
-      },
-
-      // Method 3: Enhanced gTTS with retry logic
-      async () => {
-        for (let attempt = 0; attempt < 3; attempt++) {
-          try {
-            await this.generateGoogleTTS(text, outputPath, voice, speed);
-            console.log(`✅ gTTS succeeded on attempt ${attempt + 1}`);
-            return true;
-          } catch (error) {
-            console.log(`gTTS attempt ${attempt + 1} failed:`, error.message);
-            if (attempt < 2) {
-              await new Promise((resolve) =>
-                setTimeout(resolve, 1000 * (attempt + 1))
-              );
-            }
-          }
-        }
-        return false;
-      },
-    ];
-
-    for (const method of webTTSMethods) {
-      try {
-        const success = await method();
-        if (success) return true;
-      } catch (error) {
-        console.log("Web TTS method failed:", error.message);
-      }
-    }
-
-    throw new Error("All web TTS methods failed");
-  }
 }
 
 export default new AudioService();
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import GenerationCache from "../models/GenerationCache.js";
+
+// One day unless GENERATION_CACHE_TTL (seconds) says otherwise
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// Fields of businessDetails that change the generated text
+const KEY_FIELDS = [
+  "businessName",
+  "location",
+  "businessType",
+  "productsServices",
+  "targetCustomers",
+  "contentType",
+  "tone",
+  "brandTone",
+  "bannedWords",
+  "mustMentionPhrases",
+];
+
+const normalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalize).filter(Boolean).sort();
+  }
+  return typeof value === "string"
+    ? value.trim().replace(/\s+/g, " ").toLowerCase()
+    : value ?? null;
+};
+
+class GenerationCacheService {
+  getTtlSeconds() {
+    const ttl = parseInt(process.env.GENERATION_CACHE_TTL);
+    return ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+  }
+
+  // Same business (ignoring case and spacing), language, template version and
+  // model produce the same key
+  buildKey(businessDetails, { language, promptTemplate, model }) {
+    const parts = {
+      details: Object.fromEntries(
+        KEY_FIELDS.map((field) => [field, normalize(businessDetails[field])])
+      ),
+      language,
+      template: promptTemplate
+        ? `${promptTemplate.key}:${promptTemplate.language}:${promptTemplate.version}`
+        : null,
+      model: model ? `${model.provider}:${model.model}` : null,
+    };
+
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(parts))
+      .digest("hex");
+  }
+
+  // Cache failures never fail a generation, they just skip the cache
+  async get(key) {
+    try {
+      return await GenerationCache.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      console.error("Generation cache read failed:", error.message);
+      return null;
+    }
+  }
+
+  async set(key, { content, structuredContent, model, provider, tokensUsed }) {
+    try {
+      await GenerationCache.findOneAndUpdate(
+        { key },
+        {
+          $set: {
+            content,
+            structuredContent,
+            model,
+            provider,
+            tokensUsed,
+            expiresAt: new Date(Date.now() + this.getTtlSeconds() * 1000),
+          },
+          $setOnInsert: { hits: 0 },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error("Generation cache write failed:", error.message);
+    }
+  }
+}
+
+export default new GenerationCacheService();
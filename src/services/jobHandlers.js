@@ -0,0 +1,186 @@
+import ContentGeneration from "../models/ContentGeneration.js";
+import AudioGeneration from "../models/AudioGeneration.js";
+import User from "../models/User.js";
+import jobQueue, { PermanentJobError } from "./jobQueue.js";
+import { AIService } from "./aiService.js";
+import llmProviders from "./llmProviders.js";
+import moderation from "./moderationService.js";
+import audioService from "./cloudinaryAudioService.js";
+import batchService from "./batchService.js";
+import lexiconService from "./lexiconService.js";
+import { buildSeoPack } from "../utils/seoPack.js";
+
+const BLOCKED_OUTPUT_ERROR =
+  "The generated content was blocked by our content policy. Please adjust your details and try again.";
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw new PermanentJobError("User not found");
+  return user;
+};
+
+// Async POST /api/generate-content. The controller has already validated and
+// moderated the input; payload: { userId, businessDetails, inputFindings,
+// provider, cache, force }
+const generateContent = async (payload, { signal }) => {
+  const user = await loadUser(payload.userId);
+  if (!user.canGenerateContent()) {
+    throw new PermanentJobError(
+      "Monthly usage limit exceeded. Please upgrade your plan."
+    );
+  }
+
+  const { businessDetails } = payload;
+  let aiResult;
+  try {
+    aiResult = await AIService.generateContent(businessDetails, {
+      provider: payload.provider,
+      plan: user.subscription.plan,
+      cache: payload.cache,
+      force: payload.force,
+      signal,
+    });
+  } catch (error) {
+    // A rejected request or bad credentials won't get better on a retry
+    if (!signal.aborted && !llmProviders.isRetryable(error)) {
+      throw new PermanentJobError(error.message);
+    }
+    throw error;
+  }
+  if (signal.aborted) return null;
+
+  const output = moderation.checkOutput(aiResult);
+  const record = await new ContentGeneration({
+    user: user._id,
+    businessDetails,
+    contentType: businessDetails.contentType,
+    language: businessDetails.preferredLanguage,
+    generatedContent: output.content,
+    structuredContent: output.structuredContent,
+    prompt: aiResult.prompt,
+    promptTemplate: aiResult.promptTemplate,
+    model: aiResult.model,
+    provider: aiResult.provider,
+    tokensUsed: aiResult.tokensUsed,
+    cacheHit: aiResult.cacheHit,
+    tone: businessDetails.tone,
+    status: output.blocked ? "failed" : "success",
+    moderation: moderation.buildRecord(payload.inputFindings, output.findings),
+    metadata: {
+      generationTime: aiResult.generationTime,
+    },
+  }).save();
+
+  if (output.blocked) {
+    throw new PermanentJobError(BLOCKED_OUTPUT_ERROR, {
+      id: record._id,
+      moderation: record.moderation,
+    });
+  }
+
+  await user.incrementContentUsage();
+
+  return {
+    id: record._id,
+    content: output.content,
+    structuredContent: output.structuredContent,
+    contentType: businessDetails.contentType,
+    profileId: businessDetails.profile || null,
+    seo: buildSeoPack(record),
+    quality: record.quality,
+    moderation: record.moderation,
+    tokensUsed: aiResult.tokensUsed,
+    cacheHit: record.cacheHit,
+    generationTime: aiResult.generationTime,
+    model: aiResult.model,
+    provider: aiResult.provider,
+  };
+};
+
+// Async POST /api/audio/generate; payload: { userId, content, language, voice,
+// engine, ssml, format, bitrate, businessName, profileId, contentType }
+const generateAudio = async (payload, { signal }) => {
+  const user = await loadUser(payload.userId);
+  if (!user.canGenerateAudio()) {
+    throw new PermanentJobError(
+      "You have reached your monthly audio generation limit. Please upgrade your plan."
+    );
+  }
+
+  const { content, language, voice, engine, ssml, format, bitrate } = payload;
+  const lexicon = await lexiconService.getLexicon({
+    user: user._id,
+    profile: payload.profileId,
+    language,
+  });
+  let audioResult;
+  try {
+    audioResult = await audioService.generateAudio(content, {
+      language,
+      voice,
+      engine,
+      ssml,
+      format,
+      bitrate,
+      lexicon,
+      style: "storytelling",
+      signal,
+    });
+  } catch (error) {
+    if (signal.aborted) return null;
+    // Bad input, unsupported formats (501) and the like fail the same way again
+    if (error.status && (error.status < 500 || error.status === 501)) {
+      throw new PermanentJobError(error.message);
+    }
+    throw error;
+  }
+  if (signal.aborted) {
+    await audioService.deleteAudioFile(audioResult.storage).catch(() => {});
+    return null;
+  }
+
+  const audioGeneration = await new AudioGeneration({
+    user: user._id,
+    content,
+    language,
+    audioUrl: audioResult.audioUrl,
+    storage: audioResult.storage,
+    duration: audioResult.duration,
+    voice,
+    engine: audioResult.engine,
+    businessName: payload.businessName,
+    businessProfile: payload.profileId,
+    contentType: payload.contentType,
+    fileSize: audioResult.fileSize,
+    metadata: audioResult.metadata,
+  }).save();
+
+  await user.incrementAudioUsage();
+
+  return {
+    audio: {
+      id: audioGeneration._id,
+      url: audioResult.audioUrl,
+      duration: audioResult.duration,
+      language,
+      voice,
+      engine: audioResult.engine,
+      publicId: audioResult.publicId,
+      fileSize: audioResult.fileSize,
+      metadata: audioResult.metadata,
+    },
+  };
+};
+
+// payload: { batchId }
+const processBatch = async ({ batchId }, { signal }) => {
+  await batchService.process(batchId, signal);
+  return { batchId };
+};
+
+jobQueue
+  .register("content.generate", generateContent)
+  .register("audio.generate", generateAudio)
+  .register("batch.process", processBatch);
+
+export default jobQueue;
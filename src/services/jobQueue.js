@@ -0,0 +1,331 @@
+import os from "os";
+import Job from "../models/Job.js";
+
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_WORKER_CONCURRENCY = 4;
+const DEFAULT_QUEUE_CONCURRENCY = 2;
+const DEFAULT_RETRY_BASE_MS = 5000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+// Running jobs whose worker hasn't checked in for this long are requeued
+const DEFAULT_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return parsed > 0 ? parsed : fallback;
+};
+
+// Handlers throw this for failures a retry can't fix (bad input, policy
+// blocks). result is stored on the job for the client.
+export class PermanentJobError extends Error {
+  constructor(message, result = null) {
+    super(message);
+    this.name = "PermanentJobError";
+    this.retryable = false;
+    this.result = result;
+  }
+}
+
+// MongoDB-backed job queue. Any process that registers handlers and calls
+// start() works jobs: the API server (JOB_WORKER_MODE=inline, the default) or
+// `npm run worker`.
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.active = new Map(); // job id -> AbortController
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = false;
+    this.ticking = false;
+  }
+
+  // handler(payload, { job, signal }) returns the job result
+  register(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  getConfig() {
+    return {
+      pollInterval: readInt(
+        process.env.JOB_POLL_INTERVAL_MS,
+        DEFAULT_POLL_INTERVAL_MS
+      ),
+      workerConcurrency: readInt(
+        process.env.JOB_WORKER_CONCURRENCY,
+        DEFAULT_WORKER_CONCURRENCY
+      ),
+      retryBase: readInt(process.env.JOB_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS),
+      lockTimeout: readInt(
+        process.env.JOB_LOCK_TIMEOUT_MS,
+        DEFAULT_LOCK_TIMEOUT_MS
+      ),
+    };
+  }
+
+  // Per-queue limits across all workers, e.g. JOB_CONCURRENCY=groq:2,openai:4,tts:1
+  getQueueLimit(queue) {
+    const limits = Object.fromEntries(
+      (process.env.JOB_CONCURRENCY || "")
+        .split(",")
+        .map((pair) => pair.split(":").map((part) => part.trim()))
+        .filter(([name, limit]) => name && parseInt(limit) > 0)
+        .map(([name, limit]) => [name, parseInt(limit)])
+    );
+
+    return limits[queue] || limits.default || DEFAULT_QUEUE_CONCURRENCY;
+  }
+
+  // options: { user, queue, maxAttempts, runAt, unique }. With unique, an
+  // identical job that is still queued is returned instead of adding another.
+  async enqueue(type, payload = {}, options = {}) {
+    const { user = null, queue = "default", maxAttempts, runAt } = options;
+
+    if (options.unique) {
+      const existing = await Job.findOne({ type, payload, status: "queued" });
+      if (existing) return existing;
+    }
+
+    const job = await new Job({
+      type,
+      payload,
+      user,
+      queue,
+      maxAttempts,
+      runAt,
+    }).save();
+
+    this.wake();
+    return job;
+  }
+
+  // Queued jobs are cancelled at once; running ones are asked to stop and
+  // finish as cancelled when their handler notices
+  async cancel(jobId, filter = {}) {
+    const queued = await Job.findOneAndUpdate(
+      { _id: jobId, ...filter, status: "queued" },
+      {
+        $set: {
+          status: "cancelled",
+          cancelRequested: true,
+          completedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (queued) return queued;
+
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, ...filter, status: "running" },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    );
+    if (job) this.active.get(job._id.toString())?.abort();
+
+    return job || Job.findOne({ _id: jobId, ...filter });
+  }
+
+  getRetryDelay(attempts) {
+    const { retryBase } = this.getConfig();
+    const delay = Math.min(
+      retryBase * 2 ** Math.max(attempts - 1, 0),
+      MAX_RETRY_DELAY_MS
+    );
+    // Jitter so jobs that failed together don't retry together
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(
+      `🧵 Job worker ${this.workerId} started (${[...this.handlers.keys()].join(
+        ", "
+      )})`
+    );
+    this.schedule(0);
+  }
+
+  // Stop claiming jobs and wait for the ones in progress
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.active.size > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+  }
+
+  wake() {
+    if (this.running) this.schedule(0);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    if (!this.running || this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.heartbeat();
+      await this.requeueStale();
+
+      const { workerConcurrency } = this.getConfig();
+      while (this.running && this.active.size < workerConcurrency) {
+        const job = await this.claim();
+        if (!job) break;
+        this.run(job).catch((error) =>
+          console.error(`Job ${job._id} (${job.type}) crashed:`, error.message)
+        );
+      }
+    } catch (error) {
+      console.error("Job worker poll failed:", error.message);
+    } finally {
+      this.ticking = false;
+      if (this.running) this.schedule(this.getConfig().pollInterval);
+    }
+  }
+
+  // Refresh our locks and pick up cancellations requested elsewhere
+  async heartbeat() {
+    if (this.active.size === 0) return;
+
+    const ids = [...this.active.keys()];
+    await Job.updateMany(
+      { _id: { $in: ids }, lockedBy: this.workerId },
+      { $set: { lockedAt: new Date() } }
+    );
+
+    const cancelled = await Job.find({
+      _id: { $in: ids },
+      cancelRequested: true,
+    }).select("_id");
+    cancelled.forEach(({ _id }) => this.active.get(_id.toString())?.abort());
+  }
+
+  async requeueStale() {
+    const { lockTimeout } = this.getConfig();
+    const stale = {
+      status: "running",
+      lockedAt: { $lt: new Date(Date.now() - lockTimeout) },
+    };
+
+    await Job.updateMany(
+      { ...stale, $expr: { $gte: ["$attempts", "$maxAttempts"] } },
+      {
+        $set: {
+          status: "failed",
+          error: "Worker stopped responding",
+          lockedBy: null,
+          completedAt: new Date(),
+        },
+      }
+    );
+    await Job.updateMany(stale, {
+      $set: { status: "queued", runAt: new Date(), lockedBy: null },
+    });
+  }
+
+  // Queues at their concurrency limit across all workers
+  async getFullQueues() {
+    const running = await Job.aggregate([
+      { $match: { status: "running" } },
+      { $group: { _id: "$queue", count: { $sum: 1 } } },
+    ]);
+
+    return running
+      .filter(({ _id, count }) => count >= this.getQueueLimit(_id))
+      .map(({ _id }) => _id);
+  }
+
+  // Two workers can both see a queue one below its limit, so limits can be
+  // briefly exceeded by (workers - 1) jobs
+  async claim() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        status: "queued",
+        runAt: { $lte: now },
+        type: { $in: [...this.handlers.keys()] },
+        queue: { $nin: await this.getFullQueues() },
+      },
+      {
+        $set: {
+          status: "running",
+          lockedBy: this.workerId,
+          lockedAt: now,
+          startedAt: now,
+          error: null,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async run(job) {
+    const id = job._id.toString();
+    const controller = new AbortController();
+    this.active.set(id, controller);
+
+    // If this write fails the lock goes stale and requeueStale() picks the
+    // job up again
+    const finish = (fields) =>
+      Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { lockedBy: null, lockedAt: null, ...fields } }
+      ).catch((error) =>
+        console.error(`Job ${id} (${job.type}) update failed:`, error.message)
+      );
+
+    try {
+      if (job.cancelRequested) controller.abort();
+
+      const result = await this.handlers.get(job.type)(job.payload, {
+        job,
+        signal: controller.signal,
+      });
+
+      await finish(
+        controller.signal.aborted
+          ? { status: "cancelled", completedAt: new Date() }
+          : {
+              status: "succeeded",
+              result: result ?? null,
+              completedAt: new Date(),
+            }
+      );
+    } catch (error) {
+      if (controller.signal.aborted) {
+        await finish({ status: "cancelled", completedAt: new Date() });
+      } else if (error.retryable !== false && job.attempts < job.maxAttempts) {
+        console.error(
+          `Job ${id} (${job.type}) failed, attempt ${job.attempts}/${job.maxAttempts}:`,
+          error.message
+        );
+        await finish({
+          status: "queued",
+          error: error.message,
+          runAt: new Date(Date.now() + this.getRetryDelay(job.attempts)),
+        });
+      } else {
+        console.error(`Job ${id} (${job.type}) failed:`, error.message);
+        await finish({
+          status: "failed",
+          error: error.message,
+          result: error.result ?? null,
+          completedAt: new Date(),
+        });
+      }
+    } finally {
+      this.active.delete(id);
+      this.wake();
+    }
+  }
+}
+
+export default new JobQueue();
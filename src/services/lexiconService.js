@@ -0,0 +1,59 @@
+import PronunciationEntry from "../models/PronunciationEntry.js";
+import { devanagariToRoman } from "../utils/transliteration.js";
+
+// Entries in these languages also apply, ranked below the language's own
+const FALLBACK_LANGUAGES = {
+  "ne-Latn": ["ne"],
+};
+
+// Pronunciation entries that apply to a piece of audio
+class LexiconService {
+  // Account-wide entries plus the profile's own, for the audio's language.
+  // Where both define a written form the profile's entry is used, and a
+  // language-specific entry beats one for all languages. Romanized Nepali
+  // also uses the Nepali entries, with their written form romanized to
+  // match the text.
+  async getLexicon({ user, profile = null, language } = {}) {
+    if (!user) return [];
+
+    const languages = [language, ...(FALLBACK_LANGUAGES[language] || [])];
+    const entries = await PronunciationEntry.find({
+      user,
+      businessProfile: { $in: profile ? [null, profile] : [null] },
+      language: { $in: [null, ...languages] },
+    }).lean();
+
+    const languageRank = (entry) =>
+      entry.language === language ? 2 : entry.language ? 1 : 0;
+    const rank = (entry) =>
+      (entry.businessProfile ? 3 : 0) + languageRank(entry);
+    const chosen = new Map();
+    for (const entry of entries
+      .sort((a, b) => rank(a) - rank(b))
+      .map((entry) => this.forLanguage(entry, language))) {
+      chosen.set(
+        entry.caseSensitive ? entry.written : entry.written.toLowerCase(),
+        entry
+      );
+    }
+
+    return [...chosen.values()].map(({ written, spoken, caseSensitive }) => ({
+      written,
+      spoken,
+      caseSensitive,
+    }));
+  }
+
+  // A Nepali entry as it appears in Romanized Nepali text. The spoken form
+  // stays Devanagari, which the Nepali voices read as is.
+  forLanguage(entry, language) {
+    if (language !== "ne-Latn" || entry.language !== "ne") return entry;
+
+    const written = devanagariToRoman(entry.written);
+    return written === entry.written
+      ? entry
+      : { ...entry, written, caseSensitive: false };
+  }
+}
+
+export default new LexiconService();
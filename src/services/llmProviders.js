@@ -0,0 +1,377 @@
+import Groq from "groq-sdk";
+import OpenAI from "openai";
+
+// Shared logic for SDKs exposing the OpenAI chat.completions interface
+class ChatCompletionsProvider {
+  async complete({ messages, model, maxTokens, temperature, signal }) {
+    const completion = await this.getClient().chat.completions.create(
+      {
+        model: model || this.defaultModel,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+      },
+      { signal }
+    );
+
+    return {
+      content: completion.choices[0].message.content,
+      tokensUsed: completion.usage?.total_tokens || 0,
+      model: completion.model || model || this.defaultModel,
+    };
+  }
+
+  // Yields { content } deltas, then a final { tokensUsed, model }
+  async *stream({ messages, model, maxTokens, temperature, signal }) {
+    const stream = await this.getClient().chat.completions.create(
+      {
+        model: model || this.defaultModel,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        ...this.streamOptions(),
+      },
+      { signal }
+    );
+
+    let tokensUsed = 0;
+    let resolvedModel = model || this.defaultModel;
+
+    for await (const chunk of stream) {
+      const content = chunk.choices[0]?.delta?.content;
+      if (content) {
+        yield { content };
+      }
+
+      const usage = chunk.usage || chunk.x_groq?.usage;
+      if (usage) tokensUsed = usage.total_tokens || tokensUsed;
+      if (chunk.model) resolvedModel = chunk.model;
+    }
+
+    yield { tokensUsed, model: resolvedModel };
+  }
+
+  streamOptions() {
+    return {};
+  }
+}
+
+// Groq hosted Llama models (default provider)
+class GroqProvider extends ChatCompletionsProvider {
+  constructor() {
+    super();
+    this.name = "groq";
+    this.defaultModel = process.env.GROQ_MODEL || "llama-3.1-8b-instant";
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.GROQ_API_KEY);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Groq({ apiKey: process.env.GROQ_API_KEY });
+    }
+    return this.client;
+  }
+}
+
+// Any OpenAI-compatible endpoint (OpenAI, Together, OpenRouter, vLLM, ...)
+class OpenAICompatibleProvider extends ChatCompletionsProvider {
+  constructor() {
+    super();
+    this.name = "openai";
+    this.defaultModel = process.env.OPENAI_MODEL || "gpt-4o-mini";
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        // Self-hosted compatible servers usually accept any key
+        apiKey: process.env.OPENAI_API_KEY || "not-needed",
+        baseURL: process.env.OPENAI_BASE_URL || undefined,
+      });
+    }
+    return this.client;
+  }
+
+  // Ask for token usage in the final streamed chunk
+  streamOptions() {
+    return { stream_options: { include_usage: true } };
+  }
+}
+
+// Local model server speaking the Ollama chat API - works with no network
+class LocalProvider {
+  constructor() {
+    this.name = "local";
+    this.defaultModel = process.env.LOCAL_LLM_MODEL || "llama3";
+  }
+
+  get baseUrl() {
+    return (process.env.LOCAL_LLM_URL || "http://localhost:11434").replace(
+      /\/$/,
+      ""
+    );
+  }
+
+  isConfigured() {
+    return Boolean(process.env.LOCAL_LLM_URL);
+  }
+
+  async request({ messages, model, maxTokens, temperature, signal }, stream) {
+    const response = await fetch(`${this.baseUrl}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model: model || this.defaultModel,
+        messages,
+        stream,
+        options: { num_predict: maxTokens, temperature },
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const error = new Error(
+        `Local LLM server returned ${response.status}: ${response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  async complete(params) {
+    const response = await this.request(params, false);
+    const data = await response.json();
+
+    return {
+      content: data.message?.content || "",
+      tokensUsed: (data.prompt_eval_count || 0) + (data.eval_count || 0),
+      model: data.model || params.model || this.defaultModel,
+    };
+  }
+
+  // Ollama streams newline-delimited JSON objects
+  async *stream(params) {
+    const response = await this.request(params, true);
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+
+        if (data.message?.content) {
+          yield { content: data.message.content };
+        }
+        if (data.done) {
+          yield {
+            tokensUsed: (data.prompt_eval_count || 0) + (data.eval_count || 0),
+            model: data.model || params.model || this.defaultModel,
+          };
+          return;
+        }
+      }
+    }
+  }
+}
+
+class LLMProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  // Default failover order, e.g. LLM_PROVIDER_ORDER=groq,openai,local
+  getDefaultOrder() {
+    const configured = (process.env.LLM_PROVIDER_ORDER || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter((name) => this.providers.has(name));
+
+    return configured.length > 0 ? configured : this.names();
+  }
+
+  // Preferred provider per subscription plan, e.g. LLM_PLAN_PROVIDERS=free:groq,pro_plus:openai
+  getPlanProvider(plan) {
+    if (!plan) return null;
+
+    const entry = (process.env.LLM_PLAN_PROVIDERS || "")
+      .split(",")
+      .map((pair) => pair.split(":").map((part) => part.trim()))
+      .find(([planName]) => planName === plan);
+
+    return entry && this.providers.has(entry[1]) ? entry[1] : null;
+  }
+
+  // Plans that may pick a provider per request, e.g.
+  // LLM_PROVIDER_CHOICE_PLANS=pro,pro_plus (default pro_plus)
+  allowsProviderChoice(plan) {
+    if (!plan) return false;
+
+    return (process.env.LLM_PROVIDER_CHOICE_PLANS || "pro_plus")
+      .split(",")
+      .map((name) => name.trim())
+      .includes(plan);
+  }
+
+  // Explicitly requested provider first, then the plan's, then the default
+  // order. Unknown and unconfigured providers are left out.
+  resolveOrder({ provider, plan } = {}) {
+    return [provider, this.getPlanProvider(plan), ...this.getDefaultOrder()]
+      .filter((name) => name && this.providers.get(name)?.isConfigured())
+      .filter((name, index, all) => all.indexOf(name) === index);
+  }
+
+  // Provider and model a request would try first, e.g. for cache keys
+  getPrimaryModel(options = {}) {
+    const [name] = this.resolveOrder(options);
+    return name ? this.getRequestModel(name, options) : null;
+  }
+
+  // Provider and model a request sends to the given provider
+  getRequestModel(name, options = {}) {
+    return {
+      provider: name,
+      model:
+        (name === options.provider && options.model) ||
+        this.providers.get(name).defaultModel,
+    };
+  }
+
+  // Rate limits, server errors and connection failures are worth another provider
+  isRetryable(error) {
+    return !error.status || error.status === 429 || error.status >= 500;
+  }
+
+  async complete(messages, options = {}) {
+    const {
+      provider,
+      plan,
+      model,
+      maxTokens = 1200,
+      temperature = 0.7,
+      signal,
+    } = options;
+
+    const order = this.resolveOrder({ provider, plan });
+    if (order.length === 0) {
+      const error = new Error("No AI provider is configured");
+      error.status = 503;
+      throw error;
+    }
+
+    let lastError = null;
+
+    for (const name of order) {
+      try {
+        const result = await this.providers.get(name).complete({
+          messages,
+          // A model override only makes sense for the provider it was meant for
+          model: name === provider ? model : undefined,
+          maxTokens,
+          temperature,
+          signal,
+        });
+        return { ...result, provider: name };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+
+        console.error(`LLM provider "${name}" failed:`, error.message);
+        lastError = error;
+
+        if (!this.isRetryable(error)) {
+          break;
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Streams chunks tagged with the provider; failover only happens before the
+  // first chunk, since switching models mid-answer would garble the output
+  async *stream(messages, options = {}) {
+    const {
+      provider,
+      plan,
+      model,
+      maxTokens = 1200,
+      temperature = 0.7,
+      signal,
+    } = options;
+
+    const order = this.resolveOrder({ provider, plan });
+    if (order.length === 0) {
+      const error = new Error("No AI provider is configured");
+      error.status = 503;
+      throw error;
+    }
+
+    let lastError = null;
+
+    for (const name of order) {
+      let started = false;
+
+      try {
+        const chunks = this.providers.get(name).stream({
+          messages,
+          model: name === provider ? model : undefined,
+          maxTokens,
+          temperature,
+          signal,
+        });
+
+        for await (const chunk of chunks) {
+          started = true;
+          yield { ...chunk, provider: name };
+        }
+        return;
+      } catch (error) {
+        if (started || signal?.aborted || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        console.error(`LLM provider "${name}" failed:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+const llmProviders = new LLMProviderRegistry()
+  .register(new GroqProvider())
+  .register(new OpenAICompatibleProvider())
+  .register(new LocalProvider());
+
+export { GroqProvider, OpenAICompatibleProvider, LocalProvider };
+export default llmProviders;
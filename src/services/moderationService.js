@@ -0,0 +1,299 @@
+import { mapStructuredContent } from "../utils/structuredContent.js";
+
+// What to do when a rule matches: reject the request, clean the text, or let
+// it through and record the finding
+const ACTIONS = ["block", "sanitize", "flag"];
+
+const DEFAULT_POLICIES = {
+  injection: "block",
+  content: "block",
+  pii: "flag", // Businesses often publish their own phone number and email
+};
+
+// Attempts to override the prompt from inside a business field
+const INJECTION_RULES = [
+  {
+    rule: "ignore_instructions",
+    pattern:
+      /\b(?:ignore|disregard|forget|override)\b[^.\n]{0,40}\b(?:previous|prior|above|earlier|all|these|your)\b[^.\n]{0,20}\b(?:instructions?|prompts?|rules|directions)\b/gi,
+  },
+  {
+    rule: "role_override",
+    pattern:
+      /\b(?:you are now|from now on you|act as (?:an? )?(?:ai|assistant|system|developer)|pretend (?:to be|you are))\b/gi,
+  },
+  {
+    rule: "prompt_leak",
+    pattern:
+      /\b(?:reveal|show|print|repeat|output)\b[^.\n]{0,30}\b(?:system prompt|your prompt|your instructions|hidden instructions)\b/gi,
+  },
+  {
+    rule: "role_markup",
+    pattern: /<\|[^|>]{1,20}\|>|^\s*(?:system|assistant)\s*:/gim,
+  },
+  // Our own section markers would let input rewrite the parsed output
+  {
+    rule: "section_marker",
+    pattern: /\[\s*(?:story|faq|search phrases)\s*\]/gi,
+  },
+];
+
+// Disallowed categories for customer-facing copy
+const CONTENT_RULES = [
+  {
+    rule: "adult",
+    pattern:
+      /\b(?:porn\w*|xxx|escort services?|nude (?:photos?|massage)|sexual services?)\b/gi,
+  },
+  {
+    rule: "hate",
+    pattern:
+      /\b(?:ethnic cleansing|inferior (?:race|caste)s?|(?:kill|exterminate) all (?:of )?(?:them|those people))\b/gi,
+  },
+  {
+    rule: "violence",
+    pattern:
+      /\b(?:how to (?:kill|poison)|make (?:a )?bombs?|bomb making|terrorist attacks?)\b/gi,
+  },
+  {
+    rule: "drugs",
+    pattern:
+      /\b(?:cocaine|heroin|methamphetamine|buy (?:weed|charas|ganja|hashish))\b/gi,
+  },
+  {
+    rule: "weapons",
+    pattern:
+      /\b(?:illegal (?:guns?|firearms?|weapons?)|buy (?:guns?|firearms?|explosives?))\b/gi,
+  },
+];
+
+const luhnValid = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const PII_RULES = [
+  {
+    rule: "email",
+    pattern: /[\w.+-]+@[\w-]+\.[\w.-]+/g,
+    replacement: "[email removed]",
+  },
+  {
+    // Nepali mobiles (98x/97x/96x), landlines with area code, and +country numbers
+    rule: "phone",
+    pattern:
+      /(?:\+?977[\s-]?)?\b9[678]\d{8}\b|\b0\d{1,2}-\d{6,7}\b|\+\d{1,3}[\s-]?\d{6,12}\b/g,
+    replacement: "[phone removed]",
+  },
+  {
+    rule: "card_number",
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    replacement: "[card number removed]",
+    validate: (match) => luhnValid(match.replace(/\D/g, "")),
+  },
+];
+
+const CHECKS = [
+  { kind: "injection", rules: INJECTION_RULES, replacement: "" },
+  { kind: "content", rules: CONTENT_RULES, replacement: "[removed]" },
+  { kind: "pii", rules: PII_RULES },
+];
+
+// Business details that are interpolated into generation prompts
+export const PROMPT_FIELDS = [
+  "businessName",
+  "location",
+  "businessType",
+  "productsServices",
+  "targetCustomers",
+  "brandTone",
+  "bannedWords",
+  "mustMentionPhrases",
+];
+
+// Overall status, most severe first
+const STATUS_ORDER = ["blocked", "sanitized", "flagged", "passed"];
+const ACTION_STATUS = {
+  block: "blocked",
+  sanitize: "sanitized",
+  flag: "flagged",
+};
+
+class ModerationService {
+  // e.g. MODERATION_POLICIES=injection:block,content:flag,pii:sanitize
+  getPolicies() {
+    const policies = { ...DEFAULT_POLICIES };
+
+    (process.env.MODERATION_POLICIES || "")
+      .split(",")
+      .map((pair) => pair.split(":").map((part) => part.trim()))
+      .forEach(([kind, action]) => {
+        if (policies[kind] && ACTIONS.includes(action)) {
+          policies[kind] = action;
+        }
+      });
+
+    return policies;
+  }
+
+  // Run every check over one piece of text. Returns the (possibly sanitized)
+  // text and a finding per matched rule. Matched text is never stored.
+  checkText(text, { stage, field, policies = this.getPolicies() }) {
+    let result = text || "";
+    const findings = [];
+
+    // Injection checks only make sense for what users send us
+    const checks = CHECKS.filter(
+      ({ kind }) => stage === "input" || kind !== "injection"
+    );
+
+    for (const { kind, rules, replacement } of checks) {
+      const action = policies[kind];
+
+      for (const rule of rules) {
+        const matches = (result.match(rule.pattern) || []).filter(
+          (match) => !rule.validate || rule.validate(match)
+        );
+        if (matches.length === 0) continue;
+
+        findings.push({
+          stage,
+          field,
+          category: kind === "content" ? rule.rule : kind,
+          rule: rule.rule,
+          count: matches.length,
+          action,
+        });
+
+        if (action === "sanitize") {
+          result = result.replace(rule.pattern, (match) =>
+            rule.validate && !rule.validate(match)
+              ? match
+              : rule.replacement ?? replacement
+          );
+        }
+      }
+    }
+
+    return { text: result, findings };
+  }
+
+  // fields: { name: value | [values] } of user-supplied prompt inputs. Returns the
+  // sanitized fields, findings and whether any policy blocks the request.
+  checkInput(fields) {
+    const policies = this.getPolicies();
+    const sanitized = { ...fields };
+    const findings = [];
+
+    const check = (value, field) => {
+      if (typeof value !== "string" || !value) return value;
+
+      const result = this.checkText(value, {
+        stage: "input",
+        field,
+        policies,
+      });
+      findings.push(...result.findings);
+
+      return result.text === value
+        ? value
+        : result.text.replace(/\s{2,}/g, " ").trim();
+    };
+
+    for (const [field, value] of Object.entries(fields)) {
+      sanitized[field] = Array.isArray(value)
+        ? value.map((item) => check(item, field))
+        : check(value, field);
+    }
+
+    return { fields: sanitized, findings, blocked: this.isBlocked(findings) };
+  }
+
+  // Generated { content, structuredContent }; the structured copy is sanitized
+  // the same way so both stay in step
+  checkOutput({ content, structuredContent }) {
+    const policies = this.getPolicies();
+    const { text, findings } = this.checkText(content, {
+      stage: "output",
+      field: "content",
+      policies,
+    });
+
+    return {
+      content: text,
+      structuredContent:
+        structuredContent && findings.some((f) => f.action === "sanitize")
+          ? mapStructuredContent(
+              structuredContent,
+              (part) => this.checkText(part, { stage: "output", policies }).text
+            )
+          : structuredContent,
+      findings,
+      blocked: this.isBlocked(findings),
+    };
+  }
+
+  // For streamed output: holds text back until a sentence (or line) is
+  // complete, runs the output checks on it and passes what may be shown to
+  // send(). Once a sentence is blocked nothing more is sent. Returns
+  // { push(text), flush() }; call flush() when the stream ends.
+  createOutputGuard(send) {
+    const policies = this.getPolicies();
+    let pending = "";
+    let blocked = false;
+
+    const release = (text) => {
+      if (blocked || !text) return;
+      const result = this.checkText(text, {
+        stage: "output",
+        field: "content",
+        policies,
+      });
+      if (this.isBlocked(result.findings)) {
+        blocked = true;
+        return;
+      }
+      send(result.text);
+    };
+
+    return {
+      push(text) {
+        pending += text;
+        const sentences = pending.match(/^[\s\S]*[.!?।\n]\s/);
+        if (sentences) {
+          release(sentences[0]);
+          pending = pending.slice(sentences[0].length);
+        }
+      },
+      flush() {
+        release(pending);
+        pending = "";
+      },
+    };
+  }
+
+  isBlocked(findings) {
+    return findings.some((finding) => finding.action === "block");
+  }
+
+  // ContentGeneration.moderation from any number of finding lists
+  buildRecord(...findingLists) {
+    const findings = findingLists.flat();
+    const status =
+      STATUS_ORDER.find((candidate) =>
+        findings.some((f) => ACTION_STATUS[f.action] === candidate)
+      ) || "passed";
+
+    return { status, findings, checkedAt: new Date() };
+  }
+}
+
+export default new ModerationService();
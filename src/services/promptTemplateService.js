@@ -0,0 +1,189 @@
+import PromptTemplate from "../models/PromptTemplate.js";
+import {
+  DEFAULT_PROMPT_TEMPLATES,
+  PROMPT_TEMPLATE_VARIABLES,
+} from "../config/promptTemplates.js";
+
+// Published templates are cached briefly so generation doesn't hit MongoDB every time
+const CACHE_TTL_MS = 60 * 1000;
+
+class PromptTemplateService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  isKnownKey(key) {
+    return Boolean(DEFAULT_PROMPT_TEMPLATES[key]);
+  }
+
+  getAllowedVariables(key) {
+    return PROMPT_TEMPLATE_VARIABLES[key.split(".")[0]] || [];
+  }
+
+  // Variables used in body that the key doesn't provide
+  getUnknownVariables(key, body) {
+    const allowed = this.getAllowedVariables(key);
+    const used = [...body.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]);
+    return [...new Set(used)].filter((name) => !allowed.includes(name));
+  }
+
+  // Replace {{name}} placeholders; missing values render as empty strings
+  render(body, variables = {}) {
+    return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      variables[name] === undefined || variables[name] === null
+        ? ""
+        : String(variables[name])
+    );
+  }
+
+  getDefault(key, language) {
+    const defaults = DEFAULT_PROMPT_TEMPLATES[key];
+    if (!defaults) {
+      throw new Error(`Unknown prompt template: ${key}`);
+    }
+
+    const resolvedLanguage = defaults[language] ? language : "en";
+    return {
+      key,
+      language: resolvedLanguage,
+      version: 0, // Built-in
+      templateId: null,
+      body: defaults[resolvedLanguage],
+    };
+  }
+
+  // Currently published version, falling back to the built-in default
+  async resolve(key, language = "en") {
+    const cacheKey = `${key}:${language}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.template;
+    }
+
+    let template = null;
+
+    try {
+      const published = await PromptTemplate.findOne({
+        key,
+        language,
+        status: "published",
+      }).lean();
+
+      if (published) {
+        template = {
+          key,
+          language,
+          version: published.version,
+          templateId: published._id,
+          body: published.body,
+        };
+      }
+    } catch (error) {
+      console.error(
+        "Failed to load prompt template, using default:",
+        error.message
+      );
+    }
+
+    template = template || this.getDefault(key, language);
+    this.cache.set(cacheKey, {
+      template,
+      expiresAt: Date.now() + CACHE_TTL_MS,
+    });
+
+    return template;
+  }
+
+  // Resolve and render in one go: returns { prompt, promptTemplate }
+  async renderTemplate(key, language, variables) {
+    const template = await this.resolve(key, language);
+
+    return {
+      prompt: this.render(template.body, variables),
+      promptTemplate: {
+        key: template.key,
+        language: template.language,
+        version: template.version,
+        template: template.templateId,
+      },
+    };
+  }
+
+  async listVersions(key, language) {
+    const filter = {};
+    if (key) filter.key = key;
+    if (language) filter.language = language;
+
+    return PromptTemplate.find(filter)
+      .sort({ key: 1, language: 1, version: -1 })
+      .select("-__v");
+  }
+
+  async createVersion({ key, language = "en", body, notes }, userId) {
+    const latest = await PromptTemplate.findOne({ key, language })
+      .sort({ version: -1 })
+      .select("version");
+
+    const template = new PromptTemplate({
+      key,
+      language,
+      version: (latest?.version || 0) + 1,
+      body,
+      notes,
+      createdBy: userId,
+    });
+
+    return template.save();
+  }
+
+  // Publishing archives whichever version was live for the same key/language
+  async publish(template) {
+    await PromptTemplate.updateMany(
+      {
+        key: template.key,
+        language: template.language,
+        status: "published",
+        _id: { $ne: template._id },
+      },
+      { $set: { status: "archived" } }
+    );
+
+    template.status = "published";
+    template.publishedAt = new Date();
+    await template.save();
+
+    this.cache.delete(`${template.key}:${template.language}`);
+    return template;
+  }
+
+  // Re-publish the newest version older than the live one. Returns null when
+  // there is nothing to roll back to; rolling back from v1 reverts to the built-in.
+  async rollback(key, language = "en") {
+    const current = await PromptTemplate.findOne({
+      key,
+      language,
+      status: "published",
+    });
+
+    if (!current) {
+      return null;
+    }
+
+    const previous = await PromptTemplate.findOne({
+      key,
+      language,
+      version: { $lt: current.version },
+    }).sort({ version: -1 });
+
+    if (!previous) {
+      current.status = "archived";
+      await current.save();
+      this.cache.delete(`${key}:${language}`);
+      return this.getDefault(key, language);
+    }
+
+    return this.publish(previous);
+  }
+}
+
+export default new PromptTemplateService();
@@ -0,0 +1,639 @@
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import gTTS from "node-gtts";
+import { splitTextForTTS } from "../utils/ttsText.js";
+import { planSpeech, toSsml } from "../utils/ssml.js";
+import { joinMp3 } from "../utils/mp3.js";
+import { joinWav } from "../utils/wav.js";
+import { execFileAsync, commandAvailable } from "../utils/commands.js";
+
+const VOICES = [
+  "en_us_001",
+  "en_us_002",
+  "en_uk_001",
+  "en_uk_003",
+  "en_au_001",
+  "en_au_002",
+  "ne_np_001",
+  "ne_np_002",
+];
+
+// Anything smaller is an error page or empty response, not speech
+const MIN_AUDIO_BYTES = 1000;
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+// gTTS fetches long text 100 characters at a time
+const GTTS_TIMEOUT_MS = 120000;
+
+// Formats whose pieces can be joined with silence between them
+const JOINERS = { mp3: joinMp3, wav: joinWav };
+
+// parts: audio buffers and { silence: ms } entries
+const joinAudio = (parts, format) => {
+  if (JOINERS[format]) return JOINERS[format](parts);
+  if (parts.length === 1 && Buffer.isBuffer(parts[0])) return parts[0];
+  throw new Error(`Can't join ${format} audio`);
+};
+
+const checkAudio = (buffer, engine) => {
+  if (!buffer || buffer.length < MIN_AUDIO_BYTES) {
+    throw new Error(`${engine} returned no audio`);
+  }
+  return buffer;
+};
+
+// Google Translate's speech endpoint: no key needed, ~200 characters a request
+class GoogleTranslateEngine {
+  constructor() {
+    this.name = "google-translate";
+    this.capabilities = {
+      languages: ["en", "ne"],
+      voices: VOICES,
+      maxChars: 200,
+      formats: ["mp3"],
+      ssml: false,
+    };
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  async synthesize(text, { language, speed }) {
+    // Nepali is read with the Hindi voice, which handles Devanagari well
+    const lang = language === "ne" ? "hi" : "en";
+    const params = new URLSearchParams({
+      ie: "UTF-8",
+      total: "1",
+      idx: "0",
+      textlen: String(text.length),
+      client: "tw-ob",
+      q: text,
+      tl: lang,
+      ttsspeed: speed < 0.8 ? "0.24" : "1",
+    });
+
+    const endpoints = [
+      "https://translate.google.com/translate_tts",
+      "https://translate.googleapis.com/translate_tts",
+    ];
+
+    let lastError = null;
+    for (const endpoint of endpoints) {
+      try {
+        const response = await fetch(`${endpoint}?${params}`, {
+          headers: {
+            "User-Agent":
+              "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+            Accept: "audio/mpeg, audio/*, */*",
+            Referer: "https://translate.google.com/",
+          },
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const buffer = Buffer.from(await response.arrayBuffer());
+        return { buffer: checkAudio(buffer, this.name), format: "mp3" };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+// node-gtts: the same Google voices, split into requests by the library
+class GTTSEngine {
+  constructor() {
+    this.name = "gtts";
+    this.capabilities = {
+      languages: ["en", "ne"],
+      voices: VOICES,
+      maxChars: 5000,
+      formats: ["mp3"],
+      ssml: false,
+    };
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  async synthesize(text, { language }) {
+    const stream = gTTS(language === "ne" ? "hi" : "en").stream(text);
+
+    const chunks = [];
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        stream.destroy();
+        reject(new Error(`gTTS timed out after ${GTTS_TIMEOUT_MS} ms`));
+      }, GTTS_TIMEOUT_MS);
+
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("end", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      stream.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+
+    return {
+      buffer: checkAudio(Buffer.concat(chunks), this.name),
+      format: "mp3",
+    };
+  }
+}
+
+// Microsoft Edge neural voices through the edge-tts CLI (pip install edge-tts)
+class EdgeTTSEngine {
+  constructor() {
+    this.name = "edge-tts";
+    this.voices = {
+      en_us_001: "en-US-AriaNeural",
+      en_us_002: "en-US-GuyNeural",
+      en_uk_001: "en-GB-SoniaNeural",
+      en_uk_003: "en-GB-RyanNeural",
+      en_au_001: "en-AU-NatashaNeural",
+      en_au_002: "en-AU-WilliamNeural",
+      ne_np_001: "ne-NP-HemkalaNeural",
+      ne_np_002: "ne-NP-SagarNeural",
+    };
+    this.capabilities = {
+      languages: ["en", "ne"],
+      voices: VOICES,
+      maxChars: 5000,
+      formats: ["mp3"],
+      ssml: false,
+    };
+  }
+
+  isAvailable() {
+    return commandAvailable("edge-tts");
+  }
+
+  async synthesize(text, { language, voice, speed, tempDir }) {
+    const edgeVoice =
+      this.voices[voice] ||
+      (language === "ne" ? this.voices.ne_np_001 : this.voices.en_us_001);
+    const rate = `${speed >= 1 ? "+" : ""}${Math.round((speed - 1) * 100)}%`;
+    const outputPath = path.join(tempDir, `edge_${randomUUID()}.mp3`);
+
+    try {
+      await execFileAsync(
+        "edge-tts",
+        [
+          "--voice",
+          edgeVoice,
+          `--rate=${rate}`,
+          "--text",
+          text,
+          "--write-media",
+          outputPath,
+        ],
+        { timeout: 120000 }
+      );
+      const buffer = await fs.readFile(outputPath);
+      return { buffer: checkAudio(buffer, this.name), format: "mp3" };
+    } finally {
+      await fs.unlink(outputPath).catch(() => {});
+    }
+  }
+}
+
+// VoiceRSS hosted API; needs VOICERSS_API_KEY
+class VoiceRSSEngine {
+  constructor() {
+    this.name = "voicerss";
+    this.languages = {
+      en_uk_001: "en-gb",
+      en_uk_003: "en-gb",
+      en_au_001: "en-au",
+      en_au_002: "en-au",
+    };
+    this.capabilities = {
+      languages: ["en", "ne"],
+      voices: VOICES,
+      maxChars: 5000,
+      formats: ["mp3"],
+      ssml: true,
+    };
+  }
+
+  async isAvailable() {
+    return Boolean(process.env.VOICERSS_API_KEY);
+  }
+
+  async synthesize(text, { language, voice, speed, ssml }) {
+    const params = new URLSearchParams({
+      key: process.env.VOICERSS_API_KEY,
+      hl: language === "ne" ? "hi-in" : this.languages[voice] || "en-us",
+      src: text,
+      // -10 (slowest) to 10 (fastest), 0 is normal
+      r: String(Math.max(-10, Math.min(10, Math.round((speed - 1) * 10)))),
+      c: "MP3",
+      f: "44khz_16bit_mono",
+      ssml: ssml ? "true" : "false",
+    });
+
+    const response = await fetch(`https://api.voicerss.org/?${params}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`VoiceRSS API failed: ${response.status}`);
+    }
+
+    // Errors come back as 200 with a text body
+    if (!response.headers.get("content-type")?.includes("audio")) {
+      throw new Error(`VoiceRSS API failed: ${await response.text()}`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return { buffer: checkAudio(buffer, this.name), format: "mp3" };
+  }
+}
+
+// Local eSpeak NG (or classic espeak). Robotic, but needs no network, which
+// makes it the engine of last resort and the one to use in tests.
+class EspeakEngine {
+  constructor() {
+    this.name = "espeak";
+    this.voices = {
+      en_us_001: "en-us+f3",
+      en_us_002: "en-us+m3",
+      en_uk_001: "en+f3",
+      en_uk_003: "en+m3",
+      en_au_001: "en+f3",
+      en_au_002: "en+m3",
+      ne_np_001: "ne+f3",
+      ne_np_002: "ne+m3",
+    };
+    this.capabilities = {
+      languages: ["en", "ne"],
+      voices: VOICES,
+      maxChars: 10000,
+      formats: ["wav"],
+      ssml: true,
+    };
+    this.command = null;
+  }
+
+  async isAvailable() {
+    if (this.command) return true;
+
+    for (const command of ["espeak-ng", "espeak"]) {
+      if (await commandAvailable(command)) {
+        this.command = command;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async synthesize(text, { language, voice, speed, ssml }) {
+    if (!(await this.isAvailable())) {
+      throw new Error("espeak is not installed");
+    }
+
+    const espeakVoice =
+      this.voices[voice] || (language === "ne" ? "ne+f3" : "en+f3");
+    const { stdout } = await execFileAsync(
+      this.command,
+      [
+        "-v",
+        espeakVoice,
+        "-s",
+        String(Math.round(speed * 175)), // Words per minute
+        ...(ssml ? ["-m"] : []),
+        "--stdout",
+        text,
+      ],
+      { encoding: "buffer", maxBuffer: 100 * 1024 * 1024, timeout: 120000 }
+    );
+
+    return { buffer: checkAudio(stdout, this.name), format: "wav" };
+  }
+}
+
+// macOS `say`; only available on developer machines
+class MacSayEngine {
+  constructor() {
+    this.name = "say";
+    this.voices = {
+      en_us_001: "Samantha",
+      en_us_002: "Alex",
+      en_uk_001: "Kate",
+      en_uk_003: "Daniel",
+      en_au_001: "Karen",
+      en_au_002: "Lee",
+    };
+    this.capabilities = {
+      languages: ["en"],
+      voices: Object.keys(this.voices),
+      maxChars: 10000,
+      formats: ["aiff"],
+      ssml: false,
+    };
+  }
+
+  async isAvailable() {
+    return process.platform === "darwin";
+  }
+
+  async synthesize(text, { voice, speed, tempDir }) {
+    const outputPath = path.join(tempDir, `say_${randomUUID()}.aiff`);
+
+    try {
+      await execFileAsync(
+        "say",
+        [
+          "-v",
+          this.voices[voice] || "Samantha",
+          "-r",
+          String(Math.round(speed * 200)),
+          "-o",
+          outputPath,
+          text,
+        ],
+        { timeout: 120000 }
+      );
+      const buffer = await fs.readFile(outputPath);
+      return { buffer: checkAudio(buffer, this.name), format: "aiff" };
+    } finally {
+      await fs.unlink(outputPath).catch(() => {});
+    }
+  }
+}
+
+// Stops calling an engine after repeated failures. Once the cool-down ends a
+// single request is let through; success closes the breaker again.
+class CircuitBreaker {
+  constructor() {
+    this.failures = 0;
+    this.openUntil = 0;
+    this.lastError = null;
+    this.probing = false; // The half-open request is in flight
+  }
+
+  get threshold() {
+    return parseInt(process.env.TTS_BREAKER_THRESHOLD) || 3;
+  }
+
+  get cooldown() {
+    return parseInt(process.env.TTS_BREAKER_COOLDOWN_MS) || 60000;
+  }
+
+  get state() {
+    if (this.failures < this.threshold) return "closed";
+    return Date.now() < this.openUntil ? "open" : "half-open";
+  }
+
+  // Whether a request could go through right now
+  isCallable() {
+    const state = this.state;
+    return state === "closed" || (state === "half-open" && !this.probing);
+  }
+
+  // Claims the half-open probe; call right before the request
+  tryAcquire() {
+    if (!this.isCallable()) return false;
+    if (this.state === "half-open") this.probing = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openUntil = 0;
+    this.lastError = null;
+    this.probing = false;
+  }
+
+  recordFailure(error) {
+    this.probing = false;
+    this.failures += 1;
+    this.lastError = error.message;
+    if (this.failures >= this.threshold) {
+      this.openUntil = Date.now() + this.cooldown;
+    }
+  }
+}
+
+class TTSEngineRegistry {
+  constructor() {
+    this.engines = new Map();
+    this.breakers = new Map();
+  }
+
+  register(engine) {
+    this.engines.set(engine.name, engine);
+    this.breakers.set(engine.name, new CircuitBreaker());
+    return this;
+  }
+
+  get(name) {
+    return this.engines.get(name);
+  }
+
+  names() {
+    return [...this.engines.keys()];
+  }
+
+  // Priority order, e.g. TTS_ENGINE_ORDER=edge-tts,google-translate,espeak
+  getDefaultOrder() {
+    const configured = (process.env.TTS_ENGINE_ORDER || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter((name) => this.engines.has(name));
+
+    return configured.length > 0 ? configured : this.names();
+  }
+
+  supports(engine, { language, voice }) {
+    const { languages, voices } = engine.capabilities;
+    return (
+      languages.includes(language) &&
+      (!voice || voice === "default" || voices.includes(voice))
+    );
+  }
+
+  // Engines to try: a requested engine first, then the priority order,
+  // skipping engines that can't handle the request or whose breaker is open
+  async resolveOrder({ engine, language = "en", voice } = {}) {
+    const names = [engine, ...this.getDefaultOrder()]
+      .filter((name) => name && this.engines.has(name))
+      .filter((name, index, all) => all.indexOf(name) === index);
+
+    const order = [];
+    for (const name of names) {
+      const candidate = this.engines.get(name);
+      if (
+        this.breakers.get(name).isCallable() &&
+        this.supports(candidate, { language, voice }) &&
+        (await candidate.isAvailable())
+      ) {
+        order.push(name);
+      }
+    }
+    return order;
+  }
+
+  // Longer text is synthesized in pieces and joined. TTS_CHUNK_PAUSE_MS adds
+  // a pause where a piece ends a sentence, for engines that trim the
+  // trailing silence.
+  async synthesizeText(engine, text, options) {
+    const pieces = splitTextForTTS(text, engine.capabilities.maxChars);
+    const pause = Number(process.env.TTS_CHUNK_PAUSE_MS) || 0;
+    const parts = [];
+    let format = null;
+    for (const [index, piece] of pieces.entries()) {
+      const result = await engine.synthesize(piece, options);
+      format = format || result.format;
+      if (index > 0 && pause > 0 && /[.!?।]$/.test(pieces[index - 1])) {
+        parts.push({ silence: pause });
+      }
+      parts.push(result.buffer);
+    }
+
+    return { buffer: joinAudio(parts, format), format };
+  }
+
+  // input is plain text or a parsed SSML document (utils/ssml.js). Engines
+  // that understand SSML get it as markup; for the rest breaks become
+  // inserted silence and rate changes are synthesized as separate pieces.
+  async synthesizeWith(engine, input, options) {
+    if (typeof input === "string") {
+      return this.synthesizeText(engine, input, options);
+    }
+
+    const markup = toSsml(input, options.language);
+    if (
+      engine.capabilities.ssml &&
+      markup.length <= engine.capabilities.maxChars
+    ) {
+      const result = await engine.synthesize(markup, {
+        ...options,
+        ssml: true,
+      });
+      return { ...result, ssml: "native" };
+    }
+
+    const parts = [];
+    let format = null;
+    for (const item of planSpeech(input, options.language)) {
+      if ("pause" in item) {
+        parts.push({ silence: item.pause });
+        continue;
+      }
+
+      const result = await this.synthesizeText(engine, item.text, {
+        ...options,
+        speed: options.speed * item.rate,
+      });
+      format = format || result.format;
+      parts.push(result.buffer);
+    }
+
+    return { buffer: joinAudio(parts, format), format, ssml: "emulated" };
+  }
+
+  // input is text or an SSML document; options: { language, voice, speed,
+  // engine }. Returns { buffer, format, engine, attempts, ssml } where
+  // attempts lists the engines that failed first.
+  async synthesize(input, options = {}) {
+    const settings = {
+      language: "en",
+      speed: 1.0,
+      tempDir: os.tmpdir(),
+      ...options,
+    };
+    const order = await this.resolveOrder(settings);
+
+    if (order.length === 0) {
+      const error = new Error(
+        `No text-to-speech engine is available for language "${settings.language}"`
+      );
+      error.status = 503;
+      throw error;
+    }
+
+    const attempts = [];
+    for (const name of order) {
+      const breaker = this.breakers.get(name);
+      // Another request took the half-open probe since the order was resolved
+      if (!breaker.tryAcquire()) continue;
+
+      try {
+        const result = await this.synthesizeWith(
+          this.engines.get(name),
+          input,
+          settings
+        );
+        breaker.recordSuccess();
+        return { ...result, engine: name, attempts };
+      } catch (error) {
+        console.error(`TTS engine "${name}" failed:`, error.message);
+        breaker.recordFailure(error);
+        attempts.push({ engine: name, error: error.message });
+      }
+    }
+
+    const error = new Error(
+      `All text-to-speech engines failed (${attempts
+        .map((attempt) => attempt.engine)
+        .join(", ")})`
+    );
+    error.status = 503;
+    error.attempts = attempts;
+    throw error;
+  }
+
+  async getStatus() {
+    const names = [...new Set([...this.getDefaultOrder(), ...this.names()])];
+
+    return Promise.all(
+      names.map(async (name) => {
+        const engine = this.engines.get(name);
+        const breaker = this.breakers.get(name);
+
+        return {
+          name,
+          available: await engine.isAvailable(),
+          capabilities: engine.capabilities,
+          breaker: {
+            state: breaker.state,
+            failures: breaker.failures,
+            openUntil: breaker.openUntil ? new Date(breaker.openUntil) : null,
+            lastError: breaker.lastError,
+          },
+        };
+      })
+    );
+  }
+}
+
+const ttsEngines = new TTSEngineRegistry()
+  .register(new GoogleTranslateEngine())
+  .register(new GTTSEngine())
+  .register(new EdgeTTSEngine())
+  .register(new VoiceRSSEngine())
+  .register(new EspeakEngine())
+  .register(new MacSayEngine());
+
+export {
+  GoogleTranslateEngine,
+  GTTSEngine,
+  EdgeTTSEngine,
+  VoiceRSSEngine,
+  EspeakEngine,
+  MacSayEngine,
+};
+export default ttsEngines;
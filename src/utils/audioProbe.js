@@ -0,0 +1,33 @@
+import { probeMp3 } from "./mp3.js";
+import { probeWav } from "./wav.js";
+
+const PROBES = { mp3: probeMp3, wav: probeWav };
+
+// Container detected from the first bytes rather than trusted from a label
+export const detectAudioFormat = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WAVE"
+  ) {
+    return "wav";
+  }
+  if (buffer.toString("ascii", 0, 4) === "OggS") return "ogg";
+  if (
+    buffer.toString("ascii", 0, 4) === "FORM" &&
+    buffer.toString("ascii", 8, 12) === "AIFF"
+  ) {
+    return "aiff";
+  }
+  if (buffer.toString("latin1", 0, 3) === "ID3") return "mp3";
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return "mp3";
+  return null;
+};
+
+// Duration, bitrate, sample rate and channels read from the audio itself.
+// Returns null for formats without a parser or unreadable data, so callers
+// can fall back to an estimate.
+export const probeAudio = (buffer) => {
+  const probe = PROBES[detectAudioFormat(buffer)];
+  return probe ? probe(buffer) : null;
+};
@@ -0,0 +1,21 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+export const execFileAsync = promisify(execFile);
+
+// Resolves whether a command-line program can be run, checked once
+export const commandAvailable = (() => {
+  const checks = new Map();
+  return (command, args = ["--version"]) => {
+    if (!checks.has(command)) {
+      checks.set(
+        command,
+        execFileAsync(command, args, { timeout: 5000 }).then(
+          () => true,
+          () => false
+        )
+      );
+    }
+    return checks.get(command);
+  };
+})();
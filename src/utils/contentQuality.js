@@ -0,0 +1,163 @@
+import { TTS_STRIP_RULES, stripUnspokenText } from "./ttsText.js";
+import { devanagariToRoman } from "./transliteration.js";
+
+// Narration pace at speed 1.0, matching AudioService.estimateAudioDuration
+const WORDS_PER_MINUTE = 180;
+export const NARRATION_SPEEDS = [0.75, 1, 1.25, 1.5];
+
+// Below this many words a generation is too thin to be useful
+const MIN_WORDS = 50;
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const splitSentences = (text) =>
+  text
+    .split(/[.!?।]+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+
+// Vowel groups, ignoring a silent trailing "e"; good enough for Flesch
+const countSyllables = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (letters.length <= 3) return 1;
+
+  const groups = letters
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "")
+    .replace(/^y/, "")
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(groups?.length || 0, 1);
+};
+
+const clamp = (value) => Math.round(Math.min(Math.max(value, 0), 100));
+
+// Flesch reading ease for English. Nepali (either script) has no calibrated
+// formula, so it is scored on average sentence length instead.
+const scoreReadability = (text, language) => {
+  const sentences = splitSentences(text);
+  const words = text.split(/\s+/).filter((word) => /[\p{L}\p{N}]/u.test(word));
+
+  if (sentences.length === 0 || words.length === 0) {
+    return { score: 0, level: "difficult", method: "none" };
+  }
+
+  const avgSentenceLength = words.length / sentences.length;
+
+  if (language === "en") {
+    const syllables = words.reduce(
+      (sum, word) => sum + countSyllables(word),
+      0
+    );
+    const score = clamp(
+      206.835 - 1.015 * avgSentenceLength - 84.6 * (syllables / words.length)
+    );
+
+    return {
+      score,
+      level: score >= 60 ? "easy" : score >= 30 ? "standard" : "difficult",
+      method: "flesch",
+      avgSentenceLength: Math.round(avgSentenceLength * 10) / 10,
+    };
+  }
+
+  return {
+    score: clamp(100 - (avgSentenceLength - 10) * 3),
+    level:
+      avgSentenceLength <= 15
+        ? "easy"
+        : avgSentenceLength <= 25
+        ? "standard"
+        : "difficult",
+    method: "sentence-length",
+    avgSentenceLength: Math.round(avgSentenceLength * 10) / 10,
+  };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive occurrences; Devanagari names also match their Roman form
+const countMentions = (text, phrase) => {
+  if (!phrase?.trim()) return 0;
+
+  const forms = [...new Set([phrase, devanagariToRoman(phrase)])];
+  return forms.reduce(
+    (sum, form) =>
+      sum +
+      (text.match(new RegExp(escapeRegExp(form.trim()), "giu"))?.length || 0),
+    0
+  );
+};
+
+const findLeftoverSymbols = (text) => {
+  const counts = {};
+
+  for (const { type, pattern } of TTS_STRIP_RULES) {
+    const matches = text.match(pattern);
+    if (matches) counts[type] = (counts[type] || 0) + matches.length;
+  }
+
+  return Object.entries(counts).map(([type, count]) => ({ type, count }));
+};
+
+// Quality report stored on ContentGeneration.quality
+export const analyzeContent = (content, { businessDetails = {}, language }) => {
+  const text = content || "";
+  const spoken = stripUnspokenText(text).replace(/\s+/g, " ").trim();
+  const wordCount = countWords(spoken);
+
+  const readability = scoreReadability(spoken, language || "en");
+  const mentions = {
+    businessName: countMentions(text, businessDetails.businessName),
+    // "Lakeside, Pokhara" counts if either part is mentioned
+    location: Math.max(
+      0,
+      ...(businessDetails.location || "")
+        .split(",")
+        .map((part) => countMentions(text, part))
+    ),
+  };
+  const leftoverSymbols = findLeftoverSymbols(text);
+
+  const baseSeconds = (wordCount / WORDS_PER_MINUTE) * 60;
+  const narration = NARRATION_SPEEDS.map((speed) => ({
+    speed,
+    seconds: Math.round(baseSeconds / speed),
+  }));
+
+  const warnings = [];
+  let score = 100;
+
+  if (wordCount < MIN_WORDS) {
+    warnings.push(`Only ${wordCount} words of spoken text`);
+    score -= 15;
+  }
+  if (readability.level === "difficult") {
+    warnings.push("Hard to read aloud: sentences are long or complex");
+    score -= 15;
+  }
+  if (mentions.businessName === 0) {
+    warnings.push("Business name is never mentioned");
+    score -= 20;
+  }
+  if (mentions.location === 0) {
+    warnings.push("Location is never mentioned");
+    score -= 10;
+  }
+  if (leftoverSymbols.length > 0) {
+    warnings.push(
+      `Contains formatting that won't be narrated: ${leftoverSymbols
+        .map(({ type }) => type)
+        .join(", ")}`
+    );
+    score -= Math.min(leftoverSymbols.length * 5, 20);
+  }
+
+  return {
+    score: clamp(score),
+    readability,
+    mentions,
+    leftoverSymbols,
+    narration,
+    warnings,
+    analyzedAt: new Date(),
+  };
+};
@@ -0,0 +1,77 @@
+// Minimal RFC 4180 CSV: quoted fields, escaped quotes ("") and newlines
+// inside quotes. The first row is the header.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const source = (text || "").replace(/^\uFEFF/, ""); // Excel adds a BOM
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field in CSV");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((cells) => cells.some((cell) => cell.trim()));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map((name) => name.trim());
+  return nonEmpty
+    .slice(1)
+    .map((cells) =>
+      Object.fromEntries(
+        header
+          .map((name, index) => [name, (cells[index] || "").trim()])
+          .filter(([name]) => name)
+      )
+    );
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of objects; columns: keys to write, in order
+export const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(escapeField).join(","))
+    .join("\r\n") + "\r\n";
@@ -0,0 +1,50 @@
+// G.711 μ-law and A-law companding (ITU-T G.711), the 8-bit encodings
+// telephone systems expect at 8 kHz
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// Segment (exponent) of a biased magnitude: position of its highest set bit
+// above bit 7
+const getSegment = (value) => {
+  let segment = 0;
+  for (let shifted = value >> 8; shifted > 0 && segment < 7; shifted >>= 1) {
+    segment++;
+  }
+  return segment;
+};
+
+// 16-bit signed sample to a μ-law byte
+export const encodeMuLaw = (sample) => {
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude =
+    Math.min(sample < 0 ? -sample : sample, MULAW_CLIP) + MULAW_BIAS;
+  const segment = getSegment(magnitude);
+  const mantissa = (magnitude >> (segment + 3)) & 0x0f;
+  return ~(sign | (segment << 4) | mantissa) & 0xff;
+};
+
+// 16-bit signed sample to an A-law byte
+export const encodeALaw = (sample) => {
+  const sign = sample >= 0 ? 0x80 : 0;
+  const magnitude = Math.min(sample < 0 ? -sample - 1 : sample, 32767);
+  const segment = magnitude < 256 ? 0 : getSegment(magnitude);
+  const mantissa =
+    segment === 0
+      ? (magnitude >> 4) & 0x0f
+      : (magnitude >> (segment + 3)) & 0x0f;
+  return (sign | (segment << 4) | mantissa) ^ 0x55;
+};
+
+// WAV audioFormat codes for each law
+export const G711_FORMATS = { mulaw: 7, alaw: 6 };
+
+// samples: Int16Array of mono PCM. Returns one byte per sample.
+export const encodeG711 = (samples, law) => {
+  const encode = law === "alaw" ? encodeALaw : encodeMuLaw;
+  const output = Buffer.alloc(samples.length);
+  for (let index = 0; index < samples.length; index++) {
+    output[index] = encode(samples[index]);
+  }
+  return output;
+};
@@ -0,0 +1,153 @@
+// Loudness measurement (ITU-R BS.1770-4) and level processing for 16-bit mono
+// PCM, used when ffmpeg isn't installed
+
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const BLOCK_MS = 400;
+const STEP_MS = 100;
+
+const toDb = (ratio) => (ratio > 0 ? 20 * Math.log10(ratio) : -Infinity);
+const toLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+// Biquad coefficients of the K-weighting pre-filter (a high shelf, then a
+// high pass) for any sample rate, as derived in libebur128
+const getKWeighting = (sampleRate) => {
+  const shelf = (() => {
+    const K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    const Q = 0.7071752369554196;
+    const Vh = 10 ** (3.999843853973347 / 20);
+    const Vb = Vh ** 0.4996667741545416;
+    const a0 = 1 + K / Q + K * K;
+    return {
+      b: [
+        (Vh + (Vb * K) / Q + K * K) / a0,
+        (2 * (K * K - Vh)) / a0,
+        (Vh - (Vb * K) / Q + K * K) / a0,
+      ],
+      a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+    };
+  })();
+
+  const highPass = (() => {
+    const K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    const Q = 0.5003270373238773;
+    const a0 = 1 + K / Q + K * K;
+    return {
+      b: [1, -2, 1],
+      a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+    };
+  })();
+
+  return [shelf, highPass];
+};
+
+const filter = (input, { b, a }) => {
+  const output = new Float64Array(input.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let index = 0; index < input.length; index++) {
+    const x = input[index];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    output[index] = y;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+  }
+  return output;
+};
+
+// Returns { integrated (LUFS), peakDb (sample peak, dBFS) }. integrated is
+// -Infinity for silence.
+export const measureLoudness = (samples, sampleRate) => {
+  if (samples.length === 0) return { integrated: -Infinity, peakDb: -Infinity };
+
+  let weighted = Float64Array.from(samples, (sample) => sample / 32768);
+  for (const stage of getKWeighting(sampleRate)) {
+    weighted = filter(weighted, stage);
+  }
+
+  // Mean square of each 400 ms gating block, overlapping by 75%. A clip
+  // shorter than one block is measured as a whole.
+  const blockSize = Math.min(
+    weighted.length,
+    Math.round((sampleRate * BLOCK_MS) / 1000)
+  );
+  const step = Math.round((sampleRate * STEP_MS) / 1000);
+  const blocks = [];
+  for (let start = 0; start + blockSize <= weighted.length; start += step) {
+    let sum = 0;
+    for (let index = start; index < start + blockSize; index++) {
+      sum += weighted[index] * weighted[index];
+    }
+    blocks.push(sum / blockSize);
+  }
+
+  const gated = (threshold) =>
+    blocks.filter((block) => block > 0 && toLufs(block) > threshold);
+  const mean = (values) =>
+    values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  let peak = 0;
+  for (const sample of samples) peak = Math.max(peak, Math.abs(sample));
+
+  const audible = gated(ABSOLUTE_GATE_LUFS);
+  if (audible.length === 0) {
+    return { integrated: -Infinity, peakDb: toDb(peak / 32768) };
+  }
+  const relative = gated(toLufs(mean(audible)) + RELATIVE_GATE_LU);
+  return {
+    integrated: toLufs(mean(relative.length ? relative : audible)),
+    peakDb: toDb(peak / 32768),
+  };
+};
+
+// { start, end } sample range outside which the audio stays below
+// thresholdDb, padded by padMs so words aren't clipped
+export const findSilenceBounds = (samples, sampleRate, thresholdDb, padMs) => {
+  const windowSize = Math.max(1, Math.round(sampleRate / 100)); // 10 ms
+  const threshold = 32768 * 10 ** (thresholdDb / 20);
+
+  let first = -1;
+  let last = -1;
+  for (let start = 0; start < samples.length; start += windowSize) {
+    const end = Math.min(samples.length, start + windowSize);
+    let sum = 0;
+    for (let index = start; index < end; index++) {
+      sum += samples[index] * samples[index];
+    }
+    if (Math.sqrt(sum / (end - start)) >= threshold) {
+      if (first === -1) first = start;
+      last = end;
+    }
+  }
+  if (first === -1) return { start: 0, end: samples.length };
+
+  const pad = Math.round((sampleRate * padMs) / 1000);
+  return {
+    start: Math.max(0, first - pad),
+    end: Math.min(samples.length, last + pad),
+  };
+};
+
+// New samples scaled by gainDb with linear fades of fadeMs at both ends
+export const applyGain = (samples, sampleRate, gainDb, fadeMs = 0) => {
+  const gain = 10 ** (gainDb / 20);
+  const fade = Math.min(
+    Math.round((sampleRate * fadeMs) / 1000),
+    Math.floor(samples.length / 2)
+  );
+
+  const output = new Int16Array(samples.length);
+  for (let index = 0; index < samples.length; index++) {
+    let value = samples[index] * gain;
+    if (index < fade) value *= index / fade;
+    if (index >= samples.length - fade) {
+      value *= (samples.length - 1 - index) / fade;
+    }
+    output[index] = Math.max(-32768, Math.min(32767, Math.round(value)));
+  }
+  return output;
+};
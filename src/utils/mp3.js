@@ -0,0 +1,347 @@
+// MPEG audio frame helpers for probing and joining synthesized speech
+
+const VERSIONS = { 0: "2.5", 2: "2", 3: "1" };
+const LAYERS = { 1: 3, 2: 2, 3: 1 };
+
+// kbps by [MPEG-1 ? "1" : "2"][layer]
+const BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+const CHANNEL_MODES = ["stereo", "joint-stereo", "dual-channel", "mono"];
+
+// Size of an ID3v2 tag at the start of the buffer, 0 if there is none
+export const getId3v2Size = (buffer, offset = 0) => {
+  if (
+    buffer.length < offset + 10 ||
+    buffer.toString("latin1", offset, offset + 3) !== "ID3"
+  ) {
+    return 0;
+  }
+  // Syncsafe integer: 7 bits per byte
+  const size =
+    ((buffer[offset + 6] & 0x7f) << 21) |
+    ((buffer[offset + 7] & 0x7f) << 14) |
+    ((buffer[offset + 8] & 0x7f) << 7) |
+    (buffer[offset + 9] & 0x7f);
+  const hasFooter = (buffer[offset + 5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+};
+
+// Returns the frame header at offset, or null if there isn't a valid one
+export const parseFrameHeader = (buffer, offset = 0) => {
+  if (offset + 4 > buffer.length) return null;
+  const header = buffer.readUInt32BE(offset);
+  if ((header & 0xffe00000) >>> 0 !== 0xffe00000) return null;
+
+  const version = VERSIONS[(header >>> 19) & 0x3];
+  const layer = LAYERS[(header >>> 17) & 0x3];
+  const bitrateIndex = (header >>> 12) & 0xf;
+  const sampleRateIndex = (header >>> 10) & 0x3;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15) {
+    return null;
+  }
+  if (sampleRateIndex === 3) return null;
+
+  const bitrate = BITRATES[version === "1" ? 1 : 2][layer][bitrateIndex];
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (header >>> 9) & 0x1;
+  const channelMode = CHANNEL_MODES[(header >>> 6) & 0x3];
+
+  let samplesPerFrame;
+  let frameLength;
+  if (layer === 1) {
+    samplesPerFrame = 384;
+    frameLength =
+      (Math.floor((12 * bitrate * 1000) / sampleRate) + padding) * 4;
+  } else {
+    samplesPerFrame = layer === 3 && version !== "1" ? 576 : 1152;
+    frameLength =
+      Math.floor(((samplesPerFrame / 8) * bitrate * 1000) / sampleRate) +
+      padding;
+  }
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    padding,
+    channelMode,
+    channels: channelMode === "mono" ? 1 : 2,
+    protected: ((header >>> 16) & 0x1) === 0,
+    samplesPerFrame,
+    frameLength,
+    header,
+  };
+};
+
+// Offset of the first frame at or after start whose successor (when there is
+// room for one) is also a frame, which rules out stray sync bytes
+export const findFrame = (buffer, start = 0) => {
+  for (let offset = start; offset + 4 <= buffer.length; offset++) {
+    if (buffer[offset] !== 0xff) continue;
+
+    const frame = parseFrameHeader(buffer, offset);
+    if (!frame) continue;
+
+    const next = offset + frame.frameLength;
+    if (next + 4 > buffer.length || parseFrameHeader(buffer, next)) {
+      return offset;
+    }
+  }
+  return -1;
+};
+
+// Side information sits between the frame header and the Xing/Info tag
+const getSideInfoSize = (frame) =>
+  frame.version === "1"
+    ? frame.channels === 1
+      ? 17
+      : 32
+    : frame.channels === 1
+    ? 9
+    : 17;
+
+// Reads the Xing/Info (LAME) or VBRI tag some encoders put in the first
+// frame. Returns { frames, bytes } (either may be undefined) or null.
+export const readVbrTag = (buffer, offset, frame) => {
+  const xing = offset + 4 + (frame.protected ? 2 : 0) + getSideInfoSize(frame);
+  const xingId = buffer.toString("latin1", xing, xing + 4);
+  if ((xingId === "Xing" || xingId === "Info") && xing + 8 <= buffer.length) {
+    const flags = buffer.readUInt32BE(xing + 4);
+    let field = xing + 8;
+    const read = (flag) => {
+      if (!(flags & flag) || field + 4 > buffer.length) return undefined;
+      const value = buffer.readUInt32BE(field);
+      field += 4;
+      return value;
+    };
+    return { frames: read(0x1), bytes: read(0x2), vbr: xingId === "Xing" };
+  }
+
+  // Fraunhofer's VBRI always follows 32 bytes of side information
+  const vbri = offset + 36;
+  if (
+    vbri + 18 <= buffer.length &&
+    buffer.toString("latin1", vbri, vbri + 4) === "VBRI"
+  ) {
+    return {
+      bytes: buffer.readUInt32BE(vbri + 10),
+      frames: buffer.readUInt32BE(vbri + 14),
+      vbr: true,
+    };
+  }
+  return null;
+};
+
+// The audio frames of an MP3 file, without ID3v2/ID3v1/APE tags, the
+// Xing/Info/VBRI frame or a truncated last frame. Returns { tag, frames }
+// where each frame is a parsed header with its start offset, or null if
+// buffer isn't MPEG audio.
+export const readFrames = (buffer) => {
+  const start = findFrame(buffer, getId3v2Size(buffer));
+  if (start === -1) return null;
+
+  const first = parseFrameHeader(buffer, start);
+  const tag = readVbrTag(buffer, start, first);
+  let offset = tag ? start + first.frameLength : start;
+
+  const frames = [];
+  while (offset < buffer.length) {
+    const frame = parseFrameHeader(buffer, offset);
+    if (!frame) {
+      // Trailing tags or junk; resync if there is more audio
+      offset = findFrame(buffer, offset + 1);
+      if (offset === -1) break;
+      continue;
+    }
+    if (offset + frame.frameLength > buffer.length) break;
+
+    frames.push({ ...frame, start: offset });
+    offset += frame.frameLength;
+  }
+  return { tag, frames };
+};
+
+// Exact stream properties from the frames themselves. Returns { format,
+// duration (seconds), bitrate (kbps, averaged over the frames), sampleRate,
+// channels, frames, vbr } or null if buffer isn't MPEG audio.
+export const probeMp3 = (buffer) => {
+  const parsed = readFrames(buffer);
+  if (!parsed) return null;
+  const { tag } = parsed;
+  const first = parsed.frames[0];
+  if (!first) return null;
+
+  let frames = parsed.frames.length;
+  let samples = 0;
+  let bytes = 0;
+  let vbr = Boolean(tag?.vbr);
+  for (const frame of parsed.frames) {
+    vbr = vbr || frame.bitrate !== first.bitrate;
+    samples += frame.samplesPerFrame;
+    bytes += frame.frameLength;
+  }
+
+  // A truncated buffer still has the encoder's frame count in its tag
+  if (tag?.frames > frames) {
+    frames = tag.frames;
+    samples = frames * first.samplesPerFrame;
+    bytes = tag.bytes || bytes;
+  }
+
+  const duration = samples / first.sampleRate;
+  return {
+    format: "mp3",
+    duration: Math.round(duration * 1000) / 1000,
+    bitrate: vbr ? Math.round((bytes * 8) / duration / 1000) : first.bitrate,
+    sampleRate: first.sampleRate,
+    channels: first.channels,
+    frames,
+    vbr,
+  };
+};
+
+// Header for a frame like template's with no CRC or padding, at the given
+// bitrate index (template's own when omitted)
+const deriveHeader = (template, bitrateIndex) => {
+  let header = (template.header | 0x10000) & ~0x200;
+  if (bitrateIndex !== undefined) {
+    header = (header & ~0xf000) | (bitrateIndex << 12);
+  }
+  header >>>= 0;
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32BE(header);
+  return parseFrameHeader(bytes);
+};
+
+// Frames with an all-zero payload decode as silence. They copy the template
+// frame's version, layer, bitrate, sample rate and channels so players see
+// one consistent stream.
+export const createMp3Silence = (ms, template) => {
+  const frame = deriveHeader(template);
+  const count = Math.ceil(
+    (ms / 1000) * (frame.sampleRate / frame.samplesPerFrame)
+  );
+  const silence = Buffer.alloc(frame.frameLength * count);
+  for (let index = 0; index < count; index++) {
+    silence.writeUInt32BE(frame.header, index * frame.frameLength);
+  }
+  return silence;
+};
+
+const TOC_ENTRIES = 100;
+
+// A Xing ("Info" for constant bitrate) frame describing frames, the frame
+// lengths that follow it. Players use its frame count for the duration and
+// its table of contents to seek, which they otherwise guess from the first
+// frame's bitrate.
+export const createXingFrame = (template, frames) => {
+  const sideInfo = getSideInfoSize(template);
+  // Header, side info, tag id, flags, frame count, byte count and TOC
+  const needed = 4 + sideInfo + 16 + TOC_ENTRIES;
+  const bitrates = BITRATES[template.version === "1" ? 1 : 2][template.layer];
+
+  let frame = deriveHeader(template);
+  for (
+    let index = bitrates.indexOf(frame.bitrate);
+    frame.frameLength < needed && index < 14;
+    index++
+  ) {
+    frame = deriveHeader(template, index + 1);
+  }
+
+  const audioBytes = frames.reduce((sum, length) => sum + length, 0);
+  const totalBytes = frame.frameLength + audioBytes;
+  const vbr = frames.some((length) => length !== frames[0]);
+
+  const xing = Buffer.alloc(frame.frameLength);
+  xing.writeUInt32BE(frame.header, 0);
+  let offset = 4 + sideInfo;
+  xing.write(vbr ? "Xing" : "Info", offset, "latin1");
+  xing.writeUInt32BE(0x1 | 0x2 | 0x4, offset + 4);
+  xing.writeUInt32BE(frames.length, offset + 8);
+  xing.writeUInt32BE(totalBytes, offset + 12);
+  offset += 16;
+
+  // Entry i is the byte position of i% of the playing time, in 256ths of
+  // the file. Every frame has the same sample count.
+  let position = frame.frameLength;
+  let frameIndex = 0;
+  for (let entry = 0; entry < TOC_ENTRIES; entry++) {
+    const target = Math.floor((entry / TOC_ENTRIES) * frames.length);
+    while (frameIndex < target) position += frames[frameIndex++];
+    xing[offset + entry] = Math.min(
+      255,
+      Math.floor((position / totalBytes) * 256)
+    );
+  }
+
+  return xing;
+};
+
+// parts: MP3 buffers and { silence: ms } entries. Each buffer's tags and
+// Xing frame are dropped and only whole frames kept, so the result is one
+// continuous stream with a single Xing header for it.
+export const joinMp3 = (parts) => {
+  const streams = parts.map((part) => {
+    if (!Buffer.isBuffer(part)) return part;
+    const parsed = readFrames(part);
+    if (!parsed || parsed.frames.length === 0) {
+      throw new Error("No MPEG audio frames found");
+    }
+    return { buffer: part, frames: parsed.frames };
+  });
+
+  const first = streams.find((stream) => stream.frames);
+  if (!first) throw new Error("Nothing to join");
+  const template = first.frames[0];
+
+  const silenceLength = deriveHeader(template).frameLength;
+  const chunks = [];
+  const frameLengths = [];
+  for (const stream of streams) {
+    if (!stream.frames) {
+      const silence = createMp3Silence(stream.silence, template);
+      chunks.push(silence);
+      for (let index = 0; index < silence.length / silenceLength; index++) {
+        frameLengths.push(silenceLength);
+      }
+      continue;
+    }
+
+    const { sampleRate, channels, version, layer } = stream.frames[0];
+    if (
+      sampleRate !== template.sampleRate ||
+      channels !== template.channels ||
+      version !== template.version ||
+      layer !== template.layer
+    ) {
+      throw new Error("Can't join MP3 files with different formats");
+    }
+    for (const frame of stream.frames) {
+      chunks.push(
+        stream.buffer.subarray(frame.start, frame.start + frame.frameLength)
+      );
+      frameLengths.push(frame.frameLength);
+    }
+  }
+
+  return Buffer.concat([createXingFrame(template, frameLengths), ...chunks]);
+};
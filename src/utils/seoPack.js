@@ -0,0 +1,153 @@
+import { devanagariToRoman } from "./transliteration.js";
+
+// Search engines truncate beyond these lengths
+export const SEO_LIMITS = {
+  title: 60,
+  metaDescription: 155,
+  keywords: 10,
+};
+
+const squash = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+// Cut at the last word boundary that fits, marking the cut with an ellipsis
+const truncate = (text, limit) => {
+  if (text.length <= limit) return text;
+
+  const cut = text.slice(0, limit - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > limit / 2 ? cut.slice(0, lastSpace) : cut).replace(
+    /[\s,;:.–-]+$/,
+    ""
+  )}…`;
+};
+
+// Whole sentences up to the limit, falling back to a truncated first sentence
+const summarize = (text, limit) => {
+  const sentences = squash(text).match(/[^.!?।]+[.!?।]*/g) || [];
+  let summary = "";
+
+  for (const sentence of sentences) {
+    const next = squash(`${summary} ${sentence}`);
+    if (next.length > limit) break;
+    summary = next;
+  }
+
+  return summary || truncate(squash(text), limit);
+};
+
+// ASCII slug; Devanagari is transliterated so Nepali names still read well
+export const slugify = (text) =>
+  devanagariToRoman(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80)
+    .replace(/-+$/, "");
+
+const buildKeywords = (businessDetails, searchPhrases) => {
+  const { businessName, businessType, location } = businessDetails;
+  const seen = new Set();
+
+  return [
+    ...searchPhrases,
+    `${businessType} in ${location}`,
+    `${businessType} ${location}`,
+    businessName,
+  ]
+    .map((keyword) =>
+      squash(keyword.replace(/[^\p{L}\p{M}\p{N}\s'-]+/gu, " ")).toLowerCase()
+    )
+    .filter((keyword) => {
+      if (!keyword || seen.has(keyword)) return false;
+      seen.add(keyword);
+      return true;
+    })
+    .slice(0, SEO_LIMITS.keywords);
+};
+
+// Page title, meta description, slug, keywords and schema.org JSON-LD for a
+// ContentGeneration, built from its business details and current content
+export const buildSeoPack = (record) => {
+  const { businessDetails, structuredContent, generatedContent } = record;
+  const { businessName, businessType, location } = businessDetails;
+  const language = record.language || record.promptTemplate?.language || "en";
+  const story = structuredContent?.story || generatedContent || "";
+  const faq = structuredContent?.faq || [];
+
+  const metaDescription = summarize(story, SEO_LIMITS.metaDescription);
+
+  const localBusiness = {
+    "@context": "https://schema.org",
+    "@type": "LocalBusiness",
+    name: businessName,
+    description: metaDescription,
+    address: {
+      "@type": "PostalAddress",
+      addressLocality: location,
+      addressCountry: "NP",
+    },
+    ...(businessDetails.productsServices && {
+      makesOffer: businessDetails.productsServices
+        .split(/[,\n]/)
+        .map(squash)
+        .filter(Boolean)
+        .map((name) => ({
+          "@type": "Offer",
+          itemOffered: { "@type": "Thing", name },
+        })),
+    }),
+  };
+
+  const faqPage = faq.length
+    ? {
+        "@context": "https://schema.org",
+        "@type": "FAQPage",
+        inLanguage: language,
+        mainEntity: faq.map(({ question, answer }) => ({
+          "@type": "Question",
+          name: question,
+          acceptedAnswer: { "@type": "Answer", text: answer },
+        })),
+      }
+    : null;
+
+  return {
+    title: truncate(
+      squash(`${businessName} – ${businessType} in ${location}`),
+      SEO_LIMITS.title
+    ),
+    metaDescription,
+    slug: slugify(`${businessName} ${location}`),
+    keywords: buildKeywords(
+      businessDetails,
+      structuredContent?.searchPhrases || []
+    ),
+    language,
+    jsonLd: [localBusiness, faqPage].filter(Boolean),
+  };
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// <head> snippet the web team can paste as-is
+export const renderSeoPackHtml = (pack) =>
+  [
+    `<title>${escapeHtml(pack.title)}</title>`,
+    `<meta name="description" content="${escapeHtml(pack.metaDescription)}">`,
+    `<meta name="keywords" content="${escapeHtml(pack.keywords.join(", "))}">`,
+    ...pack.jsonLd.map(
+      (schema) =>
+        `<script type="application/ld+json">\n${JSON.stringify(
+          schema,
+          null,
+          2
+        ).replace(/</g, "\\u003c")}\n</script>`
+    ),
+  ].join("\n");
@@ -0,0 +1,617 @@
+import { integerToWords, dateToWords } from "./ttsNormalizer.js";
+
+// A subset of SSML for audio generation: <speak>, <break>, <emphasis>,
+// <say-as interpret-as="telephone|date|currency"> and <prosody rate>.
+// parseSsml() turns markup into a flat list of segments that engines either
+// receive back as SSML (toSsml) or have emulated (planSpeech).
+
+const ATTRIBUTES = {
+  speak: ["version", "xmlns", "xml:lang"],
+  break: ["time", "strength"],
+  emphasis: ["level"],
+  "say-as": ["interpret-as", "format"],
+  prosody: ["rate"],
+};
+
+const BREAK_STRENGTHS = {
+  none: 0,
+  "x-weak": 100,
+  weak: 250,
+  medium: 400,
+  strong: 700,
+  "x-strong": 1200,
+};
+const MAX_BREAK_MS = 10000;
+
+const RATES = {
+  "x-slow": 0.6,
+  slow: 0.8,
+  medium: 1,
+  fast: 1.25,
+  "x-fast": 1.5,
+};
+const MIN_RATE = 0.5;
+const MAX_RATE = 2;
+
+const EMPHASIS_LEVELS = ["strong", "moderate", "reduced", "none"];
+
+// How emphasis is emulated by engines without SSML: slower speech with a
+// short pause either side
+const EMPHASIS_EFFECTS = {
+  strong: { rate: 0.85, pause: 200 },
+  moderate: { rate: 0.92, pause: 100 },
+  reduced: { rate: 1.1, pause: 0 },
+  none: { rate: 1, pause: 0 },
+};
+
+const SAY_AS_TYPES = ["telephone", "date", "currency"];
+const DATE_FORMATS = ["ymd", "dmy", "mdy"];
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+// indian: amounts are read in lakhs and crores
+const CURRENCIES = {
+  NPR: {
+    indian: true,
+    symbols: ["rs.", "rs", "npr", "रु.", "रु", "रू", "₨"],
+    en: ["rupee", "rupees", "paisa", "paisa"],
+    ne: ["रुपैयाँ", "रुपैयाँ", "पैसा", "पैसा"],
+  },
+  INR: {
+    indian: true,
+    symbols: ["inr", "₹"],
+    en: ["Indian rupee", "Indian rupees", "paisa", "paisa"],
+    ne: ["भारतीय रुपैयाँ", "भारतीय रुपैयाँ", "पैसा", "पैसा"],
+  },
+  USD: {
+    symbols: ["usd", "us$", "$"],
+    en: ["dollar", "dollars", "cent", "cents"],
+    ne: ["डलर", "डलर", "सेन्ट", "सेन्ट"],
+  },
+  EUR: {
+    symbols: ["eur", "€"],
+    en: ["euro", "euros", "cent", "cents"],
+    ne: ["युरो", "युरो", "सेन्ट", "सेन्ट"],
+  },
+  GBP: {
+    symbols: ["gbp", "£"],
+    en: ["pound", "pounds", "penny", "pence"],
+    ne: ["पाउन्ड", "पाउन्ड", "पेनी", "पेन्स"],
+  },
+};
+
+export class SsmlError extends Error {
+  constructor(message, position) {
+    super(
+      position === undefined ? message : `${message} (at character ${position})`
+    );
+    this.name = "SsmlError";
+    this.position = position;
+  }
+}
+
+// Markup is treated as SSML when it is wrapped in <speak>
+export const isSsml = (text) =>
+  typeof text === "string" && /^\s*<speak[\s>]/.test(text);
+
+const decodeEntities = (text, position) =>
+  text.replace(/&(#x[\da-f]+|#\d+|\w+);|&/gi, (match, entity, offset) => {
+    if (!entity) {
+      throw new SsmlError(
+        'Unescaped "&" in text; write it as &amp;',
+        position + offset
+      );
+    }
+    if (entity.startsWith("#")) {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (!(entity in ENTITIES)) {
+      throw new SsmlError(`Unknown entity &${entity};`, position + offset);
+    }
+    return ENTITIES[entity];
+  });
+
+const escapeText = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const parseAttributes = (tag, source, position) => {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let rest = source;
+
+  for (const match of source.matchAll(pattern)) {
+    const [, name, double, single] = match;
+    if (!ATTRIBUTES[tag].includes(name)) {
+      throw new SsmlError(
+        `Unsupported attribute "${name}" on <${tag}>`,
+        position
+      );
+    }
+    attributes[name] = decodeEntities(double ?? single, position).trim();
+    rest = rest.replace(match[0], "");
+  }
+
+  if (rest.trim()) {
+    throw new SsmlError(`Malformed attributes on <${tag}>`, position);
+  }
+  return attributes;
+};
+
+const parseBreak = ({ time, strength }, position) => {
+  if (time !== undefined) {
+    const match = time.match(/^(\d+(?:\.\d+)?)(ms|s)$/);
+    if (!match) {
+      throw new SsmlError(
+        `Invalid break time "${time}"; use milliseconds or seconds, e.g. "500ms" or "2s"`,
+        position
+      );
+    }
+    const ms = Math.round(parseFloat(match[1]) * (match[2] === "s" ? 1000 : 1));
+    if (ms > MAX_BREAK_MS) {
+      throw new SsmlError(
+        `Break time "${time}" is longer than ${MAX_BREAK_MS / 1000}s`,
+        position
+      );
+    }
+    return ms;
+  }
+
+  if (strength !== undefined && !(strength in BREAK_STRENGTHS)) {
+    throw new SsmlError(
+      `Invalid break strength "${strength}"; use one of ${Object.keys(
+        BREAK_STRENGTHS
+      ).join(", ")}`,
+      position
+    );
+  }
+  return BREAK_STRENGTHS[strength ?? "medium"];
+};
+
+const parseRate = (rate, position) => {
+  if (rate in RATES) return RATES[rate];
+
+  const match = rate?.match(/^(\d+(?:\.\d+)?)%$/);
+  const value = match ? parseFloat(match[1]) / 100 : NaN;
+  if (!(value >= MIN_RATE && value <= MAX_RATE)) {
+    throw new SsmlError(
+      `Invalid prosody rate "${rate}"; use ${Object.keys(RATES).join(
+        ", "
+      )} or a percentage between ${MIN_RATE * 100}% and ${MAX_RATE * 100}%`,
+      position
+    );
+  }
+  return value;
+};
+
+const parseDate = (text, format) => {
+  const parts = text.trim().match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})$/);
+  if (!parts) return null;
+
+  // ISO dates (four-digit first part) are ymd whatever format says
+  const order = parts[1].length === 4 ? "ymd" : format || "dmy";
+  const values = {};
+  [...order].forEach((field, index) => {
+    values[field] = parseInt(parts[index + 1], 10);
+  });
+
+  const { y: year, m: month, d: day } = values;
+  // Bikram Sambat months run to 32 days; dateToWords knows the calendars
+  if (year < 1000 || dateToWords({ year, month, day }) === null) {
+    return null;
+  }
+  return { year, month, day };
+};
+
+const parseCurrency = (text) => {
+  const value = text.trim().replace(/\s+/g, " ");
+  const amountPattern = /(\d{1,3}(?:,\d{2,3})*|\d+)(?:\.(\d{1,2}))?/;
+
+  for (const [code, { symbols }] of Object.entries(CURRENCIES)) {
+    for (const symbol of symbols) {
+      const lower = value.toLowerCase();
+      let amount = null;
+      if (lower.startsWith(symbol)) {
+        amount = value.slice(symbol.length).trim();
+      } else if (lower.endsWith(symbol)) {
+        amount = value.slice(0, -symbol.length).trim();
+      }
+
+      const match = amount?.match(new RegExp(`^${amountPattern.source}$`));
+      if (match) {
+        return {
+          currency: code,
+          major: match[1].replace(/,/g, ""),
+          minor: match[2] ? match[2].padEnd(2, "0") : null,
+        };
+      }
+    }
+  }
+
+  // A bare amount is in Nepali rupees
+  const bare = value.match(new RegExp(`^${amountPattern.source}$`));
+  return bare
+    ? {
+        currency: "NPR",
+        major: bare[1].replace(/,/g, ""),
+        minor: bare[2] ? bare[2].padEnd(2, "0") : null,
+      }
+    : null;
+};
+
+const validateSayAs = ({ interpretAs, format }, text, position) => {
+  const valid = {
+    telephone: () => /^\+?[\d\s().-]+$/.test(text.trim()) && /\d/.test(text),
+    date: () => parseDate(text, format) !== null,
+    currency: () => parseCurrency(text) !== null,
+  }[interpretAs]();
+
+  if (!valid) {
+    throw new SsmlError(
+      `"${text.trim()}" is not a valid ${interpretAs} for <say-as>`,
+      position
+    );
+  }
+};
+
+// Returns { segments } where a segment is { type: "break", time } or
+// { type: "text", text, rate, emphasis, sayAs }. Throws SsmlError. With
+// inline, markup without a <speak> wrapper is accepted too.
+export const parseSsml = (markup, { inline = false } = {}) => {
+  if (typeof markup !== "string") {
+    throw new SsmlError("SSML must be a string");
+  }
+
+  const segments = [];
+  const stack = [];
+  let sayAs = null;
+  let position = 0;
+  let sawSpeak = inline && !isSsml(markup);
+  let closedSpeak = false;
+
+  const context = () => {
+    const rate = stack.reduce((total, element) => total * element.rate, 1);
+    const emphasis =
+      [...stack].reverse().find((element) => element.emphasis)?.emphasis ||
+      null;
+    return { rate, emphasis };
+  };
+
+  const addText = (raw, at) => {
+    if (!raw) return;
+    if (closedSpeak && raw.trim()) {
+      throw new SsmlError("Text after </speak>", at);
+    }
+    const text = decodeEntities(raw, at);
+    if (sayAs) {
+      sayAs.text += text;
+    } else if (text) {
+      segments.push({ type: "text", text, ...context(), sayAs: null });
+    }
+  };
+
+  while (position < markup.length) {
+    const start = markup.indexOf("<", position);
+    if (start === -1) {
+      addText(markup.slice(position), position);
+      break;
+    }
+    addText(markup.slice(position, start), position);
+
+    if (markup.startsWith("<!--", start)) {
+      const end = markup.indexOf("-->", start + 4);
+      if (end === -1) throw new SsmlError("Unclosed comment", start);
+      position = end + 3;
+      continue;
+    }
+    if (markup.startsWith("<?", start)) {
+      const end = markup.indexOf("?>", start + 2);
+      if (end === -1) throw new SsmlError("Unclosed declaration", start);
+      position = end + 2;
+      continue;
+    }
+
+    const end = markup.indexOf(">", start);
+    const nextOpen = markup.indexOf("<", start + 1);
+    if (end === -1 || (nextOpen !== -1 && nextOpen < end)) {
+      throw new SsmlError(
+        'Unterminated tag; write a literal "<" as &lt;',
+        start
+      );
+    }
+    position = end + 1;
+
+    const tag = markup
+      .slice(start + 1, end)
+      .match(/^(\/?)([a-zA-Z][\w:-]*)([\s\S]*?)(\/?)\s*$/);
+    if (!tag) {
+      throw new SsmlError('Malformed tag; write a literal "<" as &lt;', start);
+    }
+    const [, closing, name, attributeSource, selfClosing] = tag;
+
+    if (!(name in ATTRIBUTES)) {
+      throw new SsmlError(
+        `Unsupported tag <${name}>; use ${Object.keys(ATTRIBUTES)
+          .map((known) => `<${known}>`)
+          .join(", ")}`,
+        start
+      );
+    }
+    if (sayAs && !(closing && name === "say-as")) {
+      throw new SsmlError("<say-as> may only contain text", start);
+    }
+    if (closedSpeak) {
+      throw new SsmlError("Markup after </speak>", start);
+    }
+
+    if (closing) {
+      if (attributeSource.trim() || selfClosing) {
+        throw new SsmlError(`Malformed closing tag </${name}>`, start);
+      }
+      const open = stack.pop();
+      if (!open || open.name !== name) {
+        throw new SsmlError(
+          open
+            ? `Expected </${open.name}> but found </${name}>`
+            : `Unexpected closing tag </${name}>`,
+          start
+        );
+      }
+
+      if (name === "say-as") {
+        validateSayAs(sayAs, sayAs.text, sayAs.position);
+        segments.push({
+          type: "text",
+          text: sayAs.text.trim(),
+          ...context(),
+          sayAs: { interpretAs: sayAs.interpretAs, format: sayAs.format },
+        });
+        sayAs = null;
+      }
+      if (name === "speak") closedSpeak = true;
+      continue;
+    }
+
+    const attributes = parseAttributes(name, attributeSource, start);
+
+    if (name === "speak") {
+      if (
+        sawSpeak ||
+        stack.length > 0 ||
+        segments.some((s) => s.text?.trim())
+      ) {
+        throw new SsmlError("<speak> must wrap the whole document", start);
+      }
+      sawSpeak = true;
+    } else if (!sawSpeak) {
+      throw new SsmlError("SSML must start with <speak>", start);
+    }
+
+    if (name === "break") {
+      if (!selfClosing) {
+        throw new SsmlError("<break> must be self-closing: <break/>", start);
+      }
+      segments.push({ type: "break", time: parseBreak(attributes, start) });
+      continue;
+    }
+    if (selfClosing) {
+      throw new SsmlError(`<${name}> can't be self-closing`, start);
+    }
+
+    const element = { name, rate: 1, emphasis: null };
+    if (name === "emphasis") {
+      const level = attributes.level ?? "moderate";
+      if (!EMPHASIS_LEVELS.includes(level)) {
+        throw new SsmlError(
+          `Invalid emphasis level "${level}"; use one of ${EMPHASIS_LEVELS.join(
+            ", "
+          )}`,
+          start
+        );
+      }
+      element.emphasis = level;
+    }
+    if (name === "prosody") {
+      if (attributes.rate === undefined) {
+        throw new SsmlError("<prosody> needs a rate attribute", start);
+      }
+      element.rate = parseRate(attributes.rate, start);
+    }
+    if (name === "say-as") {
+      const interpretAs = attributes["interpret-as"];
+      if (!SAY_AS_TYPES.includes(interpretAs)) {
+        throw new SsmlError(
+          `<say-as> interpret-as must be one of ${SAY_AS_TYPES.join(", ")}`,
+          start
+        );
+      }
+      if (attributes.format && !DATE_FORMATS.includes(attributes.format)) {
+        throw new SsmlError(
+          `Invalid <say-as> format "${
+            attributes.format
+          }"; use one of ${DATE_FORMATS.join(", ")}`,
+          start
+        );
+      }
+      sayAs = {
+        interpretAs,
+        format: attributes.format || null,
+        text: "",
+        position: start,
+      };
+    }
+    stack.push(element);
+  }
+
+  if (stack.length > 0) {
+    throw new SsmlError(`Unclosed <${stack[stack.length - 1].name}> tag`);
+  }
+  if (!sawSpeak) {
+    throw new SsmlError("SSML must start with <speak>");
+  }
+  if (!segments.some((segment) => segment.text?.trim())) {
+    throw new SsmlError("SSML contains no text to speak");
+  }
+
+  return { segments };
+};
+
+const spellDigits = (digits) => [...digits].join(" ");
+
+const renderTelephone = (text, language) => {
+  const plus = text.trim().startsWith("+");
+  const groups = text.match(/\d+/g);
+  const spoken = groups.map(spellDigits).join(", ");
+  return plus ? `${language === "ne" ? "प्लस" : "plus"} ${spoken}` : spoken;
+};
+
+// Bikram Sambat or Gregorian, by the year, as ttsNormalizer reads dates
+const renderDate = (text, format, language) =>
+  dateToWords(parseDate(text, format), language);
+
+const renderCurrency = (text, language) => {
+  const { currency, major, minor } = parseCurrency(text);
+  const { indian, ...names } = CURRENCIES[currency];
+  const [one, many, minorOne, minorMany] =
+    names[language === "ne" ? "ne" : "en"];
+  const majorText = `${integerToWords(
+    Number(major),
+    language,
+    indian ? "indian" : "western"
+  )} ${major === "1" ? one : many}`;
+
+  const minorValue = minor ? parseInt(minor, 10) : 0;
+  if (!minorValue) return majorText;
+  const minorText = `${integerToWords(minorValue, language)} ${
+    minorValue === 1 ? minorOne : minorMany
+  }`;
+  return language === "ne"
+    ? `${majorText} ${minorText}`
+    : `${majorText} and ${minorText}`;
+};
+
+// Spoken form of a segment's text; language is "en" or "ne"
+export const renderSegmentText = (segment, language = "en") => {
+  if (!segment.sayAs) return segment.text;
+
+  const { interpretAs, format } = segment.sayAs;
+  if (interpretAs === "telephone")
+    return renderTelephone(segment.text, language);
+  if (interpretAs === "date") return renderDate(segment.text, format, language);
+  return renderCurrency(segment.text, language);
+};
+
+const tidy = (text) =>
+  text
+    .replace(/\s+/g, " ")
+    .replace(/\s+([,.!?।])/g, "$1")
+    .trim();
+
+// Plain text of the document, for length checks and duration estimates
+export const ssmlToText = (document, language = "en") =>
+  tidy(
+    document.segments
+      .filter((segment) => segment.type === "text")
+      .map((segment) => renderSegmentText(segment, language))
+      .join(" ")
+  );
+
+export const getBreakTime = (document) =>
+  document.segments
+    .filter((segment) => segment.type === "break")
+    .reduce((total, segment) => total + segment.time, 0);
+
+// SSML for engines that render it themselves. say-as is expanded here since
+// engines disagree on which interpret-as values they know.
+export const toSsml = (document, language = "en") => {
+  const body = document.segments
+    .map((segment) => {
+      if (segment.type === "break") {
+        return `<break time="${segment.time}ms"/>`;
+      }
+
+      let text = escapeText(renderSegmentText(segment, language));
+      if (segment.emphasis) {
+        text = `<emphasis level="${segment.emphasis}">${text}</emphasis>`;
+      }
+      if (segment.rate !== 1) {
+        text = `<prosody rate="${Math.round(
+          segment.rate * 100
+        )}%">${text}</prosody>`;
+      }
+      return text;
+    })
+    .join("");
+
+  return `<speak>${body}</speak>`;
+};
+
+// Emulation for engines without SSML: a list of { text, rate } pieces to
+// synthesize separately and { pause } silences (ms) to put between them
+export const planSpeech = (document, language = "en") => {
+  const plan = [];
+  const addPause = (ms) => {
+    if (ms <= 0) return;
+    const last = plan[plan.length - 1];
+    if (last && "pause" in last) last.pause += ms;
+    else plan.push({ pause: ms });
+  };
+
+  for (const segment of document.segments) {
+    if (segment.type === "break") {
+      addPause(segment.time);
+      continue;
+    }
+
+    const text = renderSegmentText(segment, language);
+    if (!text.trim()) continue;
+
+    // Punctuation after a tag belongs to the speech before it
+    const last = plan[plan.length - 1];
+    if (/^[\s,.!?;:।]+$/.test(text)) {
+      if (last && "text" in last) last.text += text;
+      continue;
+    }
+
+    const effect = EMPHASIS_EFFECTS[segment.emphasis || "none"];
+    const rate = segment.rate * effect.rate;
+    addPause(effect.pause);
+
+    const previous = plan[plan.length - 1];
+    if (previous && "text" in previous && previous.rate === rate) {
+      previous.text += ` ${text}`;
+    } else {
+      plan.push({ text, rate });
+    }
+    addPause(effect.pause);
+  }
+
+  return plan
+    .map((item) => ("text" in item ? { ...item, text: tidy(item.text) } : item))
+    .filter((item) => !("text" in item) || item.text);
+};
+
+// Apply fn (e.g. text cleaning) to every plain text segment. Whitespace at
+// a segment's edges is kept, since it separates words from the next tag.
+export const mapSsmlText = (document, fn) => ({
+  segments: document.segments.map((segment) => {
+    if (segment.type !== "text" || segment.sayAs) return segment;
+
+    const text = fn(segment.text);
+    if (!text) {
+      return { ...segment, text: /\s/.test(segment.text) ? " " : "" };
+    }
+    const before = /^\s/.test(segment.text) ? " " : "";
+    const after = /\s$/.test(segment.text) ? " " : "";
+    return { ...segment, text: `${before}${text}${after}` };
+  }),
+});
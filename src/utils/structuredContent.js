@@ -0,0 +1,156 @@
+import { buildStructuredContentSchema } from "./validation.js";
+
+// Section markers the prompts ask the model to use
+export const SECTION_MARKERS = {
+  story: "[STORY]",
+  faq: "[FAQ]",
+  searchPhrases: "[SEARCH PHRASES]",
+};
+
+// Instructions appended to every generation prompt so the output can be parsed
+export const STRUCTURE_INSTRUCTIONS = `Format your answer in exactly three sections, each starting with its marker on its own line:
+${SECTION_MARKERS.story}
+The main text (story, description or introduction) as flowing paragraphs.
+${SECTION_MARKERS.faq}
+Q: first customer question
+A: its answer
+(repeat Q:/A: for every question)
+${SECTION_MARKERS.searchPhrases}
+One search phrase per line.
+Keep the markers and the Q:/A: labels in English even when writing in another language. Do not add anything before the first marker.`;
+
+// Matches "[STORY]", "## Story", "**FAQ:**" and similar header lines
+const headerPattern = (name) =>
+  new RegExp(
+    `^\\s*(?:#{1,6}\\s*)?[*_]*\\[?\\s*${name}\\s*\\]?[*_]*\\s*:?[*_]*\\s*$`,
+    "im"
+  );
+
+const HEADERS = {
+  story: headerPattern("story"),
+  faq: headerPattern("(?:faq|faqs|questions(?: and answers)?)"),
+  searchPhrases: headerPattern("search phrases"),
+};
+
+const stripListMarker = (line) =>
+  line
+    .replace(/^\s*(?:[-•*]|\d+[.)])\s*/, "")
+    .replace(/^["“]|["”]$/g, "")
+    .trim();
+
+const parseFaq = (text) => {
+  const faq = [];
+  let current = null;
+
+  for (const rawLine of text.split("\n")) {
+    const line = stripListMarker(rawLine.replace(/[*_]{2}/g, ""));
+    if (!line) continue;
+
+    const question = line.match(/^(?:Q|Question)\s*\d*\s*[:.)-]\s*(.+)$/i);
+    const answer = line.match(/^(?:A|Answer)\s*\d*\s*[:.)-]\s*(.+)$/i);
+
+    if (question) {
+      current = { question: question[1].trim(), answer: "" };
+      faq.push(current);
+    } else if (answer && current) {
+      current.answer = answer[1].trim();
+    } else if (current?.answer) {
+      // Answers sometimes wrap onto several lines
+      current.answer += ` ${line}`;
+    }
+  }
+
+  return faq;
+};
+
+// Parse sectioned model output into { story, faq, searchPhrases }.
+// requirements: { minStoryLength, minFaq, minSearchPhrases }
+// Returns { value } on success or { error } describing what is wrong.
+export const parseStructuredContent = (text, requirements = {}) => {
+  if (!text || typeof text !== "string") {
+    return { error: "Empty response" };
+  }
+
+  const positions = Object.entries(HEADERS)
+    .map(([key, pattern]) => {
+      const match = pattern.exec(text);
+      return (
+        match && { key, start: match.index, end: match.index + match[0].length }
+      );
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  const missing = Object.keys(HEADERS).filter(
+    (key) => !positions.some((position) => position.key === key)
+  );
+  if (missing.length > 0) {
+    return { error: `Missing section(s): ${missing.join(", ")}` };
+  }
+
+  const sections = {};
+  positions.forEach((position, index) => {
+    const next = positions[index + 1];
+    sections[position.key] = text
+      .slice(position.end, next ? next.start : text.length)
+      .trim();
+  });
+
+  const value = {
+    story: sections.story.replace(/\n{3,}/g, "\n\n"),
+    faq: parseFaq(sections.faq),
+    searchPhrases: sections.searchPhrases
+      .split("\n")
+      .map(stripListMarker)
+      .filter(Boolean),
+  };
+
+  const { error } = buildStructuredContentSchema(requirements).validate(value);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+
+  return { value };
+};
+
+// Apply fn to every piece of text, e.g. to transliterate the whole thing
+export const mapStructuredContent = (
+  { story, faq = [], searchPhrases = [] },
+  fn
+) => ({
+  story: fn(story),
+  faq: faq.map(({ question, answer }) => ({
+    question: fn(question),
+    answer: fn(answer),
+  })),
+  searchPhrases: searchPhrases.map(fn),
+});
+
+// Inverse of parseStructuredContent: back to the marker format the model uses
+export const serializeStructuredContent = ({
+  story,
+  faq = [],
+  searchPhrases = [],
+}) =>
+  [
+    SECTION_MARKERS.story,
+    story,
+    SECTION_MARKERS.faq,
+    ...faq.map(({ question, answer }) => `Q: ${question}\nA: ${answer}`),
+    SECTION_MARKERS.searchPhrases,
+    ...searchPhrases,
+  ].join("\n");
+
+// Flatten structured content back into narration-friendly plain text
+export const formatStructuredContent = ({
+  story,
+  faq = [],
+  searchPhrases = [],
+}) =>
+  [
+    story,
+    ...faq.map(({ question, answer }) => `${question}\n${answer}`),
+    searchPhrases.join("\n"),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
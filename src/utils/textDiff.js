@@ -0,0 +1,68 @@
+// Word-level diff between two texts using a longest-common-subsequence table.
+// Returns runs of { type: "equal" | "added" | "removed", text } plus counts.
+
+// Keep whitespace as separate tokens so joined runs reproduce the original text
+const tokenize = (text) => (text || "").split(/(\s+)/).filter(Boolean);
+
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  const push = (type, text) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      changes.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  const countWords = (type) =>
+    changes
+      .filter((change) => change.type === type)
+      .reduce(
+        (sum, change) =>
+          sum + change.text.trim().split(/\s+/).filter(Boolean).length,
+        0
+      );
+
+  return {
+    changes,
+    stats: {
+      added: countWords("added"),
+      removed: countWords("removed"),
+      unchanged: countWords("equal"),
+    },
+  };
+};
@@ -0,0 +1,283 @@
+// Deterministic Devanagari <-> Roman transliteration for Nepali, using the
+// informal spelling people type on social media and in search ("nepal",
+// "pasal", "dhanyabad") rather than IAST diacritics. Both directions are
+// lossy (आ and अ both become "a"), so common words come from a fixed table.
+
+// Whole words with an established Roman spelling, checked before the rules
+export const KNOWN_WORDS = {
+  नेपाल: "nepal",
+  काठमाडौं: "kathmandu",
+  काठमाण्डौ: "kathmandu",
+  पोखरा: "pokhara",
+  ललितपुर: "lalitpur",
+  भक्तपुर: "bhaktapur",
+  चितवन: "chitwan",
+  विराटनगर: "biratnagar",
+  नमस्ते: "namaste",
+  धन्यवाद: "dhanyabad",
+  छ: "cha",
+  छन्: "chan",
+  हो: "ho",
+  र: "ra",
+  को: "ko",
+  का: "ka",
+  की: "ki",
+  मा: "ma",
+  पनि: "pani",
+  हाम्रो: "hamro",
+  राम्रो: "ramro",
+  तपाईं: "tapai",
+  सेवा: "sewa",
+  होटल: "hotel",
+  मोमो: "momo",
+  चिया: "chiya",
+  खाना: "khana",
+  पसल: "pasal",
+  दशैं: "dashain",
+  तिहार: "tihar",
+  ग्राहक: "grahak",
+  व्यापार: "byapar",
+};
+
+// Roman spelling -> Devanagari, first entry wins for duplicate spellings
+const KNOWN_ROMAN_WORDS = Object.entries(KNOWN_WORDS).reduce(
+  (words, [devanagari, roman]) => {
+    if (!words[roman]) words[roman] = devanagari;
+    return words;
+  },
+  {}
+);
+
+const CONSONANTS = {
+  क: "k",
+  ख: "kh",
+  ग: "g",
+  घ: "gh",
+  ङ: "ng",
+  च: "ch",
+  छ: "chh",
+  ज: "j",
+  झ: "jh",
+  ञ: "ny",
+  ट: "t",
+  ठ: "th",
+  ड: "d",
+  ढ: "dh",
+  ण: "n",
+  त: "t",
+  थ: "th",
+  द: "d",
+  ध: "dh",
+  न: "n",
+  प: "p",
+  फ: "ph",
+  ब: "b",
+  भ: "bh",
+  म: "m",
+  य: "y",
+  र: "r",
+  ल: "l",
+  व: "w",
+  श: "sh",
+  ष: "sh",
+  स: "s",
+  ह: "h",
+};
+
+const VOWELS = {
+  अ: "a",
+  आ: "a",
+  इ: "i",
+  ई: "i",
+  उ: "u",
+  ऊ: "u",
+  ऋ: "ri",
+  ए: "e",
+  ऐ: "ai",
+  ओ: "o",
+  औ: "au",
+};
+
+const VOWEL_SIGNS = {
+  "ा": "a",
+  "ि": "i",
+  "ी": "i",
+  "ु": "u",
+  "ू": "u",
+  "ृ": "ri",
+  "े": "e",
+  "ै": "ai",
+  "ो": "o",
+  "ौ": "au",
+  "ॅ": "e",
+  "ॉ": "o",
+};
+
+const VIRAMA = "्";
+const NUKTA = "़";
+const ANUSVARA = "ं";
+const CHANDRABINDU = "ँ";
+const VISARGA = "ः";
+
+const DEVANAGARI_DIGITS = "०१२३४५६७८९";
+
+// Letters and signs only; danda and digits are handled separately
+const DEVANAGARI_WORD = /[\u0900-\u0963\u0971-\u097f]+/g;
+
+// One word of Devanagari. An unmarked consonant carries an inherent "a",
+// which Nepali drops at the end of a multi-syllable word ("घर" -> "ghar")
+// unless the word ends in a conjunct ("गर्छ" -> "garchha").
+const romanizeWord = (word) => {
+  if (KNOWN_WORDS[word]) return KNOWN_WORDS[word];
+
+  const chars = [
+    ...word.replace(/ज्ञ/g, "ग्य").replace(new RegExp(NUKTA, "g"), ""),
+  ];
+  const syllables = chars.filter(
+    (char) => CONSONANTS[char] || VOWELS[char]
+  ).length;
+  let result = "";
+
+  chars.forEach((char, index) => {
+    const next = chars[index + 1];
+
+    if (CONSONANTS[char]) {
+      result += CONSONANTS[char];
+
+      if (next === VIRAMA || VOWEL_SIGNS[next]) return;
+
+      const endsWord =
+        !CONSONANTS[next] &&
+        !VOWELS[next] &&
+        ![ANUSVARA, CHANDRABINDU, VISARGA].includes(next);
+      const inConjunct = chars[index - 1] === VIRAMA;
+
+      if (!endsWord || syllables === 1 || inConjunct) {
+        result += "a";
+      }
+    } else if (VOWELS[char]) {
+      result += VOWELS[char];
+    } else if (VOWEL_SIGNS[char]) {
+      result += VOWEL_SIGNS[char];
+    } else if (char === ANUSVARA) {
+      // Nasal takes the place of articulation of what follows
+      result += ["प", "फ", "ब", "भ", "म"].includes(next) ? "m" : "n";
+    } else if (char === CHANDRABINDU) {
+      result += "n";
+    } else if (char === VISARGA) {
+      result += "h";
+    } else if (char === "ॐ") {
+      result += "om";
+    } else if (char !== VIRAMA && char !== "ऽ") {
+      result += char;
+    }
+  });
+
+  return result;
+};
+
+// Devanagari -> Roman. Text in other scripts passes through unchanged.
+export const devanagariToRoman = (text) =>
+  (text || "")
+    .replace(DEVANAGARI_WORD, romanizeWord)
+    .replace(/[०-९]/g, (digit) => DEVANAGARI_DIGITS.indexOf(digit))
+    .replace(/[।॥]/g, ".");
+
+// Longest spellings first so "chh" wins over "ch" and "aa" over "a"
+const ROMAN_CONSONANTS = [
+  ["chh", "छ"],
+  ["kh", "ख"],
+  ["gh", "घ"],
+  ["ch", "च"],
+  ["jh", "झ"],
+  ["th", "थ"],
+  ["dh", "ध"],
+  ["ph", "फ"],
+  ["bh", "भ"],
+  ["sh", "श"],
+  ["k", "क"],
+  ["g", "ग"],
+  ["c", "क"],
+  ["j", "ज"],
+  ["t", "त"],
+  ["d", "द"],
+  ["n", "न"],
+  ["p", "प"],
+  ["f", "फ"],
+  ["b", "ब"],
+  ["m", "म"],
+  ["y", "य"],
+  ["r", "र"],
+  ["l", "ल"],
+  ["w", "व"],
+  ["v", "व"],
+  ["s", "स"],
+  ["h", "ह"],
+  ["z", "ज"],
+  ["q", "क"],
+  ["x", "क्स"],
+];
+
+// [spelling, independent vowel, vowel sign]; "a" after a consonant is inherent
+const ROMAN_VOWELS = [
+  ["aa", "आ", "ा"],
+  ["ai", "ऐ", "ै"],
+  ["au", "औ", "ौ"],
+  ["ee", "ई", "ी"],
+  ["oo", "ऊ", "ू"],
+  ["a", "अ", ""],
+  ["i", "इ", "ि"],
+  ["u", "उ", "ु"],
+  ["e", "ए", "े"],
+  ["o", "ओ", "ो"],
+];
+
+const matchAt = (table, word, index) =>
+  table.find(([spelling]) => word.startsWith(spelling, index));
+
+// One lowercase Roman word. A final "a" is read as आ, since Romanized Nepali
+// only writes a final vowel when it is pronounced ("pokhara" -> "पोखरा").
+const devanagarizeWord = (word) => {
+  if (KNOWN_ROMAN_WORDS[word]) return KNOWN_ROMAN_WORDS[word];
+
+  let result = "";
+  let index = 0;
+  let afterConsonant = false;
+
+  while (index < word.length) {
+    const consonant = matchAt(ROMAN_CONSONANTS, word, index);
+    if (consonant) {
+      if (afterConsonant) result += VIRAMA;
+      result += consonant[1];
+      index += consonant[0].length;
+      afterConsonant = true;
+      continue;
+    }
+
+    const vowel = matchAt(ROMAN_VOWELS, word, index);
+    if (vowel) {
+      index += vowel[0].length;
+      if (!afterConsonant) {
+        result += vowel[1];
+      } else if (vowel[0] === "a" && index === word.length) {
+        result += "ा";
+      } else {
+        result += vowel[2];
+      }
+      afterConsonant = false;
+      continue;
+    }
+
+    result += word[index];
+    index += 1;
+    afterConsonant = false;
+  }
+
+  return result;
+};
+
+// Roman -> Devanagari. Sentence-ending full stops become "।".
+export const romanToDevanagari = (text) =>
+  (text || "")
+    .replace(/[a-z]+/gi, (word) => devanagarizeWord(word.toLowerCase()))
+    .replace(/\.(?=\s|$)/g, "।");
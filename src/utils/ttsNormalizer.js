@@ -0,0 +1,617 @@
+// Rewrites numbers, money, dates, times, phone numbers and abbreviations as
+// words so TTS engines don't have to guess how to read them. language "en"
+// produces English words, "ne" Devanagari Nepali.
+
+const EN_ONES = [
+  "zero",
+  "one",
+  "two",
+  "three",
+  "four",
+  "five",
+  "six",
+  "seven",
+  "eight",
+  "nine",
+  "ten",
+  "eleven",
+  "twelve",
+  "thirteen",
+  "fourteen",
+  "fifteen",
+  "sixteen",
+  "seventeen",
+  "eighteen",
+  "nineteen",
+];
+const EN_TENS = [
+  "",
+  "",
+  "twenty",
+  "thirty",
+  "forty",
+  "fifty",
+  "sixty",
+  "seventy",
+  "eighty",
+  "ninety",
+];
+
+// Nepali numbers below 100 don't follow a pattern, so they are listed
+const NE_UNDER_100 = (
+  "शून्य एक दुई तीन चार पाँच छ सात आठ नौ " +
+  "दस एघार बाह्र तेह्र चौध पन्ध्र सोह्र सत्र अठार उन्नाइस " +
+  "बीस एक्काइस बाइस तेइस चौबिस पच्चिस छब्बिस सत्ताइस अट्ठाइस उनन्तिस " +
+  "तिस एकतिस बत्तिस तेत्तिस चौँतिस पैँतिस छत्तिस सैँतिस अठतिस उनन्चालिस " +
+  "चालिस एकचालिस बयालिस त्रिचालिस चवालिस पैँतालिस छयालिस सतचालिस अठचालिस उनन्पचास " +
+  "पचास एकाउन्न बाउन्न त्रिपन्न चउन्न पचपन्न छपन्न सन्ताउन्न अन्ठाउन्न उनन्साठी " +
+  "साठी एकसट्ठी बयसट्ठी त्रिसट्ठी चौसट्ठी पैँसट्ठी छयसट्ठी सतसट्ठी अठसट्ठी उनन्सत्तरी " +
+  "सत्तरी एकहत्तर बहत्तर त्रिहत्तर चौहत्तर पचहत्तर छयहत्तर सतहत्तर अठहत्तर उनासी " +
+  "असी एकासी बयासी त्रियासी चौरासी पचासी छयासी सतासी अठासी उनान्नब्बे " +
+  "नब्बे एकान्नब्बे बयान्नब्बे त्रियान्नब्बे चौरान्नब्बे पन्चानब्बे छयान्नब्बे सन्तान्नब्बे अन्ठान्नब्बे उनान्सय"
+).split(" ");
+
+const EN_WESTERN_SCALES = [
+  [1e12, "trillion"],
+  [1e9, "billion"],
+  [1e6, "million"],
+  [1e3, "thousand"],
+];
+const EN_INDIAN_SCALES = [
+  [1e7, "crore"],
+  [1e5, "lakh"],
+  [1e3, "thousand"],
+];
+const NE_SCALES = [
+  [1e11, "खर्ब"],
+  [1e9, "अर्ब"],
+  [1e7, "करोड"],
+  [1e5, "लाख"],
+  [1e3, "हजार"],
+  [100, "सय"],
+];
+
+const DEVANAGARI_DIGITS = "०१२३४५६७८९";
+
+const EN_MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+const NE_MONTHS = [
+  "जनवरी",
+  "फेब्रुअरी",
+  "मार्च",
+  "अप्रिल",
+  "मे",
+  "जुन",
+  "जुलाई",
+  "अगस्ट",
+  "सेप्टेम्बर",
+  "अक्टोबर",
+  "नोभेम्बर",
+  "डिसेम्बर",
+];
+// Bikram Sambat months
+const BS_MONTHS = {
+  en: [
+    "Baishakh",
+    "Jestha",
+    "Asar",
+    "Shrawan",
+    "Bhadra",
+    "Asoj",
+    "Kartik",
+    "Mangsir",
+    "Poush",
+    "Magh",
+    "Falgun",
+    "Chaitra",
+  ],
+  ne: [
+    "वैशाख",
+    "जेठ",
+    "असार",
+    "साउन",
+    "भदौ",
+    "असोज",
+    "कात्तिक",
+    "मंसिर",
+    "पुस",
+    "माघ",
+    "फागुन",
+    "चैत",
+  ],
+};
+// Years from here on without an era marker are read as Bikram Sambat; the
+// Gregorian calendar won't reach them for decades
+const BS_YEAR_THRESHOLD = 2061;
+
+const CURRENCIES = [
+  {
+    pattern: "Rs\\.?|NPR|रु\\.?|रू\\.?|₨|ने\\.\\s?रु\\.?",
+    indian: true,
+    en: ["rupee", "rupees", "paisa", "paisa"],
+    ne: ["रुपैयाँ", "रुपैयाँ", "पैसा", "पैसा"],
+  },
+  {
+    pattern: "INR|₹|IRs\\.?|भा\\.\\s?रु\\.?",
+    indian: true,
+    en: ["Indian rupee", "Indian rupees", "paisa", "paisa"],
+    ne: ["भारतीय रुपैयाँ", "भारतीय रुपैयाँ", "पैसा", "पैसा"],
+  },
+  {
+    pattern: "US\\$|USD|\\$",
+    indian: false,
+    en: ["dollar", "dollars", "cent", "cents"],
+    ne: ["डलर", "डलर", "सेन्ट", "सेन्ट"],
+  },
+];
+
+const UNITS = {
+  km: ["kilometer", "kilometers", "किलोमिटर"],
+  kg: ["kilogram", "kilograms", "किलोग्राम"],
+  gm: ["gram", "grams", "ग्राम"],
+  g: ["gram", "grams", "ग्राम"],
+  ml: ["milliliter", "milliliters", "मिलिलिटर"],
+  ltr: ["liter", "liters", "लिटर"],
+  l: ["liter", "liters", "लिटर"],
+  cm: ["centimeter", "centimeters", "सेन्टिमिटर"],
+  mm: ["millimeter", "millimeters", "मिलिमिटर"],
+  m: ["meter", "meters", "मिटर"],
+  "sq\\.?\\s?ft": ["square foot", "square feet", "वर्ग फिट"],
+  ft: ["foot", "feet", "फिट"],
+  hrs: ["hour", "hours", "घण्टा"],
+  hr: ["hour", "hours", "घण्टा"],
+  mins: ["minute", "minutes", "मिनेट"],
+  min: ["minute", "minutes", "मिनेट"],
+  GB: ["gigabyte", "gigabytes", "जीबी"],
+  MB: ["megabyte", "megabytes", "एमबी"],
+};
+
+// [pattern, English, Nepali]; Latin abbreviations also turn up in Nepali text
+const ABBREVIATIONS = [
+  ["Pvt\\.\\s?Ltd\\.?", "Private Limited", "प्राइभेट लिमिटेड"],
+  ["Pvt\\.", "Private", "प्राइभेट"],
+  ["Ltd\\.", "Limited", "लिमिटेड"],
+  ["Dr\\.", "Doctor", "डाक्टर"],
+  ["Mr\\.", "Mister", "मिस्टर"],
+  ["Mrs\\.", "Missus", "मिसेस"],
+  ["Co\\.", "Company", "कम्पनी"],
+  ["Rd\\.", "Road", "रोड"],
+  ["Apt\\.", "Apartment", "अपार्टमेन्ट"],
+  ["Est\\.", "Established", "स्थापित"],
+  ["approx\\.", "approximately", "लगभग"],
+  ["etc\\.", "et cetera", "आदि"],
+  ["e\\.g\\.", "for example", "उदाहरणका लागि"],
+  ["i\\.e\\.", "that is", "अर्थात्"],
+  ["vs\\.?", "versus", "बनाम"],
+  ["Tel\\.", "telephone", "टेलिफोन"],
+  ["Mob\\.", "mobile", "मोबाइल"],
+  ["No\\.(?=\\s?\\d)", "number", "नम्बर"],
+  ["Ktm", "Kathmandu", "काठमाडौं"],
+  ["प्रा\\.\\s?लि\\.?", "Private Limited", "प्राइभेट लिमिटेड"],
+  ["डा\\.", "Doctor", "डाक्टर"],
+  ["नं\\.", "number", "नम्बर"],
+  ["कि\\.\\s?मि\\.", "kilometers", "किलोमिटर"],
+  ["वि\\.\\s?सं\\.", "Bikram Sambat", "विक्रम संवत्"],
+  ["ई\\.\\s?सं\\.", "AD", "ईस्वी संवत्"],
+];
+
+// Neither a letter, mark nor digit may touch a match
+const START = "(?<![\\p{L}\\p{M}\\p{N}])";
+const END = "(?![\\p{L}\\p{M}\\p{N}])";
+
+const AMOUNT = "\\d{1,3}(?:,\\d{2,3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?";
+
+const isNepali = (language) => language === "ne";
+
+const enUnder1000 = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const words = [];
+  if (hundreds) words.push(`${EN_ONES[hundreds]} hundred`);
+  if (rest || !hundreds) {
+    words.push(
+      rest < 20
+        ? EN_ONES[rest]
+        : EN_TENS[Math.floor(rest / 10)] +
+            (rest % 10 ? `-${EN_ONES[rest % 10]}` : "")
+    );
+  }
+  return words.join(" ");
+};
+
+const scaleWords = (n, scales, under, join) => {
+  const words = [];
+  let rest = n;
+  for (const [value, name] of scales) {
+    if (rest >= value) {
+      words.push(`${join(Math.floor(rest / value))} ${name}`);
+      rest %= value;
+    }
+  }
+  if (rest || words.length === 0) words.push(under(rest));
+  return words.join(" ");
+};
+
+const spellDigits = (digits, language) =>
+  [...digits]
+    .map((digit) => (isNepali(language) ? NE_UNDER_100[digit] : EN_ONES[digit]))
+    .join(" ");
+
+// Whole numbers as words. system "indian" reads English in lakhs and crores;
+// Nepali always is.
+export const integerToWords = (n, language = "en", system = "western") => {
+  if (isNepali(language)) {
+    const words = (value) =>
+      scaleWords(value, NE_SCALES, (rest) => NE_UNDER_100[rest], words);
+    return words(n);
+  }
+
+  const scales = system === "indian" ? EN_INDIAN_SCALES : EN_WESTERN_SCALES;
+  const words = (value) => scaleWords(value, scales, enUnder1000, words);
+  return words(n);
+};
+
+// "1,50,000" or "2.75" as words; digits after the point are read one by one
+export const numberToWords = (value, language = "en", system) => {
+  const [whole, fraction] = String(value).replace(/,/g, "").split(".");
+  const words = Number.isSafeInteger(Number(whole))
+    ? integerToWords(Number(whole), language, system)
+    : spellDigits(whole, language);
+  if (!fraction) return words;
+  return `${words} ${isNepali(language) ? "दशमलव" : "point"} ${spellDigits(
+    fraction,
+    language
+  )}`;
+};
+
+// Lakh grouping puts commas every two digits before the last three
+const usesIndianGrouping = (value) => /^\d{1,2}(,\d{2})+,\d{3}/.test(value);
+
+const ordinalWords = (n) => {
+  const words = integerToWords(n, "en");
+  const irregular = {
+    one: "first",
+    two: "second",
+    three: "third",
+    five: "fifth",
+    eight: "eighth",
+    nine: "ninth",
+    twelve: "twelfth",
+  };
+  return words.replace(
+    /(\w+)$/,
+    (last) =>
+      irregular[last] ||
+      (last.endsWith("y") ? `${last.slice(0, -1)}ieth` : `${last}th`)
+  );
+};
+
+// "nineteen ninety-five", "twenty twenty-four", "two thousand five"
+const yearWords = (year, language) => {
+  if (isNepali(language) || year < 1100 || year % 1000 < 10) {
+    return integerToWords(year, language);
+  }
+  const century = integerToWords(Math.floor(year / 100), "en");
+  const rest = year % 100;
+  if (rest === 0) return `${century} hundred`;
+  return `${century} ${rest < 10 ? "oh " : ""}${integerToWords(rest, "en")}`;
+};
+
+const isValidDate = (year, month, day, calendar) => {
+  if (month < 1 || month > 12 || day < 1) return false;
+  // Bikram Sambat months have 29 to 32 days
+  if (calendar === "bs") return day <= 32;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+const speakDate = ({ year, month, day, calendar }, language) => {
+  if (calendar === "bs") {
+    return isNepali(language)
+      ? `${yearWords(year, language)} साल ${
+          BS_MONTHS.ne[month - 1]
+        } ${integerToWords(day, language)} गते`
+      : `${BS_MONTHS.en[month - 1]} ${ordinalWords(day)}, ${yearWords(
+          year,
+          language
+        )} Bikram Sambat`;
+  }
+  return isNepali(language)
+    ? `सन् ${yearWords(year, language)} ${
+        NE_MONTHS[month - 1]
+      } ${integerToWords(day, language)}`
+    : `${EN_MONTHS[month - 1]} ${ordinalWords(day)}, ${yearWords(
+        year,
+        language
+      )}`;
+};
+
+// { year, month, day, calendar } as words, e.g. for SSML <say-as>. Without a
+// calendar ("bs" or "ad") it is guessed from the year. null for dates that
+// don't exist.
+export const dateToWords = (date, language = "en") => {
+  const calendar =
+    date.calendar || (date.year >= BS_YEAR_THRESHOLD ? "bs" : "ad");
+  return isValidDate(date.year, date.month, date.day, calendar)
+    ? speakDate({ ...date, calendar }, isNepali(language) ? "ne" : "en")
+    : null;
+};
+
+// बि.सं. is a common spelling of वि.सं.
+const BS_MARKER = "(?:B\\.?\\s?S\\.?|[वब]ि\\.?\\s?सं\\.?)";
+const AD_MARKER = "(?:A\\.?\\s?D\\.?|ई\\.?\\s?सं\\.?)";
+
+const normalizeDates = (text, language) =>
+  text
+    // 2081/05/12 BS, 2081-05-12, 2024-03-15 AD: year first
+    .replace(
+      new RegExp(
+        `${START}(\\d{4})([-/.])(\\d{1,2})\\2(\\d{1,2})${END}(\\s*(${BS_MARKER}|${AD_MARKER})${END})?`,
+        "gu"
+      ),
+      (match, year, separator, month, day, era, marker) => {
+        const date = {
+          year: Number(year),
+          month: Number(month),
+          day: Number(day),
+          calendar: marker
+            ? new RegExp(`^${BS_MARKER}$`, "u").test(marker)
+              ? "bs"
+              : "ad"
+            : Number(year) >= BS_YEAR_THRESHOLD
+            ? "bs"
+            : "ad",
+        };
+        return isValidDate(date.year, date.month, date.day, date.calendar)
+          ? speakDate(date, language)
+          : match;
+      }
+    )
+    // 15/03/2024: day first, as written in Nepal
+    .replace(
+      new RegExp(
+        `${START}(\\d{1,2})([-/.])(\\d{1,2})\\2(\\d{4})${END}(\\s*(${BS_MARKER}|${AD_MARKER})${END})?`,
+        "gu"
+      ),
+      (match, day, separator, month, year, era, marker) => {
+        const calendar = marker
+          ? new RegExp(`^${BS_MARKER}$`, "u").test(marker)
+            ? "bs"
+            : "ad"
+          : Number(year) >= BS_YEAR_THRESHOLD
+          ? "bs"
+          : "ad";
+        const date = {
+          year: Number(year),
+          month: Number(month),
+          day: Number(day),
+          calendar,
+        };
+        return isValidDate(date.year, date.month, date.day, calendar)
+          ? speakDate(date, language)
+          : match;
+      }
+    );
+
+// Nepal mobiles (98x/97x/96x, ten digits) and landlines (01-4412345,
+// 061-123456). Landlines need their leading 0 unless +977 comes first.
+const PHONE = new RegExp(
+  [
+    `(?<![\\d+])(\\+?977[-\\s]?)?(9[678]\\d{2}(?:[-\\s]?\\d{3}[-\\s]?\\d{3}|[-\\s]?\\d{6})|0[1-9]\\d?[-\\s]?\\d{6,7})(?!\\d)`,
+    `(?<![\\d+])(\\+?977[-\\s]?)([1-9]\\d?[-\\s]\\d{6,7})(?!\\d)`,
+  ].join("|"),
+  "g"
+);
+
+const speakPhone = (country, number, language) => {
+  let groups = number.split(/[-\s]/);
+  // An unbroken mobile number is read 4-3-3
+  if (groups.length === 1 && number.length === 10) {
+    groups = [number.slice(0, 4), number.slice(4, 7), number.slice(7)];
+  }
+  const spoken = groups.map((group) => spellDigits(group, language));
+  if (country) {
+    spoken.unshift(
+      `${isNepali(language) ? "प्लस" : "plus"} ${spellDigits("977", language)}`
+    );
+  }
+  return spoken.join(", ");
+};
+
+const nepaliDayPart = (hour24) => {
+  if (hour24 >= 4 && hour24 < 12) return "बिहान";
+  if (hour24 >= 12 && hour24 < 16) return "दिउँसो";
+  if (hour24 >= 16 && hour24 < 20) return "बेलुका";
+  return "राति";
+};
+
+const speakTime = (hourText, minuteText, meridiem, language) => {
+  const hour = Number(hourText);
+  const minute = Number(minuteText || 0);
+  const suffix = meridiem?.toLowerCase();
+
+  let hour24 = hour;
+  if (suffix === "p" && hour < 12) hour24 = hour + 12;
+  if (suffix === "a" && hour === 12) hour24 = 0;
+  const hour12 = hour24 % 12 || 12;
+  // Without am/pm, only 24-hour times need a part of the day
+  const twelveHour = Boolean(suffix) || hour24 > 12 || hour24 === 0;
+
+  if (isNepali(language)) {
+    const part = twelveHour ? `${nepaliDayPart(hour24)} ` : "";
+    const hourWords = integerToWords(twelveHour ? hour12 : hour, language);
+    return minute
+      ? `${part}${hourWords} बजेर ${integerToWords(minute, language)} मिनेट`
+      : `${part}${hourWords} बजे`;
+  }
+
+  const minuteWords = minute
+    ? ` ${minute < 10 ? "oh " : ""}${integerToWords(minute, "en")}`
+    : "";
+  if (twelveHour) {
+    return `${integerToWords(hour12, "en")}${minuteWords} ${
+      hour24 < 12 ? "AM" : "PM"
+    }`;
+  }
+  return `${integerToWords(hour, "en")}${minuteWords || " o'clock"}`;
+};
+
+const normalizeTimes = (text, language) =>
+  text
+    .replace(
+      // A बजे after the time is already part of the spoken Nepali
+      /(?<![\d:])([01]?\d|2[0-3]):([0-5]\d)(?:\s*([AaPp])(?:\.\s?[Mm]\.|\s?[Mm])(?![\p{L}]))?(?![\d:])(?:\s*बजे(?![\p{L}\p{M}]))?/gu,
+      (match, hour, minute, meridiem) =>
+        speakTime(hour, minute, meridiem, language)
+    )
+    .replace(
+      /(?<![\d:.])(1[0-2]|0?[1-9])\s*([AaPp])(?:\.\s?[Mm]\.|\s?[Mm])(?![\p{L}])/gu,
+      (match, hour, meridiem) => speakTime(hour, null, meridiem, language)
+    );
+
+const normalizeCurrency = (text, language) =>
+  CURRENCIES.reduce(
+    (result, currency) =>
+      result.replace(
+        new RegExp(
+          `${START}(?:${currency.pattern})\\s?(${AMOUNT})(?:\\s?\\/-)?`,
+          "giu"
+        ),
+        (match, amount) => {
+          const [one, many, minorOne, minorMany] =
+            currency[isNepali(language) ? "ne" : "en"];
+          const [whole, fraction] = amount.replace(/,/g, "").split(".");
+          const system = currency.indian ? "indian" : "western";
+
+          let spoken = `${integerToWords(Number(whole), language, system)} ${
+            whole === "1" ? one : many
+          }`;
+          const minor = fraction
+            ? Number(fraction.padEnd(2, "0").slice(0, 2))
+            : 0;
+          if (minor) {
+            const minorWords = `${integerToWords(minor, language)} ${
+              minor === 1 ? minorOne : minorMany
+            }`;
+            spoken += isNepali(language)
+              ? ` ${minorWords}`
+              : ` and ${minorWords}`;
+          }
+          return spoken;
+        }
+      ),
+    text
+  );
+
+const normalizeAbbreviations = (text, language) =>
+  ABBREVIATIONS.reduce(
+    (result, [pattern, english, nepali]) =>
+      result.replace(
+        new RegExp(`${START}${pattern}(?![\\p{L}\\p{M}])`, "gu"),
+        isNepali(language) ? nepali : english
+      ),
+    text
+  ).replace(/\s&\s/g, isNepali(language) ? " र " : " and ");
+
+const normalizeUnits = (text, language) =>
+  Object.entries(UNITS).reduce(
+    (result, [unit, [singular, plural, nepali]]) =>
+      result.replace(
+        new RegExp(`(?<=\\d)\\s?${unit}${END}\\.?`, "gu"),
+        (match, offset, whole) => {
+          const value = whole.slice(0, offset).match(/[\d,.]+$/)[0];
+          if (isNepali(language)) return ` ${nepali}`;
+          return ` ${value === "1" ? singular : plural}`;
+        }
+      ),
+    text
+  );
+
+const speakRange = (from, to, language) =>
+  isNepali(language) ? `${from} देखि ${to}` : `${from} to ${to}`;
+
+const normalizeNumbers = (text, language) =>
+  text
+    // Opening hours
+    .replace(
+      /(?<!\d)24\s?\/\s?7(?!\d)/g,
+      isNepali(language) ? "चौबिसै घण्टा" : "twenty-four seven"
+    )
+    // "15%" and "10-20%"
+    .replace(
+      new RegExp(`(${AMOUNT})(?:\\s?[-–]\\s?(${AMOUNT}))?\\s?%`, "g"),
+      (match, from, to) => {
+        const value = to
+          ? speakRange(
+              numberToWords(from, language),
+              numberToWords(to, language),
+              language
+            )
+          : numberToWords(from, language);
+        return `${value} ${isNepali(language) ? "प्रतिशत" : "percent"}`;
+      }
+    )
+    .replace(/(?<!\d)(\d+)(st|nd|rd|th)\b/gi, (match, value) =>
+      isNepali(language) ? match : ordinalWords(Number(value))
+    )
+    // English years after words that introduce them: "since 1995"
+    .replace(
+      /\b(in|since|from|until|till|by|year|of|circa|established|Established)\s+(1[1-9]\d{2}|20\d{2})(?!\d)/g,
+      (match, word, year) =>
+        isNepali(language)
+          ? match
+          : `${word} ${yearWords(Number(year), language)}`
+    )
+    // Ranges such as "10-20", but not leftovers like invalid dates
+    .replace(
+      /(?<![\d,.]|\d\s?[-–/]\s?)(\d+)\s?[-–]\s?(\d+)(?![\d,.]|\s?[-–/]\s?\d)/g,
+      (match, from, to) =>
+        speakRange(
+          integerToWords(Number(from), language),
+          integerToWords(Number(to), language),
+          language
+        )
+    )
+    .replace(new RegExp(`(?<![\\d.])(${AMOUNT})(?![\\d])`, "g"), (value) =>
+      numberToWords(
+        value,
+        language,
+        usesIndianGrouping(value) ? "indian" : "western"
+      )
+    );
+
+export const normalizeForTTS = (text, language = "en") => {
+  if (!text) return text;
+  const target = language === "ne-Latn" ? "ne" : language;
+
+  const steps = [
+    normalizeDates,
+    (value) =>
+      value.replace(
+        PHONE,
+        (match, country, number, landlineCountry, landline) =>
+          speakPhone(country || landlineCountry, number || landline, target)
+      ),
+    normalizeTimes,
+    normalizeCurrency,
+    normalizeAbbreviations,
+    normalizeUnits,
+    normalizeNumbers,
+  ];
+
+  return steps.reduce(
+    (result, step) => step(result, target),
+    text.replace(/[०-९]/g, (digit) => DEVANAGARI_DIGITS.indexOf(digit))
+  );
+};
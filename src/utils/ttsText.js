@@ -0,0 +1,96 @@
+// Formatting and metadata that shouldn't be spoken. cleanTextForTTS removes
+// these in order; content quality analysis reports what it finds.
+export const TTS_STRIP_RULES = [
+  { type: "html", pattern: /<[^>]*>/g },
+  { type: "markdownHeader", pattern: /#{1,6}\s*/g },
+  { type: "markdownSymbol", pattern: /[*_`~]/g },
+  { type: "url", pattern: /https?:\/\/[^\s]+/g },
+  { type: "email", pattern: /\S+@\S+\.\S+/g },
+  // e.g. "200-300 words", "150 words"
+  { type: "wordCount", pattern: /\b\d{1,4}[-–]\d{1,4}\s*words?\b/gi },
+  { type: "wordCount", pattern: /\b\d{1,4}\s*words?\b/gi },
+  { type: "characterCount", pattern: /\b\d{1,4}[-–]\d{1,4}\s*characters?\b/gi },
+  { type: "characterCount", pattern: /\b\d{1,4}\s*characters?\b/gi },
+  // Section numbering (1., 2., etc.)
+  { type: "numbering", pattern: /^\d+\.\s*/gm },
+  { type: "bullet", pattern: /^[•\-*]\s*/gm },
+];
+
+export const stripUnspokenText = (text) =>
+  TTS_STRIP_RULES.reduce(
+    (result, { pattern }) => result.replace(pattern, ""),
+    text
+  );
+
+// Split text into pieces of at most maxChars for engines with a request size
+// limit, preferring sentence ends (including the Devanagari danda), then
+// spaces. Words longer than maxChars are cut.
+export const splitTextForTTS = (text, maxChars) => {
+  if (text.length <= maxChars) return [text];
+
+  const sentences = text.match(/[^.!?।]+[.!?।]*\s*/g) || [text];
+  const pieces = [];
+  let current = "";
+
+  const pushWords = (sentence) => {
+    for (const word of sentence.split(/\s+/).filter(Boolean)) {
+      if ((current + " " + word).trim().length <= maxChars) {
+        current = (current + " " + word).trim();
+        continue;
+      }
+      if (current) pieces.push(current);
+      current = word;
+      while (current.length > maxChars) {
+        pieces.push(current.slice(0, maxChars));
+        current = current.slice(maxChars);
+      }
+    }
+  };
+
+  for (const sentence of sentences) {
+    if ((current + " " + sentence).trim().length <= maxChars) {
+      current = (current + " " + sentence).trim();
+    } else if (sentence.trim().length <= maxChars) {
+      if (current) pieces.push(current);
+      current = sentence.trim();
+    } else {
+      if (current) pieces.push(current);
+      current = "";
+      pushWords(sentence);
+    }
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Replace written forms with their spoken forms. entries: [{ written, spoken,
+// caseSensitive }]; longer forms win, matches are whole words (Devanagari
+// included) and replacements are never matched again.
+export const applyLexicon = (text, entries = []) => {
+  if (!text || entries.length === 0) return text;
+
+  const exact = new Map();
+  const folded = new Map();
+  for (const entry of entries) {
+    if (entry.caseSensitive) exact.set(entry.written, entry.spoken);
+    else folded.set(entry.written.toLowerCase(), entry.spoken);
+  }
+
+  const alternatives = [...new Set(entries.map((entry) => entry.written))]
+    .sort((a, b) => b.length - a.length)
+    .map((written) => escapeRegExp(written).replace(/\s+/g, "\\s+"));
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{M}\\p{N}])(?:${alternatives.join(
+      "|"
+    )})(?![\\p{L}\\p{M}\\p{N}])`,
+    "giu"
+  );
+
+  return text.replace(pattern, (match) => {
+    const written = match.replace(/\s+/g, " ");
+    return exact.get(written) ?? folded.get(written.toLowerCase()) ?? match;
+  });
+};
@@ -11,14 +11,140 @@ export const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+// Business fields fall back to the saved profile when profileId is given
+const requiredUnlessProfile = (schema) =>
+  schema.when("profileId", {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.required(),
+  });
+
 export const contentGenerationSchema = Joi.object({
-  business_name: Joi.string().min(1).max(100).required(),
-  location: Joi.string().min(1).max(100).required(),
-  business_type: Joi.string().min(1).max(50).required(),
+  profileId: Joi.string().hex().length(24).optional(),
+  business_name: requiredUnlessProfile(Joi.string().min(1).max(100)),
+  location: requiredUnlessProfile(Joi.string().min(1).max(100)),
+  business_type: requiredUnlessProfile(Joi.string().min(1).max(50)),
   custom_business_type: Joi.string().min(1).max(100).optional().allow(""),
   products_services: Joi.string().max(500).optional().allow(""),
   target_customers: Joi.string().max(500).optional().allow(""),
-  preferredLanguage: Joi.string().valid("en", "ne").optional().default("en"),
+  preferredLanguage: Joi.string().valid("en", "ne", "ne-Latn").optional(),
+  provider: Joi.string().valid("groq", "openai", "local").optional(),
+  // Reuse output from an identical earlier request; force regenerates it
+  cache: Joi.boolean().strict().optional(),
+  force: Joi.boolean().strict().optional(),
+  // Queue the generation and return a job id (signed-in users only)
+  async: Joi.boolean().strict().optional(),
+  contentType: Joi.string()
+    .valid(
+      "business_description",
+      "faq",
+      "service_description",
+      "product_description"
+    )
+    .optional()
+    .default("business_description"),
+  // Multi-variant generation: explicit tones, or a count using default tones
+  tones: Joi.array()
+    .items(
+      Joi.string().valid(
+        "formal",
+        "friendly",
+        "festive",
+        "persuasive",
+        "playful"
+      )
+    )
+    .min(1)
+    .max(5)
+    .unique()
+    .optional(),
+  variants: Joi.number().integer().min(1).max(5).optional(),
+});
+
+export const MAX_BATCH_ROWS = 100;
+
+// One business in a bulk upload: the single-generation fields with one tone
+export const batchRowSchema = contentGenerationSchema.keys({
+  tone: Joi.string()
+    .valid("formal", "friendly", "festive", "persuasive", "playful")
+    .optional(),
+  tones: Joi.forbidden(),
+  variants: Joi.forbidden(),
+  provider: Joi.forbidden(),
+  cache: Joi.forbidden(),
+  force: Joi.forbidden(),
+  async: Joi.forbidden(),
+});
+
+// Options that apply to every row; rows come as JSON objects or CSV text
+export const batchSchema = Joi.object({
+  name: Joi.string().max(100).optional().allow(""),
+  businesses: Joi.array()
+    .items(Joi.object().unknown(true))
+    .min(1)
+    .max(MAX_BATCH_ROWS),
+  csv: Joi.string().max(2 * 1024 * 1024),
+  preferredLanguage: Joi.string().valid("en", "ne", "ne-Latn").optional(),
+  provider: Joi.string().valid("groq", "openai", "local").optional(),
+  cache: Joi.boolean().optional(),
+}).xor("businesses", "csv");
+
+const businessProfileFields = {
+  businessName: Joi.string().min(1).max(100),
+  location: Joi.string().min(1).max(100),
+  businessType: Joi.string().min(1).max(50),
+  productsServices: Joi.string().max(500).allow(""),
+  targetCustomers: Joi.string().max(500).allow(""),
+  brandTone: Joi.string().max(300).allow(""),
+  bannedWords: Joi.array().items(Joi.string().min(1).max(50)).max(50).unique(),
+  mustMentionPhrases: Joi.array()
+    .items(Joi.string().min(1).max(100))
+    .max(10)
+    .unique(),
+  preferredVoice: Joi.string().max(50),
+  preferredLanguage: Joi.string().valid("en", "ne", "ne-Latn"),
+};
+
+export const businessProfileSchema = Joi.object({
+  ...businessProfileFields,
+  businessName: businessProfileFields.businessName.required(),
+  location: businessProfileFields.location.required(),
+  businessType: businessProfileFields.businessType.required(),
+});
+
+export const businessProfileUpdateSchema = Joi.object(
+  businessProfileFields
+).min(1);
+
+const pronunciationFields = {
+  written: Joi.string().trim().min(1).max(100),
+  spoken: Joi.string().trim().min(1).max(200),
+  // null makes the entry apply to all of the user's audio
+  profileId: Joi.string().hex().length(24).allow(null),
+  language: Joi.string().valid("en", "ne", "ne-Latn").allow(null),
+  caseSensitive: Joi.boolean(),
+};
+
+export const pronunciationSchema = Joi.object({
+  ...pronunciationFields,
+  written: pronunciationFields.written.required(),
+  spoken: pronunciationFields.spoken.required(),
+});
+
+export const pronunciationUpdateSchema = Joi.object(pronunciationFields).min(1);
+
+export const pronunciationPreviewSchema = Joi.object({
+  language: Joi.string().valid("en", "ne", "ne-Latn").optional(),
+  voice: Joi.string().max(50).optional(),
+  engine: Joi.string().max(50).optional(),
+});
+
+export const translationSchema = Joi.object({
+  // Defaults to the other supported language
+  targetLanguage: Joi.string().valid("en", "ne", "ne-Latn").optional(),
+  provider: Joi.string().valid("groq", "openai", "local").optional(),
+  generateAudio: Joi.boolean().optional().default(false),
+  voice: Joi.string().max(50).optional(),
 });
 
 export const updateProfileSchema = Joi.object({
@@ -33,3 +159,40 @@ export const ratingSchema = Joi.object({
   rating: Joi.number().min(1).max(5).required(),
   feedback: Joi.string().max(1000).optional().allow(""),
 });
+
+// Shape of parsed model output (see utils/structuredContent.js); the minimums
+// vary per content type
+export const buildStructuredContentSchema = ({
+  minStoryLength = 50,
+  minFaq = 3,
+  minSearchPhrases = 3,
+} = {}) =>
+  Joi.object({
+    story: Joi.string().min(minStoryLength).required(),
+    faq: Joi.array()
+      .items(
+        Joi.object({
+          question: Joi.string().min(3).required(),
+          answer: Joi.string().min(3).required(),
+        })
+      )
+      .min(minFaq)
+      .required(),
+    searchPhrases: Joi.array()
+      .items(Joi.string().min(2))
+      .min(minSearchPhrases)
+      .required(),
+  });
+
+export const promptTemplateSchema = Joi.object({
+  key: Joi.string().max(100).required(),
+  language: Joi.string().valid("en", "ne").optional().default("en"),
+  body: Joi.string().min(20).max(20000).required(),
+  notes: Joi.string().max(1000).optional().allow(""),
+  publish: Joi.boolean().optional().default(false),
+});
+
+export const promptTemplateRollbackSchema = Joi.object({
+  key: Joi.string().max(100).required(),
+  language: Joi.string().valid("en", "ne").optional().default("en"),
+});
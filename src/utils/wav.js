@@ -0,0 +1,198 @@
+// Minimal RIFF/WAVE reading and writing for probing and joining synthesized
+// speech
+
+const readChunks = (buffer) => {
+  if (
+    buffer.length < 12 ||
+    buffer.toString("ascii", 0, 4) !== "RIFF" ||
+    buffer.toString("ascii", 8, 12) !== "WAVE"
+  ) {
+    throw new Error("Not a WAV file");
+  }
+
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    // Streamed WAVs (espeak --stdout) leave the data size unset
+    const end =
+      id === "data" && size === 0
+        ? buffer.length
+        : Math.min(offset + 8 + size, buffer.length);
+    chunks.push({ id, start: offset + 8, end });
+    offset = end + (size % 2);
+  }
+  return chunks;
+};
+
+// Returns { audioFormat, channels, sampleRate, byteRate, blockAlign,
+// bitsPerSample, data } where data is the sample bytes
+export const parseWav = (buffer) => {
+  const chunks = readChunks(buffer);
+  const fmt = chunks.find((chunk) => chunk.id === "fmt ");
+  const data = chunks.find((chunk) => chunk.id === "data");
+  if (!fmt || !data) {
+    throw new Error("WAV file has no fmt or data chunk");
+  }
+
+  return {
+    audioFormat: buffer.readUInt16LE(fmt.start),
+    channels: buffer.readUInt16LE(fmt.start + 2),
+    sampleRate: buffer.readUInt32LE(fmt.start + 4),
+    byteRate: buffer.readUInt32LE(fmt.start + 8),
+    blockAlign: buffer.readUInt16LE(fmt.start + 12),
+    bitsPerSample: buffer.readUInt16LE(fmt.start + 14),
+    data: buffer.subarray(data.start, data.end),
+  };
+};
+
+// Returns { format, duration (seconds), bitrate (kbps), sampleRate,
+// channels, bitsPerSample } or null if buffer isn't a WAV file
+export const probeWav = (buffer) => {
+  let wav;
+  try {
+    wav = parseWav(buffer);
+  } catch {
+    return null;
+  }
+
+  // Streamed WAVs can leave byteRate unset too
+  const byteRate = wav.byteRate || wav.sampleRate * wav.blockAlign;
+  if (!byteRate) return null;
+
+  return {
+    format: "wav",
+    duration: Math.round((wav.data.length / byteRate) * 1000) / 1000,
+    bitrate: Math.round((byteRate * 8) / 1000),
+    sampleRate: wav.sampleRate,
+    channels: wav.channels,
+    bitsPerSample: wav.bitsPerSample,
+  };
+};
+
+// format: { audioFormat, channels, sampleRate, bitsPerSample }. Formats
+// other than integer PCM (1) get the cbSize field and fact chunk the spec
+// requires of them.
+export const createWav = (data, format) => {
+  const { audioFormat = 1, channels, sampleRate, bitsPerSample } = format;
+  const blockAlign = (channels * bitsPerSample) / 8;
+  const extended = audioFormat !== 1;
+  const fmtSize = extended ? 18 : 16;
+  const header = Buffer.alloc(20 + fmtSize + (extended ? 12 : 0) + 8);
+
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(header.length - 8 + data.length, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(fmtSize, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+
+  let offset = 20 + fmtSize;
+  if (extended) {
+    // cbSize stays 0; fact holds the sample count per channel
+    header.write("fact", offset, "ascii");
+    header.writeUInt32LE(4, offset + 4);
+    header.writeUInt32LE(Math.floor(data.length / blockAlign), offset + 8);
+    offset += 12;
+  }
+  header.write("data", offset, "ascii");
+  header.writeUInt32LE(data.length, offset + 4);
+
+  return Buffer.concat([header, data]);
+};
+
+// Samples of a parsed WAV (see parseWav) as 16-bit mono, averaging the
+// channels. Handles integer PCM of 8 to 32 bits and 32-bit float.
+export const toMonoPcm16 = (wav) => {
+  const { audioFormat, channels, bitsPerSample, data } = wav;
+  const bytes = bitsPerSample / 8;
+  const float = audioFormat === 3 && bitsPerSample === 32;
+  if (!float && (audioFormat !== 1 || ![1, 2, 3, 4].includes(bytes))) {
+    throw new Error(
+      `Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample} bits)`
+    );
+  }
+
+  const read = (offset) => {
+    if (float) return data.readFloatLE(offset) * 32767;
+    if (bytes === 1) return (data[offset] - 128) << 8;
+    return data.readIntLE(offset, bytes) / 2 ** (bitsPerSample - 16);
+  };
+
+  const frames = Math.floor(data.length / (bytes * channels));
+  const samples = new Int16Array(frames);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += read((frame * channels + channel) * bytes);
+    }
+    samples[frame] = Math.max(-32768, Math.min(32767, sum / channels));
+  }
+  return samples;
+};
+
+// Linear interpolation, averaging over each output sample's span when
+// downsampling so speech doesn't alias
+export const resamplePcm16 = (samples, fromRate, toRate) => {
+  if (fromRate === toRate) return samples;
+
+  const ratio = fromRate / toRate;
+  const output = new Int16Array(Math.floor(samples.length / ratio));
+  for (let index = 0; index < output.length; index++) {
+    const position = index * ratio;
+    if (ratio > 1) {
+      const start = Math.floor(position);
+      const end = Math.min(samples.length, Math.floor(position + ratio));
+      let sum = 0;
+      for (let source = start; source < end; source++) sum += samples[source];
+      output[index] = Math.round(sum / Math.max(1, end - start));
+    } else {
+      const before = Math.floor(position);
+      const after = Math.min(before + 1, samples.length - 1);
+      const weight = position - before;
+      output[index] = Math.round(
+        samples[before] * (1 - weight) + samples[after] * weight
+      );
+    }
+  }
+  return output;
+};
+
+// Silence in the given format. 8-bit PCM is unsigned, so its zero is 128.
+export const createWavSilence = (ms, format) => {
+  const blockAlign = (format.channels * format.bitsPerSample) / 8;
+  const frames = Math.round((format.sampleRate * ms) / 1000);
+  const fill = format.audioFormat === 1 && format.bitsPerSample === 8 ? 128 : 0;
+  return Buffer.alloc(frames * blockAlign, fill);
+};
+
+// parts: WAV buffers and { silence: ms } entries. All WAVs must share the
+// first one's format.
+export const joinWav = (parts) => {
+  const first = parts.find(Buffer.isBuffer);
+  if (!first) throw new Error("Nothing to join");
+  const format = parseWav(first);
+
+  const data = parts.map((part) => {
+    if (!Buffer.isBuffer(part)) return createWavSilence(part.silence, format);
+
+    const wav = parseWav(part);
+    if (
+      wav.sampleRate !== format.sampleRate ||
+      wav.channels !== format.channels ||
+      wav.bitsPerSample !== format.bitsPerSample ||
+      wav.audioFormat !== format.audioFormat
+    ) {
+      throw new Error("Can't join WAV files with different formats");
+    }
+    return wav.data;
+  });
+
+  return createWav(Buffer.concat(data), format);
+};
@@ -0,0 +1,17 @@
+import "dotenv/config";
+import connectDatabase from "./config/database.js";
+import jobQueue from "./services/jobHandlers.js";
+
+// Standalone job worker: `npm run worker`. Run the API with
+// JOB_WORKER_MODE=external so it only enqueues.
+await connectDatabase();
+jobQueue.start();
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, finishing running jobs...`);
+  await jobQueue.stop();
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
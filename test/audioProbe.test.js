@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { probeAudio, detectAudioFormat } from "../src/utils/audioProbe.js";
+import { createWav } from "../src/utils/wav.js";
+import { joinMp3 } from "../src/utils/mp3.js";
+
+const fixture = fs.readFileSync(
+  fileURLToPath(new URL("../test-audio-output.mp3", import.meta.url))
+);
+
+describe("probeAudio", () => {
+  it("reads the MP3 fixture's stream properties", () => {
+    const probe = probeAudio(fixture);
+    assert.equal(probe.format, "mp3");
+    assert.ok(Math.abs(probe.duration - 8.448) < 0.001);
+    assert.equal(probe.sampleRate, 24000);
+    assert.equal(probe.bitrate, 64);
+    assert.equal(probe.channels, 1);
+    assert.equal(probe.vbr, false);
+  });
+
+  it("ignores ID3v2 and ID3v1 tags", () => {
+    const id3v2 = Buffer.alloc(20);
+    id3v2.write("ID3");
+    id3v2[3] = 4;
+    id3v2[9] = 10; // 10-byte tag body
+    const id3v1 = Buffer.from("TAG".padEnd(128, " "));
+
+    const probe = probeAudio(Buffer.concat([id3v2, fixture, id3v1]));
+    assert.ok(Math.abs(probe.duration - 8.448) < 0.001);
+  });
+
+  it("reads the frame count from a joined file's Xing header", () => {
+    const probe = probeAudio(joinMp3([fixture, { silence: 1000 }, fixture]));
+    // 352 frames each plus 42 frames (1.008 s) of silence
+    assert.equal(probe.frames, 746);
+    assert.ok(Math.abs(probe.duration - 17.904) < 0.001);
+  });
+
+  it("reads a WAV header", () => {
+    // One second of 16-bit stereo at 22.05 kHz
+    const wav = createWav(Buffer.alloc(22050 * 4), {
+      channels: 2,
+      sampleRate: 22050,
+      bitsPerSample: 16,
+    });
+    assert.deepEqual(probeAudio(wav), {
+      format: "wav",
+      duration: 1,
+      bitrate: 706,
+      sampleRate: 22050,
+      channels: 2,
+      bitsPerSample: 16,
+    });
+  });
+
+  it("returns null for data it can't read", () => {
+    assert.equal(probeAudio(Buffer.from("<html>Not found</html>")), null);
+    assert.equal(detectAudioFormat(Buffer.from("OggS0000000000")), "ogg");
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import audioStorage from "../src/services/audioStorage.js";
+
+describe("local disk audio storage", () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "audio-storage-"));
+    process.env.AUDIO_STORAGE = "local";
+    process.env.AUDIO_STORAGE_DIR = directory;
+    process.env.AUDIO_PUBLIC_URL = "https://api.example.com/";
+  });
+
+  after(async () => {
+    delete process.env.AUDIO_STORAGE;
+    delete process.env.AUDIO_STORAGE_DIR;
+    delete process.env.AUDIO_PUBLIC_URL;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it("saves, reads and deletes a file", async () => {
+    const audio = Buffer.from("fake mp3 data");
+    const saved = await audioStorage.save(audio, { format: "mp3" });
+
+    assert.equal(saved.backend, "local");
+    assert.match(saved.key, /^audio_\d+_\w+\.mp3$/);
+    assert.equal(saved.bytes, audio.length);
+    assert.deepEqual(await fs.readFile(path.join(directory, saved.key)), audio);
+    assert.deepEqual(await audioStorage.read(saved), audio);
+
+    assert.equal(await audioStorage.delete(saved), true);
+    assert.equal(await audioStorage.delete(saved), false);
+    await assert.rejects(audioStorage.read(saved), { status: 502 });
+  });
+
+  it("builds URLs from AUDIO_PUBLIC_URL", () => {
+    assert.equal(
+      audioStorage.get("local").getUrl("audio_1_abc.mp3"),
+      "https://api.example.com/uploads/audio/audio_1_abc.mp3"
+    );
+  });
+
+  it("rejects keys that could leave the storage directory", async () => {
+    const local = audioStorage.get("local");
+    for (const key of ["../secret.mp3", "a/b.mp3", ".env", "..", ""]) {
+      assert.throws(() => local.getFilePath(key), { status: 502 }, key);
+    }
+    await assert.rejects(
+      audioStorage.read({ backend: "local", key: "../../etc/passwd" }),
+      { status: 502 }
+    );
+  });
+
+  it("rejects unknown backends", () => {
+    assert.throws(() => audioStorage.get("ftp"), /Unknown audio storage/);
+  });
+});
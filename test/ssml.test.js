@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseSsml,
+  mapSsmlText,
+  toSsml,
+  planSpeech,
+  ssmlToText,
+} from "../src/utils/ssml.js";
+
+// Stands in for cleanTextForTTS, which trims what it is given
+const clean = (text) => text.replace(/\s+/g, " ").trim();
+
+describe("SSML with cleaned text segments", () => {
+  const document = mapSsmlText(
+    parseSsml(
+      '<speak>Call us <emphasis>today</emphasis> for a <prosody rate="80%">free</prosody> quote.</speak>'
+    ),
+    clean
+  );
+
+  it("keeps the spaces between words on both sides of a tag", () => {
+    assert.equal(
+      toSsml(document),
+      '<speak>Call us <emphasis level="moderate">today</emphasis> for a <prosody rate="80%">free</prosody> quote.</speak>'
+    );
+  });
+
+  it("keeps punctuation attached to the tag before it", () => {
+    const tagged = mapSsmlText(
+      parseSsml("<speak>Open <emphasis>daily</emphasis>.</speak>"),
+      clean
+    );
+    assert.equal(
+      toSsml(tagged),
+      '<speak>Open <emphasis level="moderate">daily</emphasis>.</speak>'
+    );
+  });
+
+  it("plans the same words for engines without SSML", () => {
+    assert.deepEqual(
+      planSpeech(document)
+        .filter((item) => "text" in item)
+        .map((item) => item.text),
+      ["Call us", "today", "for a", "free", "quote."]
+    );
+  });
+});
+
+// [language, say-as markup, expected]
+const SAY_AS_CASES = [
+  [
+    "en",
+    '<say-as interpret-as="currency">Rs. 1,50,000</say-as>',
+    "one lakh fifty thousand rupees",
+  ],
+  [
+    "en",
+    '<say-as interpret-as="currency">$1,500.50</say-as>',
+    "one thousand five hundred dollars and fifty cents",
+  ],
+  [
+    "ne",
+    '<say-as interpret-as="currency">रु. 1500</say-as>',
+    "एक हजार पाँच सय रुपैयाँ",
+  ],
+  [
+    "en",
+    '<say-as interpret-as="date">2081-05-12</say-as>',
+    "Bhadra twelfth, twenty eighty-one Bikram Sambat",
+  ],
+  [
+    "ne",
+    '<say-as interpret-as="date">2081/05/12</say-as>',
+    "दुई हजार एकासी साल भदौ बाह्र गते",
+  ],
+  [
+    "en",
+    '<say-as interpret-as="date" format="dmy">15/03/2024</say-as>',
+    "March fifteenth, twenty twenty-four",
+  ],
+];
+
+describe("say-as rendering", () => {
+  for (const [language, markup, expected] of SAY_AS_CASES) {
+    it(`${language}: ${markup}`, () => {
+      assert.equal(
+        ssmlToText(parseSsml(`<speak>${markup}</speak>`), language),
+        expected
+      );
+    });
+  }
+
+  it("accepts the 32nd of a Bikram Sambat month but not a missing date", () => {
+    assert.doesNotThrow(() =>
+      parseSsml(
+        '<speak><say-as interpret-as="date">2081/03/32</say-as></speak>'
+      )
+    );
+    assert.throws(
+      () =>
+        parseSsml(
+          '<speak><say-as interpret-as="date">2024-02-30</say-as></speak>'
+        ),
+      /not a valid date/
+    );
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  KNOWN_WORDS,
+  romanToDevanagari,
+  devanagariToRoman,
+} from "../src/utils/transliteration.js";
+
+// Roman spelling -> the first Devanagari word with it, as the module resolves
+// duplicate spellings (काठमाडौं and काठमाण्डौ are both "kathmandu")
+const CANONICAL = new Map();
+for (const [devanagari, roman] of Object.entries(KNOWN_WORDS)) {
+  if (!CANONICAL.has(roman)) CANONICAL.set(roman, devanagari);
+}
+
+describe("KNOWN_WORDS", () => {
+  for (const [devanagari, roman] of Object.entries(KNOWN_WORDS)) {
+    it(`${devanagari} <-> ${roman}`, () => {
+      assert.equal(devanagariToRoman(devanagari), roman);
+      assert.equal(romanToDevanagari(roman), CANONICAL.get(roman));
+      assert.equal(devanagariToRoman(romanToDevanagari(roman)), roman);
+    });
+  }
+});
+
+describe("transliteration", () => {
+  it("converts known words inside sentences", () => {
+    assert.equal(devanagariToRoman("नेपाल राम्रो छ"), "nepal ramro cha");
+    assert.equal(romanToDevanagari("nepal ramro cha"), "नेपाल राम्रो छ");
+  });
+
+  it("leaves Latin text alone going to Roman and Devanagari alone going back", () => {
+    assert.equal(devanagariToRoman("Hello"), "Hello");
+    assert.equal(romanToDevanagari("नेपाल"), "नेपाल");
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeForTTS,
+  numberToWords,
+  integerToWords,
+} from "../src/utils/ttsNormalizer.js";
+
+// [language, input, expected]
+const CASES = [
+  // Lakh and crore grouping
+  ["en", "Rs. 1,50,000", "one lakh fifty thousand rupees"],
+  ["ne", "Rs. 1,50,000", "एक लाख पचास हजार रुपैयाँ"],
+  ["en", "Rs. 2,50,00,000", "two crore fifty lakh rupees"],
+  ["ne", "रु. १,५०,०००", "एक लाख पचास हजार रुपैयाँ"],
+  ["en", "$25", "twenty-five dollars"],
+
+  // Phone numbers
+  [
+    "en",
+    "Call 9841-123456",
+    "Call nine eight four one, one two three four five six",
+  ],
+  [
+    "ne",
+    "9841-123456 मा फोन गर्नुहोस्",
+    "नौ आठ चार एक, एक दुई तीन चार पाँच छ मा फोन गर्नुहोस्",
+  ],
+  ["en", "Call 01-4412345", "Call zero one, four four one two three four five"],
+  [
+    "en",
+    "+977-9841123456",
+    "plus nine seven seven, nine eight four one, one two three, four five six",
+  ],
+
+  // Dates
+  ["en", "2081/05/12 BS", "Bhadra twelfth, twenty eighty-one Bikram Sambat"],
+  ["ne", "2081/05/12 BS", "दुई हजार एकासी साल भदौ बाह्र गते"],
+  ["ne", "२०८१/०५/१२ वि.सं.", "दुई हजार एकासी साल भदौ बाह्र गते"],
+  ["ne", "२०८१/०५/१२ बि.सं.", "दुई हजार एकासी साल भदौ बाह्र गते"],
+  ["en", "2024-03-15", "March fifteenth, twenty twenty-four"],
+
+  // Devanagari digits
+  ["en", "१२३ items", "one hundred twenty-three items"],
+  ["ne", "१२३", "एक सय तेइस"],
+
+  // Times
+  ["en", "Open at 10:30 am", "Open at ten thirty AM"],
+  ["en", "Open 9am-5pm", "Open nine AM-five PM"],
+  ["ne", "१०:३० बजे", "दस बजेर तिस मिनेट"],
+
+  // Abbreviations and units
+  ["en", "Dr. Sharma", "Doctor Sharma"],
+  ["ne", "डा. शर्मा", "डाक्टर शर्मा"],
+  ["en", "5 km away", "five kilometers away"],
+
+  // Other numbers
+  ["en", "50%", "fifty percent"],
+  ["ne", "50%", "पचास प्रतिशत"],
+  ["en", "the 3rd floor", "the third floor"],
+  ["en", "since 1995", "since nineteen ninety-five"],
+  ["en", "24/7 service", "twenty-four seven service"],
+  ["en", "10-20 people", "ten to twenty people"],
+];
+
+describe("normalizeForTTS", () => {
+  for (const [language, input, expected] of CASES) {
+    it(`${language}: ${input}`, () => {
+      assert.equal(normalizeForTTS(input, language), expected);
+    });
+  }
+
+  it("treats ne-Latn like ne", () => {
+    assert.equal(
+      normalizeForTTS("Rs. 1,50,000", "ne-Latn"),
+      "एक लाख पचास हजार रुपैयाँ"
+    );
+  });
+
+  it("leaves text without numbers alone", () => {
+    assert.equal(normalizeForTTS("Fresh momo daily", "en"), "Fresh momo daily");
+  });
+});
+
+describe("integerToWords", () => {
+  it("groups Indian-system numbers in lakh and crore", () => {
+    assert.equal(
+      integerToWords(150000, "en", "indian"),
+      "one lakh fifty thousand"
+    );
+    assert.equal(integerToWords(10000000, "ne", "indian"), "एक करोड");
+  });
+
+  it("groups western-system numbers in thousands and millions", () => {
+    assert.equal(
+      integerToWords(1500000, "en", "western"),
+      "one million five hundred thousand"
+    );
+  });
+});
+
+describe("numberToWords", () => {
+  it("reads decimals digit by digit", () => {
+    assert.equal(numberToWords("3.5", "en"), "three point five");
+  });
+});